@@ -0,0 +1,115 @@
+/**
+ * Flags accepted by the CLI and their defaults. Most of them mirror the action's inputs,
+ * which default to the config file and then to `CONFIG_DEFAULTS`.
+ * @type {Record<string, string>}
+ */
+export const CLI_FLAGS = {
+	base: '',
+	format: 'markdown',
+	fetch: 'false',
+	'in-place': 'false',
+	help: 'false',
+	cwd: '',
+	config: '',
+	'additional-base-refs': '',
+	'install-script': '',
+	'clean-script': '',
+	'build-script': '',
+	compression: '',
+	pattern: '',
+	exclude: '',
+	'strip-hash': '',
+	manifest: '',
+	'show-total': '',
+	'collapse-unchanged': '',
+	'omit-unchanged': '',
+	'minimum-change-threshold': '',
+	'sort-by': '',
+	renderer: '',
+	'severity-rules': '',
+	'severity-icons': '',
+	'highlight-severity': '',
+	'network-profiles': '',
+	'detect-renames': '',
+	'source-maps': '',
+	'dependency-changes': '',
+	groups: '',
+	budgets: '',
+	'budget-file': '',
+	'budget-mode': '',
+	targets: '',
+	workspaces: '',
+	'baseline-store': '',
+	'measure-cache': '',
+	'history-store': ''
+};
+
+export const HELP = `Usage: compressed-size --base <ref> [options]
+
+Builds the current working copy and <ref>, then prints a report of the
+differences in compressed file size. <ref> is built in a temporary git
+worktree, so the working copy is left as it is.
+
+Options:
+  --base <ref>           The branch, tag or commit to compare against
+  --format <format>      "markdown" (default) or "json"
+  --fetch                Fetch <ref> from origin before building it
+  --config <file>        Read options from this file instead of .compressed-size.json
+                         or the "compressed-size" key of package.json
+  --in-place             Build <ref> by resetting the working copy instead of
+                         using a worktree. Discards any uncommitted changes!
+  --help                 Show this message
+
+Any of the action's inputs can be passed as a flag, for example:
+  --build-script <script>  --compression <gzip|brotli|zstd|none>  --pattern <glob>
+  --exclude <glob>  --strip-hash <regex>  --manifest <file>  --sort-by <column:direction>
+  --budgets <rule>  --groups <group>  --targets <file>  --workspaces  --detect-renames
+  --additional-base-refs <ref>
+  --history-store <file>  --measure-cache <dir>  --source-maps  --renderer <compact|default|verbose|file>
+  --dependency-changes
+  --severity-rules <rule>  --severity-icons <level:icon>  --highlight-severity <level>
+  --network-profiles <profile>
+Flags that are given more than once (like --budgets or --severity-rules) are combined.
+`;
+
+/**
+ * Parse command line arguments into flag values, starting from the defaults in `CLI_FLAGS`.
+ * Supports `--name value`, `--name=value`, and `--name` / `--no-name` for boolean flags.
+ * @param {string[]} argv
+ * @returns {Record<string, string>}
+ */
+export function parseArgs(argv) {
+	const flags = { ...CLI_FLAGS };
+	const given = new Set();
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith('--')) {
+			throw Error(`Unexpected argument "${arg}"`);
+		}
+
+		let name = arg.slice(2);
+		let value;
+		const eq = name.indexOf('=');
+		if (eq !== -1) {
+			value = name.slice(eq + 1);
+			name = name.slice(0, eq);
+		} else if (name.startsWith('no-') && !(name in CLI_FLAGS)) {
+			name = name.slice(3);
+			value = 'false';
+		} else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+			value = argv[++i];
+		} else {
+			value = 'true';
+		}
+
+		if (!(name in CLI_FLAGS)) {
+			throw Error(`Unknown option "--${name}", see --help for a list of options`);
+		}
+		// Repeated flags are combined, one value per line:
+		flags[name] = given.has(name) ? `${flags[name]}\n${value}` : value;
+		given.add(name);
+	}
+
+	return flags;
+}
@@ -0,0 +1,133 @@
+import { minimatch } from 'minimatch';
+import prettyBytes from 'pretty-bytes';
+import { getDeltaText, getTotals, parseSize } from './utils.js';
+import { estimateTimeDelta, findNetworkProfile, formatTime, parseTime } from './network.js';
+
+/**
+ * @typedef {Object} Budget
+ * @property {string} rule The budget as it was written, used when reporting violations
+ * @property {string} target A minimatch pattern, or "total" for the sum of all files
+ * @property {boolean} relative Whether the limit applies to the change in size instead of the size
+ * @property {boolean} percent Whether the limit is a percentage of the original size
+ * @property {number} limit The limit in bytes, in percent if `percent` is set, or in milliseconds if `profile` is set
+ * @property {import('./network.js').NetworkProfile} [profile] The network download times are estimated on,
+ * for limits given as a time
+ */
+
+/**
+ * @typedef {Object} BudgetViolation
+ * @property {Budget} budget
+ * @property {string} filename The file that exceeded the budget, or "total"
+ * @property {string} actual The size or change that exceeded the limit
+ */
+
+/**
+ * Parse budget rules, one per line. Lines starting with `#` are ignored.
+ *   dist/*.js <= 10 kB              every matching file must be at most 10 kB
+ *   dist/*.js <= +5%                every matching file may grow by at most 5%
+ *   total <= +2 kB                  the sum of all files may grow by at most 2 kB
+ *   total <= 3 s on Slow 3G         the sum of all files must download in at most 3 seconds on Slow 3G
+ *   dist/app.js <= +100ms           limits in time use the first network profile when none is given
+ * @param {string} text
+ * @param {import('./network.js').NetworkProfile[]} [profiles] Configured network profiles, for limits in time
+ * @returns {Budget[]}
+ */
+export function parseBudgets(text, profiles = []) {
+	const budgets = [];
+	for (let line of text.split('\n')) {
+		line = line.trim();
+		if (!line || line.startsWith('#')) continue;
+
+		const match = line.match(/^(.+?)\s*<=\s*(\+)?\s*(.+?)$/);
+		if (!match) {
+			throw Error(`Invalid budget "${line}", expected a rule like "dist/*.js <= 10 kB" or "total <= +5%"`);
+		}
+		const [, target, plus, limitText] = match;
+		const relative = plus === '+';
+		const [, amount, profileName] = limitText.match(/^(.+?)(?:\s+on\s+(.+))?$/);
+		const percent = amount.endsWith('%');
+		if (percent && !relative) {
+			throw Error(`Invalid budget "${line}", percentages are only supported for changes (e.g. "+5%")`);
+		}
+
+		const time = parseTime(amount);
+		if (profileName && time == null) {
+			throw Error(`Invalid budget "${line}", only limits in time like "2 s" or "+100ms" apply to a network profile`);
+		}
+
+		let limit;
+		let profile;
+		if (percent) {
+			if (!/^\d+(\.\d+)?%$/.test(amount)) {
+				throw Error(`Invalid budget "${line}", "${amount}" is not a percentage`);
+			}
+			limit = parseFloat(amount);
+		} else if (time != null) {
+			profile = profileName ? findNetworkProfile(profileName, profiles) : profiles[0];
+			if (!profile) {
+				throw Error(
+					profileName
+						? `Invalid budget "${line}", unknown network profile "${profileName}"`
+						: `Invalid budget "${line}", limits in time need a network profile like "${line} on Slow 3G", or the network-profiles option`
+				);
+			}
+			limit = time;
+		} else {
+			limit = parseSize(amount);
+		}
+
+		budgets.push({ rule: line, target, relative, percent, limit, ...(profile && { profile }) });
+	}
+	return budgets;
+}
+
+/**
+ * @param {Budget} budget
+ * @param {number} size
+ * @param {number} delta
+ */
+function exceedsBudget(budget, size, delta) {
+	if (budget.profile) {
+		const estimate = estimateTimeDelta({ size, delta }, budget.profile);
+		return (budget.relative ? estimate.delta : estimate.time) > budget.limit;
+	}
+	if (!budget.relative) return size > budget.limit;
+	if (!budget.percent) return delta > budget.limit;
+
+	const originalSize = size - delta;
+	// growth of a new file can't be expressed as a percentage
+	if (originalSize === 0) return false;
+	return (delta / originalSize) * 100 > budget.limit;
+}
+
+/**
+ * Check every file (and the total) against a list of budgets
+ * @param {import('./utils.js').Diff[]} files
+ * @param {Budget[]} budgets
+ * @param {object} [options]
+ * @param {number} [options.minimumChangeThreshold] Changes smaller than this are not counted towards the total
+ * @returns {BudgetViolation[]}
+ */
+export function checkBudgets(files, budgets, { minimumChangeThreshold = 1 } = {}) {
+	const violations = [];
+	const total = getTotals(files, minimumChangeThreshold);
+
+	for (const budget of budgets) {
+		const candidates =
+			budget.target === 'total'
+				? [{ filename: 'total', ...total }]
+				: files.filter((file) => minimatch(file.filename, budget.target));
+
+		for (const { filename, size, delta } of candidates) {
+			if (!exceedsBudget(budget, size, delta)) continue;
+			let actual = budget.relative ? getDeltaText(delta, size - delta) : prettyBytes(size);
+			if (budget.profile) {
+				const estimate = estimateTimeDelta({ size, delta }, budget.profile);
+				actual = budget.relative ? `+${formatTime(estimate.delta)}` : formatTime(estimate.time);
+			}
+			violations.push({ budget, filename, actual });
+		}
+	}
+
+	return violations;
+}
@@ -0,0 +1,61 @@
+import path from 'path';
+import { getPackageManagerAndInstallScript, runCommand } from './utils.js';
+import { readLockfiles } from './lockfiles.js';
+
+/**
+ * Install dependencies, then build every target.
+ * Dependencies are installed in `root`, and in any target directory that has its own lockfile.
+ * The lockfiles are read before installing, when dependency changes are shown.
+ * @param {string} root
+ * @param {import('./targets.js').Target[]} targets
+ * @param {string} label
+ * @param {Pick<import('./options.js').CompareOptions, 'installScript' | 'dependencyChanges'>} options
+ * @param {import('./utils.js').Logger} logger
+ */
+export async function installAndBuild(root, targets, label, options, logger) {
+	let { packageManager, installScript } = await getPackageManagerAndInstallScript(root);
+	const lockfiles = options.dependencyChanges ? await readLockfiles(root, targets) : {};
+	if (options.installScript) {
+		installScript = options.installScript;
+	}
+
+	logger.startGroup(`${label} Install Dependencies`);
+	try {
+		logger.log(`Installing using ${installScript}`);
+		await runCommand(logger, installScript, [], { cwd: root });
+	} finally {
+		logger.endGroup();
+	}
+
+	/** @type {Map<string, string>} */
+	const packageManagers = new Map([[root, packageManager]]);
+	for (const { cwd } of targets) {
+		if (packageManagers.has(cwd)) continue;
+		const own = await getPackageManagerAndInstallScript(cwd);
+		if (!own.lockfile) continue;
+		packageManagers.set(cwd, own.packageManager);
+
+		logger.startGroup(`${label} Install Dependencies in ${path.relative(root, cwd)}`);
+		try {
+			logger.log(`Installing using ${own.installScript}`);
+			await runCommand(logger, own.installScript, [], { cwd });
+		} finally {
+			logger.endGroup();
+		}
+	}
+
+	for (const target of targets) {
+		const targetPackageManager = packageManagers.get(target.cwd) || packageManager;
+		const command = `${targetPackageManager} run ${target.buildScript}`;
+		logger.startGroup(`${label} Build${targets.length > 1 ? ` ${target.name}` : ''} using ${targetPackageManager}`);
+		// Ending the group on failure too, so the error isn't hidden in it:
+		try {
+			logger.log(`Building using ${command}`);
+			await runCommand(logger, command, [], { cwd: target.cwd });
+		} finally {
+			logger.endGroup();
+		}
+	}
+
+	return { packageManager, lockfiles };
+}
@@ -0,0 +1,157 @@
+import path from 'path';
+import prettyBytes from 'pretty-bytes';
+import { getDeltaText, parseSize } from './utils.js';
+
+/** The Checks API accepts at most 50 annotations per request */
+const MAX_ANNOTATIONS = 50;
+
+/** The Checks API rejects a summary or text longer than this */
+const MAX_TEXT_LENGTH = 65535;
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} path
+ * @property {number} start_line
+ * @property {number} end_line
+ * @property {'notice' | 'warning' | 'failure'} annotation_level
+ * @property {string} title
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} CheckOutput
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} [text]
+ * @property {Annotation[]} [annotations]
+ */
+
+/**
+ * @typedef {Object} Threshold
+ * @property {boolean} percent Whether the limit is a percentage of the original size
+ * @property {number} limit
+ */
+
+/**
+ * Parse a growth threshold like "10%" or "1 kB"
+ * @param {string} value
+ * @returns {Threshold}
+ */
+export function parseThreshold(value) {
+	const percent = value.trim().endsWith('%');
+	const limit = percent ? parseFloat(value) : parseSize(value);
+	if (isNaN(limit)) {
+		throw Error(`Invalid threshold "${value}", expected a percentage like "10%" or a size like "1 kB"`);
+	}
+	return { percent, limit };
+}
+
+/**
+ * @param {import('./utils.js').Diff} file
+ * @param {Threshold} threshold
+ */
+function exceedsThreshold(file, threshold) {
+	const originalSize = file.size - file.delta;
+	if (!threshold.percent) return file.delta >= threshold.limit;
+	return originalSize === 0 || (file.delta / originalSize) * 100 >= threshold.limit;
+}
+
+/**
+ * Create an annotation for each file that grew past the threshold or exceeded a size budget.
+ * Paths are relative to `root`, which should be the root of the repository.
+ * @param {import('./report.js').TargetResult[]} results
+ * @param {object} options
+ * @param {Threshold} options.threshold
+ * @param {number} options.minimumChangeThreshold
+ * @param {'error' | 'warn'} [options.budgetMode] Budget violations are failures, or warnings in "warn" mode
+ * @param {string} options.root
+ * @returns {Annotation[]}
+ */
+export function checkAnnotations(results, { threshold, minimumChangeThreshold, budgetMode = 'error', root }) {
+	/** @type {Annotation[]} */
+	const annotations = [];
+	for (const { target, files, budgetViolations } of results) {
+		const dir = path.relative(root, target.cwd).split(path.sep).join('/');
+		for (const file of files) {
+			const violations = budgetViolations.filter((violation) => violation.filename === file.filename);
+			const grew = file.delta >= minimumChangeThreshold && exceedsThreshold(file, threshold);
+			if (!grew && violations.length === 0) continue;
+
+			const change = getDeltaText(file.delta, file.size - file.delta);
+			annotations.push({
+				path: path.posix.join(dir, file.filename),
+				start_line: 1,
+				end_line: 1,
+				annotation_level: violations.length && budgetMode === 'error' ? 'failure' : 'warning',
+				title: `${file.filename} is ${prettyBytes(file.size)} (${change})`,
+				message: violations.length
+					? violations.map(({ budget, actual }) => `${actual} exceeds the size budget "${budget.rule}"`).join('\n')
+					: `${file.filename} grew by ${change}`
+			});
+		}
+	}
+	return annotations;
+}
+
+/**
+ * Summarize a report in a single line, like "Total size: 12 kB (+1 kB (+9.09%)), 2 files changed"
+ * @param {import('./report.js').Report} report
+ */
+export function checkSummary(report) {
+	const { size, delta } = report.total;
+	const changed = report.changedFiles.length;
+	let summary = `Total size: ${prettyBytes(size)} (${getDeltaText(delta, size - delta)}), `;
+	summary += `${changed === 0 ? 'no' : changed} file${changed === 1 ? '' : 's'} changed`;
+	if (report.budgetViolations.length) {
+		const count = report.budgetViolations.length;
+		summary += `, ${count} size budget${count === 1 ? '' : 's'} exceeded`;
+	}
+	return summary;
+}
+
+/**
+ * Choose the check's conclusion: exceeded budgets fail it (or make it neutral in "warn" mode),
+ * and files that grew past the annotation threshold make it neutral.
+ * @param {object} options
+ * @param {unknown[]} options.budgetViolations
+ * @param {'error' | 'warn'} options.budgetMode
+ * @param {Annotation[]} options.annotations
+ * @returns {'success' | 'neutral' | 'failure'}
+ */
+export function checkConclusion({ budgetViolations, budgetMode, annotations }) {
+	if (budgetViolations.length) {
+		return budgetMode === 'warn' ? 'neutral' : 'failure';
+	}
+	return annotations.length ? 'neutral' : 'success';
+}
+
+/**
+ * @param {string} text
+ * @param {string} note Appended when the text had to be cut off
+ */
+function truncate(text, note) {
+	if (text.length <= MAX_TEXT_LENGTH) return text;
+	return text.slice(0, MAX_TEXT_LENGTH - note.length) + note;
+}
+
+/**
+ * Split a check's output into as many outputs as needed to stay within the Checks API's limits.
+ * Every output repeats the title, summary and text, and carries the next batch of annotations.
+ * @param {CheckOutput} output
+ * @returns {CheckOutput[]}
+ */
+export function splitCheckOutput({ title, summary, text, annotations = [] }) {
+	const base = {
+		title,
+		summary: truncate(summary, '\n\n…'),
+		...(text != null && {
+			text: truncate(text, '\n\n… (truncated, the full report is available in the `markdown` output)')
+		})
+	};
+
+	const outputs = [];
+	for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS) {
+		outputs.push({ ...base, annotations: annotations.slice(i, i + MAX_ANNOTATIONS) });
+	}
+	return outputs.length ? outputs : [base];
+}
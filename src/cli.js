@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import { toBool } from './utils.js';
+import { parseArgs, HELP } from './args.js';
+import { getCompareOptions } from './options.js';
+import { loadConfig, withConfig } from './config.js';
+import { compare } from './compare.js';
+import { createReport } from './report.js';
+import { getHeadSha } from './git.js';
+import { createHistoryStore, historyMarkdown } from './history.js';
+
+/**
+ * Compare the working copy against a base ref, printing the report to stdout.
+ * All progress and build output goes to stderr.
+ * @param {string[]} argv
+ */
+async function main(argv) {
+	const flags = parseArgs(argv);
+	if (toBool(flags.help)) {
+		process.stdout.write(HELP);
+		return;
+	}
+	if (!flags.base) {
+		throw Error('Missing --base, the git ref to compare against (e.g. --base main)');
+	}
+	if (flags.format !== 'markdown' && flags.format !== 'json') {
+		throw Error(`Invalid --format "${flags.format}", expected "markdown" or "json"`);
+	}
+
+	if (flags.cwd) process.chdir(flags.cwd);
+
+	/** @type {import('./utils.js').Logger} */
+	const logger = {
+		log: console.error,
+		startGroup: (name) => console.error(`\n▸ ${name}`),
+		endGroup() {},
+		outStream: process.stderr
+	};
+
+	const config = await loadConfig(flags.config);
+	if (config) console.error(`Using options from ${config.filename}`);
+	const input = withConfig((name) => flags[name], config);
+
+	const headSha = await getHeadSha(process.cwd());
+	const options = {
+		...(await getCompareOptions(input)),
+		baseRef: flags.base,
+		baseSha: null,
+		headSha,
+		fetch: toBool(flags.fetch),
+		useWorktree: !toBool(flags['in-place']),
+		saveBaseline: false
+	};
+	const { results, markdown, budgetViolations } = await compare(options, logger);
+
+	const report = createReport({
+		targets: results,
+		base: { ref: flags.base, sha: null },
+		head: { sha: headSha },
+		minimumChangeThreshold: options.minimumChangeThreshold,
+		markdown
+	});
+	if (input('history-store')) {
+		const history = historyMarkdown(await createHistoryStore(input('history-store')).load(), report);
+		if (history) report.markdown += '\n\n' + history;
+	}
+
+	if (flags.format === 'json') {
+		process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+	} else {
+		process.stdout.write(report.markdown + '\n');
+	}
+
+	if (budgetViolations.length && options.budgetMode === 'error') {
+		console.error(`Size budget exceeded`);
+		process.exitCode = 1;
+	}
+}
+
+main(process.argv.slice(2)).catch((e) => {
+	console.error(e.message);
+	process.exitCode = 1;
+});
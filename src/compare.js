@@ -0,0 +1,410 @@
+import path from 'path';
+import { SizePlugin } from '@rschristian/size-plugin';
+import {
+	stripHash,
+	mergeEncodingDiffs,
+	addBaselines,
+	runCommand,
+	compressionKey
+} from './utils.js';
+import { installAndBuild } from './build.js';
+import { checkBudgets } from './budgets.js';
+import { isSnapshotCompatible } from './snapshots.js';
+import { detectRenames } from './renames.js';
+import { readCompositions, addCompositions } from './sourcemaps.js';
+import { createRenderModel } from './render.js';
+import { measureTargets } from './measure.js';
+import { readManifest, manifestFiles, addKinds, entryDeltas } from './manifests.js';
+import { diffDependencies } from './lockfiles.js';
+import { affectedWorkspaces, workspaceDependencies } from './workspaces.js';
+import {
+	gitOutput,
+	getRepoRoot,
+	fetchBase,
+	resetHard,
+	checkoutBase,
+	withWorktree,
+	resolveTagPattern,
+	getChangedFiles
+} from './git.js';
+
+/**
+ * @typedef {import('./report.js').TargetResult & { markdown: string }} TargetComparison
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {TargetComparison[]} results
+ * @property {string} markdown The report for all targets
+ * @property {import('./budgets.js').BudgetViolation[]} budgetViolations Violations of all targets,
+ * prefixed with the target name when there are several
+ */
+
+/**
+ * @param {import('./targets.js').Target} target
+ * @param {((fileName: string) => string) | undefined} stripHashFn
+ */
+function createPlugins(target, stripHashFn) {
+	return target.compressions.map(
+		(compression) =>
+			new SizePlugin({ compression, pattern: target.pattern, exclude: target.exclude, stripHash: stripHashFn })
+	);
+}
+
+/**
+ * In workspaces mode, pick the targets of the packages affected by the changes since the base.
+ * Every package is built when the changed files can't be listed, like when the base can't be fetched.
+ * @param {import('./options.js').CompareOptions} options
+ * @param {import('./git.js').GitOptions} git
+ * @returns {Promise<import('./targets.js').Target[]>}
+ */
+async function selectAffectedTargets(options, git) {
+	const { cwd: root, targets, workspaces, baseRef, baseSha } = options;
+	const { logger } = git;
+	logger.startGroup('Find affected packages');
+	try {
+		let files;
+		try {
+			if (options.fetch) await fetchBase({ baseRef, baseSha }, git);
+			files = await getChangedFiles({ baseRef, baseSha }, root);
+		} catch (e) {
+			logger.log(`Could not list the changed files (${e.message}), building every package`);
+			return targets;
+		}
+		// Changed files are relative to the repository, which may contain more than the workspace:
+		const repoRoot = await getRepoRoot(root);
+		const changed = files
+			.map((file) => path.relative(root, path.join(repoRoot, file)).replace(/\\/g, '/'))
+			.filter((file) => !file.startsWith('../'));
+
+		const affected = affectedWorkspaces(workspaces, changed);
+		const selected = targets.filter((target) => affected.has(target.name));
+		logger.log(
+			`${changed.length} changed file${changed.length === 1 ? '' : 's'}, ` +
+				`affecting ${selected.length ? selected.map((target) => target.name).join(', ') : 'no packages'}`
+		);
+		return selected;
+	} finally {
+		logger.endGroup();
+	}
+}
+
+/**
+ * Build and measure the current working copy, then do the same for the base commit
+ * (unless its sizes are in the baseline store) and compare the two.
+ * Additional bases are always built in worktrees, and add a column with the change since each of them.
+ * In workspaces mode, only the packages affected by the changes are measured and compared,
+ * after building them along with the workspace packages they depend on.
+ * @param {import('./options.js').CompareOptions} options
+ * @param {import('./utils.js').Logger} logger
+ * @returns {Promise<Comparison>}
+ */
+export async function compare(options, logger) {
+	const { cwd: root, baseRef, baseSha, baselineStore, minimumChangeThreshold } = options;
+	const git = { cwd: root, logger };
+
+	const targets = options.workspaces ? await selectAffectedTargets(options, git) : options.targets;
+	// Runs that save a baseline measure every package, so later PRs find the packages they change in it:
+	const saveBaseline = Boolean(baselineStore && options.saveBaseline && options.headSha);
+	const headTargets = options.workspaces && saveBaseline ? options.targets : targets;
+	const noTargets = { results: [], markdown: 'No packages are affected by these changes.', budgetViolations: [] };
+	if (!headTargets.length) return noTargets;
+	// Workspace packages always get a section, so a single affected package is named too:
+	const sections = targets.length > 1 || Boolean(options.workspaces);
+
+	const stripHashFns = new Map(headTargets.map((target) => [target.name, stripHash(target.stripHash)]));
+	// Each compression of each target is compared and printed by its own plugin instance:
+	const plugins = new Map(
+		targets.map((target) => [target.name, createPlugins(target, stripHashFns.get(target.name))])
+	);
+	const usesManifests = headTargets.some((target) => target.manifest);
+
+	/**
+	 * The targets to build for some targets to be measured. In workspaces mode, those of the workspace packages
+	 * they depend on are built too, since their builds may need the output of those, in the order of `readWorkspaces`.
+	 * @param {import('./targets.js').Target[]} targets
+	 */
+	const withDependencies = (targets) => {
+		if (!options.workspaces) return targets;
+		const names = workspaceDependencies(options.workspaces, targets.map(({ name }) => name));
+		return options.targets.filter(({ name }) => names.has(name));
+	};
+
+	/**
+	 * Measure the build output of each target, along with anything else that has to be read while it's on disk:
+	 * bundler manifests, which decide the files to measure, and source maps.
+	 * Files that are the same on both sides are only compressed once, thanks to the shared cache.
+	 * @param {import('./targets.js').Target[]} targets
+	 * @param {string} label
+	 */
+	const readBuild = async (targets, label) => {
+		/** @type {Record<string, import('./manifests.js').Manifest>} */
+		const manifests = {};
+		/** @type {Record<string, string[]>} */
+		const files = {};
+		for (const target of targets) {
+			if (!target.manifest) continue;
+			const manifest = await readManifest(target);
+			if (manifest) {
+				manifests[target.name] = manifest;
+				files[target.name] = await manifestFiles(manifest, target);
+			} else {
+				logger.log(`${label} No manifest at ${target.manifest}, measuring the files matching ${target.pattern}`);
+			}
+		}
+
+		const sizes = await measureTargets(targets, { cache: options.measureCache, stripHashFns, files, label }, logger);
+
+		/** @type {Record<string, Record<string, import('./sourcemaps.js').Composition>>} */
+		const compositions = {};
+		if (options.sourceMaps) {
+			for (const target of targets) {
+				compositions[target.name] = await readCompositions(target, stripHashFns.get(target.name), files[target.name]);
+			}
+		}
+		return { sizes, compositions, manifests };
+	};
+
+	const { packageManager, lockfiles: newLockfiles } = await installAndBuild(
+		root,
+		withDependencies(headTargets),
+		'[current]',
+		options,
+		logger
+	);
+
+	const { sizes: newSizes, compositions: newCompositions, manifests: newManifests } = await readBuild(
+		headTargets,
+		'[current]'
+	);
+
+	/**
+	 * The settings each target is measured with, to check that stored sizes were measured the same way
+	 * @param {import('./targets.js').Target[]} targets
+	 */
+	const targetSettings = (targets) =>
+		targets.map(({ name, path, pattern, exclude, stripHash, buildScript, compressions, compressionSettings, manifest }) => ({
+			name,
+			path,
+			pattern,
+			exclude,
+			stripHash,
+			buildScript,
+			// Sizes measured with other levels or windows can't be reused:
+			compressions: compressions.map((compression) => compressionKey(compression, compressionSettings[compression])),
+			...(manifest && { manifest })
+		}));
+	const settings = targetSettings(targets);
+	if (saveBaseline) {
+		logger.log(`Saving baseline sizes for ${options.headSha}`);
+		await baselineStore.save({
+			sha: options.headSha,
+			settings: targetSettings(headTargets),
+			sizes: newSizes,
+			...(options.sourceMaps && { compositions: newCompositions }),
+			...(usesManifests && { manifests: newManifests }),
+			...(options.dependencyChanges && { lockfiles: newLockfiles })
+		});
+	}
+	if (!targets.length) return noTargets;
+
+	let oldSizes;
+	let oldCompositions = {};
+	/** @type {Record<string, import('./manifests.js').Manifest>} */
+	let oldManifests = {};
+	/** @type {Record<string, import('./lockfiles.js').Dependencies>} */
+	let oldLockfiles = {};
+	if (baselineStore && baseSha) {
+		const snapshot = await baselineStore.load(baseSha);
+		// Source map breakdowns, manifests and lockfiles need the base's side too, which older snapshots don't have:
+		if (
+			isSnapshotCompatible(snapshot, settings) &&
+			(!options.sourceMaps || snapshot.compositions) &&
+			(!usesManifests || snapshot.manifests) &&
+			(!options.dependencyChanges || snapshot.lockfiles)
+		) {
+			logger.log(`Using stored baseline sizes for ${baseSha}, skipping the base build`);
+			oldSizes = snapshot.sizes;
+			oldCompositions = snapshot.compositions || {};
+			oldManifests = snapshot.manifests || {};
+			oldLockfiles = snapshot.lockfiles || {};
+		} else {
+			logger.log(`No usable baseline stored for ${baseSha}, building the base commit`);
+		}
+	}
+
+	/**
+	 * Build a commit in a separate worktree, leaving the current working copy untouched
+	 * @param {{ baseRef: string, baseSha: string | null }} base
+	 * @param {string} label
+	 */
+	const buildInWorktree = async (base, label) => {
+		logger.startGroup(`${label} Checkout ${base.baseRef || base.baseSha} into a worktree`);
+		// The group ends once the worktree is added, or when fetching or adding it fails:
+		let grouped = true;
+		try {
+			if (options.fetch) await fetchBase(base, git);
+			const repoRoot = await getRepoRoot(root);
+			return await withWorktree(base, git, async (worktree) => {
+				logger.endGroup();
+				grouped = false;
+				const inWorktree = (dir) => path.join(worktree, path.relative(repoRoot, dir));
+				/** @param {import('./targets.js').Target[]} targets */
+				const moved = (targets) => targets.map((target) => ({ ...target, cwd: inWorktree(target.cwd) }));
+				const build = moved(withDependencies(targets));
+				const { lockfiles } = await installAndBuild(inWorktree(root), build, label, options, logger);
+				return { ...(await readBuild(moved(targets), label)), lockfiles };
+			});
+		} finally {
+			if (grouped) logger.endGroup();
+		}
+	};
+
+	if (!oldSizes && options.useWorktree) {
+		({
+			sizes: oldSizes,
+			compositions: oldCompositions,
+			manifests: oldManifests,
+			lockfiles: oldLockfiles
+		} = await buildInWorktree({ baseRef, baseSha }, '[base]'));
+	} else if (!oldSizes) {
+		// In case the build step alters a JSON-file, ....
+		await resetHard(null, git);
+
+		logger.startGroup(`[base] Checkout target branch`);
+		try {
+			if (options.fetch) await fetchBase({ baseRef, baseSha }, git);
+
+			if (options.cleanScript) {
+				logger.startGroup(`[target] Cleanup via ${packageManager} run ${options.cleanScript}`);
+				await runCommand(logger, `${packageManager} run ${options.cleanScript}`, [], { cwd: root });
+				logger.endGroup();
+			}
+
+			logger.log('checking out and building base commit');
+			await checkoutBase({ baseRef, baseSha }, git);
+		} finally {
+			logger.endGroup();
+		}
+
+		({ lockfiles: oldLockfiles } = await installAndBuild(root, withDependencies(targets), '[base]', options, logger));
+
+		// In case the build step alters a JSON-file, ....
+		await resetHard(null, git);
+
+		({ sizes: oldSizes, compositions: oldCompositions, manifests: oldManifests } = await readBuild(targets, '[base]'));
+	}
+
+	/** @type {{ ref: string, sizes: Record<string, Record<string, number>[]> }[]} */
+	const additionalBases = [];
+	for (const pattern of options.additionalBaseRefs) {
+		const ref = await resolveTagPattern(pattern, { ...git, fetch: options.fetch });
+		const label = `[${ref}]`;
+		let sizes;
+		if (baselineStore) {
+			const sha = await gitOutput(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], root).catch(() => '');
+			const snapshot = sha ? await baselineStore.load(sha) : null;
+			if (isSnapshotCompatible(snapshot, settings)) {
+				logger.log(`Using stored baseline sizes for ${ref} (${sha})`);
+				sizes = snapshot.sizes;
+			}
+		}
+		if (!sizes) {
+			({ sizes } = await buildInWorktree({ baseRef: ref, baseSha: null }, label));
+		}
+		additionalBases.push({ ref, sizes });
+	}
+
+	await options.measureCache.save();
+
+	/** @type {Record<string, import('./lockfiles.js').DependencyChange[]>} By lockfile directory, relative to the root */
+	const dependencyChanges = {};
+	if (options.dependencyChanges) {
+		for (const dir of new Set([...Object.keys(oldLockfiles), ...Object.keys(newLockfiles)])) {
+			dependencyChanges[dir] = diffDependencies(oldLockfiles[dir] || {}, newLockfiles[dir] || {});
+			const count = dependencyChanges[dir].length;
+			logger.log(`${count} dependency change${count === 1 ? '' : 's'} in the lockfile in ${dir || 'the root'}`);
+		}
+	}
+
+	/** @type {TargetComparison[]} */
+	const results = [];
+	for (const target of targets) {
+		const { compressions } = target;
+		const targetPlugins = plugins.get(target.name);
+		const before = oldSizes[target.name];
+		const after = newSizes[target.name];
+		const diffs = await Promise.all(targetPlugins.map((plugin, i) => plugin.getDiff(before[i], after[i])));
+		let diff = compressions.length > 1 ? mergeEncodingDiffs(compressions, diffs) : diffs[0];
+		if (options.detectRenames) {
+			diff = detectRenames(diff);
+		}
+		if (additionalBases.length) {
+			// Only the first compression is compared to additional bases, like for budgets:
+			const bases = additionalBases.map(({ ref, sizes }) => ({ ref, sizes: sizes[target.name][0] }));
+			diff = addBaselines(diff, bases);
+		}
+		if (options.sourceMaps) {
+			const baseCompositions = oldCompositions[target.name] || {};
+			diff = addCompositions(diff, baseCompositions, newCompositions[target.name], minimumChangeThreshold);
+		}
+		let entries;
+		if (target.manifest) {
+			const baseManifest = oldManifests[target.name] || null;
+			const headManifest = newManifests[target.name] || null;
+			const strip = stripHashFns.get(target.name);
+			diff = addKinds(diff, baseManifest, headManifest, strip);
+			entries = entryDeltas(baseManifest, headManifest, before[0], after[0], strip);
+		}
+
+		let dependencies;
+		if (options.dependencyChanges) {
+			// Targets without a lockfile of their own use the root's:
+			const dir = path.relative(root, target.cwd);
+			dependencies = dependencyChanges[dir in dependencyChanges ? dir : ''] || [];
+		}
+
+		logger.startGroup(`Size Differences${targets.length > 1 ? ` for ${target.name}` : ''}:`);
+		for (let i = 0; i < targetPlugins.length; i++) {
+			if (targetPlugins.length > 1) logger.log(`\n${compressions[i]}:`);
+			const cliText = await targetPlugins[i].printSizes(diffs[i]);
+			logger.log(cliText);
+		}
+		logger.endGroup();
+
+		const budgetViolations = checkBudgets(diff, options.budgets, { minimumChangeThreshold });
+
+		const model = createRenderModel({
+			target,
+			files: diff,
+			budgetViolations,
+			base: { ref: baseRef || null, sha: baseSha || null },
+			head: { sha: options.headSha || null },
+			minimumChangeThreshold,
+			table: options.table,
+			entries,
+			dependencyChanges: dependencies
+		});
+		const markdown = await options.renderer(model);
+
+		results.push({
+			target,
+			files: diff,
+			budgetViolations,
+			markdown,
+			...(entries && { entries }),
+			...(dependencies && { dependencyChanges: dependencies })
+		});
+	}
+
+	const markdown = !sections
+		? results[0].markdown
+		: results.map(({ target, markdown }) => `### ${target.name}\n\n${markdown}`).join('\n\n');
+	const budgetViolations = results.flatMap(({ target, budgetViolations }) =>
+		budgetViolations.map((violation) =>
+			sections ? { ...violation, filename: `${target.name}: ${violation.filename}` } : violation
+		)
+	);
+
+	return { results, markdown, budgetViolations };
+}
@@ -0,0 +1,360 @@
+import fs from 'fs';
+import path from 'path';
+import { fileExists, parseCompressionSettings } from './utils.js';
+import { SEVERITY_LEVELS, severityRank } from './severity.js';
+import { TARGET_KEYS } from './targets.js';
+
+/** Looked up in the working directory when no config file is given */
+const CONFIG_FILE = '.compressed-size.json';
+
+/** Key of the config in package.json, when there is no config file */
+const PACKAGE_KEY = 'compressed-size';
+
+/**
+ * @typedef {Object} ConfigOption
+ * @property {'string' | 'boolean' | 'number' | 'patterns' | 'lines' | 'map' | 'groups' | 'targets'} type
+ *   "patterns" and "lines" accept a string or an array of strings, "map" and "groups" an object
+ * @property {string[]} [values] Allowed values, for strings
+ * @property {(value: string) => unknown} [validate] Throws when a string isn't valid
+ */
+
+const SORT_VALUES = ['Filename', 'Size', 'Change', 'Severity'].flatMap((column) => [`${column}:asc`, `${column}:desc`]);
+
+/**
+ * Options that can be set in a config file. They're named like the action's inputs.
+ * @type {Record<string, ConfigOption>}
+ */
+export const CONFIG_SCHEMA = {
+	'additional-base-refs': { type: 'lines' },
+	'install-script': { type: 'string' },
+	'build-script': { type: 'string' },
+	'clean-script': { type: 'string' },
+	'use-worktree': { type: 'boolean' },
+	compression: { type: 'string', validate: parseCompressionSettings },
+	pattern: { type: 'patterns' },
+	exclude: { type: 'patterns' },
+	'strip-hash': { type: 'string' },
+	manifest: { type: 'string' },
+	targets: { type: 'targets' },
+	workspaces: { type: 'boolean' },
+	'show-total': { type: 'boolean' },
+	'collapse-unchanged': { type: 'boolean' },
+	'omit-unchanged': { type: 'boolean' },
+	'minimum-change-threshold': { type: 'number' },
+	'sort-by': { type: 'string', values: SORT_VALUES },
+	renderer: { type: 'string' },
+	'severity-rules': { type: 'lines' },
+	'severity-icons': { type: 'map' },
+	'network-profiles': { type: 'lines' },
+	'highlight-severity': { type: 'string', values: SEVERITY_LEVELS.filter((level) => severityRank(level) > 0) },
+	'detect-renames': { type: 'boolean' },
+	'source-maps': { type: 'boolean' },
+	'dependency-changes': { type: 'boolean' },
+	groups: { type: 'groups' },
+	budgets: { type: 'lines' },
+	'budget-file': { type: 'string' },
+	'budget-mode': { type: 'string', values: ['error', 'warn'] },
+	'annotation-threshold': { type: 'string' },
+	'baseline-store': { type: 'string' },
+	'measure-cache': { type: 'string' },
+	'history-store': { type: 'string' },
+	'use-check': { type: 'boolean' },
+	'comment-key': { type: 'string' },
+	'report-file': { type: 'string' },
+	'job-summary': { type: 'boolean' },
+	'commit-comment': { type: 'boolean' }
+};
+
+/** Options of each entry in `files`, which apply to the files matching its pattern */
+const FILE_OPTIONS = ['budgets', 'severity'];
+
+/**
+ * Values used for options that are neither given as an input nor set in the config
+ * @type {Record<string, string>}
+ */
+export const CONFIG_DEFAULTS = {
+	'build-script': 'build',
+	compression: 'gzip',
+	'show-total': 'true',
+	'collapse-unchanged': 'true',
+	'minimum-change-threshold': '1',
+	'sort-by': 'Filename:asc',
+	renderer: 'default',
+	'budget-mode': 'error',
+	'annotation-threshold': '10%',
+	'job-summary': 'true'
+};
+
+/**
+ * Parse JSON that may contain comments and trailing commas
+ * @param {string} text
+ * @param {string} filename Used in error messages
+ */
+export function parseJsonc(text, filename) {
+	/** @type {string[]} */
+	const out = [];
+	// The last comma, which is dropped if only whitespace and comments follow it before a closing bracket:
+	let comma = -1;
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (char === '"') {
+			// Copy strings as they are, so "//" in a pattern isn't mistaken for a comment:
+			let end = i + 1;
+			while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+			out.push(text.slice(i, end + 1));
+			i = end;
+			comma = -1;
+		} else if (char === '/' && text[i + 1] === '/') {
+			while (i < text.length && text[i] !== '\n') i++;
+			out.push('\n');
+		} else if (char === '/' && text[i + 1] === '*') {
+			const end = text.indexOf('*/', i + 2);
+			// Keep line breaks, so line numbers in errors still match the file:
+			out.push(text.slice(i, end === -1 ? text.length : end + 2).replace(/[^\n]/g, ' '));
+			i = end === -1 ? text.length : end + 1;
+		} else if (char === ',') {
+			comma = out.length;
+			out.push(char);
+		} else if (char === ']' || char === '}') {
+			if (comma !== -1) out[comma] = ' ';
+			comma = -1;
+			out.push(char);
+		} else {
+			if (!/\s/.test(char)) comma = -1;
+			out.push(char);
+		}
+	}
+	const json = out.join('');
+	try {
+		return JSON.parse(json);
+	} catch (e) {
+		throw Error(`Invalid JSON in ${filename}: ${e.message}`);
+	}
+}
+
+/**
+ * @param {unknown} value
+ */
+function describe(value) {
+	if (Array.isArray(value)) return 'an array';
+	if (value === null) return 'null';
+	if (typeof value === 'object') return 'an object';
+	return JSON.stringify(value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+	return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} value
+ */
+function isStringArray(value) {
+	return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+/**
+ * Combine several minimatch patterns into one
+ * @param {string | string[]} patterns
+ */
+function joinPatterns(patterns) {
+	if (typeof patterns === 'string') return patterns;
+	return patterns.length === 1 ? patterns[0] : `{${patterns.join(',')}}`;
+}
+
+/**
+ * Validate a single option and convert it to a string, the way it would be given as an input
+ * @param {string} key Used in error messages, like `targets[0].pattern`
+ * @param {ConfigOption} option
+ * @param {unknown} value
+ * @param {string} filename
+ * @returns {string}
+ */
+function convertOption(key, option, value, filename) {
+	/** @param {string} expected */
+	const invalid = (expected) =>
+		Error(`Invalid option "${key}" in ${filename}: expected ${expected}, got ${describe(value)}`);
+
+	switch (option.type) {
+		case 'string':
+			if (typeof value !== 'string') throw invalid('a string');
+			if (option.values && !option.values.includes(value)) {
+				throw invalid(`one of "${option.values.join('", "')}"`);
+			}
+			if (option.validate) {
+				try {
+					option.validate(value);
+				} catch (e) {
+					throw Error(`Invalid option "${key}" in ${filename}: ${e.message}`);
+				}
+			}
+			return value;
+		case 'boolean':
+			if (typeof value !== 'boolean') throw invalid('true or false');
+			return String(value);
+		case 'number':
+			if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+				throw invalid('a whole number of bytes');
+			}
+			return String(value);
+		case 'patterns':
+			if (typeof value !== 'string' && !(isStringArray(value) && value.length)) {
+				throw invalid('a pattern or an array of patterns');
+			}
+			return joinPatterns(/** @type {string | string[]} */ (value));
+		case 'lines':
+			if (typeof value !== 'string' && !isStringArray(value)) throw invalid('a string or an array of strings');
+			return typeof value === 'string' ? value : value.join('\n');
+		case 'map':
+			if (!isObject(value) || !Object.values(value).every((item) => typeof item === 'string')) {
+				throw invalid('an object of strings');
+			}
+			return Object.entries(value)
+				.map(([name, item]) => `${name}: ${item}`)
+				.join('\n');
+		case 'groups':
+			if (!isObject(value) || !Object.values(value).every((item) => typeof item === 'string' || isStringArray(item))) {
+				throw invalid('an object of patterns, like { "vendor": ["dist/vendor-*.js"] }');
+			}
+			return Object.entries(value)
+				.map(([name, patterns]) => `${name}: ${[].concat(patterns).join(' ')}`)
+				.join('\n');
+		case 'targets':
+			if (typeof value === 'string') return value;
+			if (!Array.isArray(value)) throw invalid('an array of targets or the path to a targets file');
+			return JSON.stringify(value.map((target, i) => convertTarget(`${key}[${i}]`, target, filename)));
+	}
+}
+
+/**
+ * @param {string} key
+ * @param {unknown} target
+ * @param {string} filename
+ */
+function convertTarget(key, target, filename) {
+	if (!isObject(target)) {
+		throw Error(`Invalid option "${key}" in ${filename}: expected an object, got ${describe(target)}`);
+	}
+	/** @type {Record<string, string>} */
+	const options = {};
+	for (const name in target) {
+		if (!TARGET_KEYS.includes(name)) {
+			throw Error(`Unknown option "${key}.${name}" in ${filename}, expected one of "${TARGET_KEYS.join('", "')}"`);
+		}
+		/** @type {ConfigOption} */
+		const option = name === 'pattern' || name === 'exclude' ? { type: 'patterns' } : { ...CONFIG_SCHEMA[name], type: 'string' };
+		options[name] = convertOption(`${key}.${name}`, option, target[name], filename);
+	}
+	return options;
+}
+
+/**
+ * Turn the options for files matching a pattern into budget and severity rules for that pattern:
+ *   "files": { "dist/vendor-*.js": { "budgets": ["100 kB", "+5%"], "severity": { "high": "+8 kB" } } }
+ * @param {unknown} files
+ * @param {string} filename
+ * @returns {{ budgets: string[], severityRules: string[] }}
+ */
+function convertFiles(files, filename) {
+	if (!isObject(files)) {
+		throw Error(`Invalid option "files" in ${filename}: expected an object of file patterns, got ${describe(files)}`);
+	}
+	const budgets = [];
+	const severityRules = [];
+	for (const [pattern, options] of Object.entries(files)) {
+		const key = `files["${pattern}"]`;
+		if (!isObject(options)) {
+			throw Error(`Invalid option "${key}" in ${filename}: expected an object, got ${describe(options)}`);
+		}
+		for (const name in options) {
+			if (!FILE_OPTIONS.includes(name)) {
+				throw Error(`Unknown option "${key}.${name}" in ${filename}, expected one of "${FILE_OPTIONS.join('", "')}"`);
+			}
+		}
+		if (options.budgets != null) {
+			const limits = convertOption(`${key}.budgets`, { type: 'lines' }, options.budgets, filename);
+			for (const limit of limits.split('\n')) budgets.push(`${pattern} <= ${limit}`);
+		}
+		if (options.severity != null) {
+			const rules = convertOption(`${key}.severity`, { type: 'map' }, options.severity, filename);
+			for (const rule of rules.split('\n')) severityRules.push(`${rule} for ${pattern}`);
+		}
+	}
+	return { budgets, severityRules };
+}
+
+/**
+ * Validate a config and convert its options to strings, named and formatted like the action's inputs
+ * @param {unknown} config
+ * @param {string} filename Used in error messages
+ * @returns {Record<string, string>}
+ */
+export function parseConfig(config, filename) {
+	if (!isObject(config)) {
+		throw Error(`Invalid config in ${filename}: expected an object, got ${describe(config)}`);
+	}
+
+	/** @type {Record<string, string>} */
+	const options = {};
+	for (const [key, value] of Object.entries(config)) {
+		if (key === 'files' || key === '$schema') continue;
+		const option = CONFIG_SCHEMA[key];
+		if (!option) {
+			const keys = [...Object.keys(CONFIG_SCHEMA), 'files'];
+			throw Error(`Unknown option "${key}" in ${filename}, expected one of "${keys.join('", "')}"`);
+		}
+		options[key] = convertOption(key, option, value, filename);
+	}
+
+	if (config.files != null) {
+		const { budgets, severityRules } = convertFiles(config.files, filename);
+		if (budgets.length) {
+			options.budgets = [options.budgets, ...budgets].filter(Boolean).join('\n');
+		}
+		if (severityRules.length) {
+			options['severity-rules'] = [options['severity-rules'], ...severityRules].filter(Boolean).join('\n');
+		}
+	}
+	return options;
+}
+
+/**
+ * Load the config from the given file, or else from `.compressed-size.json` or the "compressed-size"
+ * key of package.json in the working directory.
+ * @param {string} [filename]
+ * @returns {Promise<{ filename: string, options: Record<string, string> } | null>}
+ */
+export async function loadConfig(filename) {
+	if (filename) {
+		const text = await fs.promises.readFile(filename, 'utf-8');
+		return { filename, options: parseConfig(parseJsonc(text, filename), filename) };
+	}
+	if (await fileExists(CONFIG_FILE)) {
+		const text = await fs.promises.readFile(CONFIG_FILE, 'utf-8');
+		return { filename: CONFIG_FILE, options: parseConfig(parseJsonc(text, CONFIG_FILE), CONFIG_FILE) };
+	}
+	const packageFile = path.resolve('package.json');
+	if (await fileExists(packageFile)) {
+		const pkg = JSON.parse(await fs.promises.readFile(packageFile, 'utf-8'));
+		if (pkg[PACKAGE_KEY] != null) {
+			const name = `package.json ("${PACKAGE_KEY}")`;
+			return { filename: 'package.json', options: parseConfig(pkg[PACKAGE_KEY], name) };
+		}
+	}
+	return null;
+}
+
+/**
+ * Read inputs from the config where they aren't given, falling back to the defaults
+ * @param {(name: string) => string} input
+ * @param {{ options: Record<string, string> } | null} config
+ * @returns {(name: string) => string}
+ */
+export function withConfig(input, config) {
+	const options = config ? config.options : {};
+	return (name) => input(name) || options[name] || CONFIG_DEFAULTS[name] || '';
+}
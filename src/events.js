@@ -0,0 +1,104 @@
+import fs from 'fs';
+
+/**
+ * @typedef {typeof import("@actions/github").context} ActionContext
+ */
+
+/**
+ * The commits compared on a `push`, `pull_request`, `pull_request_target` or `merge_group` event
+ * @typedef {Object} EventRefs
+ * @property {string} baseRef
+ * @property {string | null} baseSha
+ * @property {string} headSha
+ */
+
+/**
+ * Read the base and head commits of the event that triggered the run
+ * @param {ActionContext} context
+ * @returns {EventRefs}
+ */
+export function getEventRefs(context) {
+	if (context.eventName == 'push') {
+		const { before: baseSha, ref: baseRef } = context.payload;
+		console.log(`Pushed new commit on top of ${baseRef} (${baseSha})`);
+		return { baseSha, baseRef, headSha: context.sha };
+	}
+	if (context.eventName == 'pull_request' || context.eventName == 'pull_request_target') {
+		const pr = context.payload.pull_request;
+		console.log(`PR #${pr.number} is targeted at ${pr.base.ref} (${pr.base.sha})`);
+		return { baseSha: pr.base.sha, baseRef: pr.base.ref, headSha: pr.head.sha };
+	}
+	if (context.eventName == 'merge_group') {
+		const group = context.payload.merge_group;
+		console.log(`Merge group ${group.head_ref} is targeted at ${group.base_ref} (${group.base_sha})`);
+		return { baseSha: group.base_sha, baseRef: group.base_ref, headSha: group.head_sha };
+	}
+	throw new Error(
+		`Unsupported eventName in github.context: ${context.eventName}. Only "pull_request", "pull_request_target", "push", "merge_group" and "workflow_run" triggered workflows are currently supported.`
+	);
+}
+
+/**
+ * Whether an event is for a pull request, whose results are posted as a comment or a check
+ * @param {string} eventName
+ */
+export function isPullRequestEvent(eventName) {
+	return eventName == 'pull_request' || eventName == 'pull_request_target';
+}
+
+/**
+ * Whether the results of an event's run can be posted as a check when `use-check` is set.
+ * Merge queues are included, since that's where a required size check matters most,
+ * but they have no PR to comment on.
+ * @param {string} eventName
+ */
+export function canPostCheck(eventName) {
+	return isPullRequestEvent(eventName) || eventName == 'merge_group';
+}
+
+/**
+ * Read the report a `pull_request` run wrote, making sure it's for the commit of that run.
+ * The report comes from untrusted code, so nothing in it is executed.
+ * @param {string} filename
+ * @param {string} headSha The commit of the triggering run
+ * @returns {Promise<import('./report.js').Report>}
+ */
+export async function readPostedReport(filename, headSha) {
+	/** @type {import('./report.js').Report} */
+	const report = JSON.parse(await fs.promises.readFile(filename, 'utf-8'));
+	if (
+		typeof report.markdown !== 'string' ||
+		!report.total ||
+		!report.head ||
+		!Array.isArray(report.changedFiles) ||
+		!Array.isArray(report.budgetViolations)
+	) {
+		throw Error(`Invalid report file ${filename}, expected the report-file of a compressed-size-action run`);
+	}
+	if (report.head.sha !== headSha) {
+		throw Error(`The report in ${filename} is for ${report.head.sha}, not for the workflow run's commit ${headSha}`);
+	}
+	return report;
+}
+
+/**
+ * Find the open PR that triggered a `workflow_run` event's run.
+ * The payload only lists PRs from the same repository, so PRs from forks are looked up by their branch.
+ * @param {import('./github.js').Octokit} octokit
+ * @param {ActionContext} context
+ * @returns {Promise<number | null>}
+ */
+export async function findPullRequest(octokit, context) {
+	const run = context.payload.workflow_run;
+	const listed = (run.pull_requests || []).find((pr) => pr.head.sha === run.head_sha);
+	if (listed) return listed.number;
+
+	const pulls = await octokit.paginate(octokit.pulls.list, {
+		...context.repo,
+		state: 'open',
+		head: `${run.head_repository.owner.login}:${run.head_branch}`,
+		per_page: 100
+	});
+	const pr = pulls.find((pr) => pr.head.sha === run.head_sha);
+	return pr ? pr.number : null;
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getExecOutput } from '@actions/exec';
+import { runCommand } from './utils.js';
+
+/**
+ * @typedef {Object} GitOptions
+ * @property {string} cwd
+ * @property {import('./utils.js').Logger} logger
+ */
+
+/**
+ * Run git and return its trimmed output
+ * @param {string[]} args
+ * @param {string} cwd
+ */
+export async function gitOutput(args, cwd) {
+	return (await getExecOutput('git', args, { cwd, silent: true })).stdout.trim();
+}
+
+/**
+ * @param {string} cwd
+ */
+export function getRepoRoot(cwd) {
+	return gitOutput(['rev-parse', '--show-toplevel'], cwd);
+}
+
+/**
+ * @param {string} cwd
+ */
+export function getHeadSha(cwd) {
+	return gitOutput(['rev-parse', 'HEAD'], cwd);
+}
+
+/**
+ * Fetch the base ref, falling back to the base commit
+ * @param {object} options
+ * @param {string} options.baseRef
+ * @param {string | null} options.baseSha
+ * @param {GitOptions} git
+ */
+export async function fetchBase({ baseRef, baseSha }, { cwd, logger }) {
+	try {
+		if (!baseRef) throw Error('missing context.payload.pull_request.base.ref');
+		await runCommand(logger, `git fetch -n origin ${baseRef}:${baseRef}`, [], { cwd });
+		logger.log('successfully fetched base.ref');
+	} catch (e) {
+		logger.log('fetching base.ref failed', e.message);
+		if (baseSha === null) {
+			throw new Error('base.ref fetch failed and no base.sha as fallback');
+		} else {
+			try {
+				await runCommand(logger, `git fetch -n origin ${baseSha}`, [], { cwd });
+				logger.log('successfully fetched base.sha');
+			} catch (e) {
+				logger.log('fetching base.sha failed', e.message);
+				try {
+					await runCommand(logger, `git fetch -n`, [], { cwd });
+				} catch (e) {
+					logger.log('fetch failed', e.message);
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Discard any changes to tracked files, optionally moving to another commit
+ * @param {string | null} ref
+ * @param {GitOptions} git
+ */
+export async function resetHard(ref, { cwd, logger }) {
+	await runCommand(logger, 'git', ['reset', '--hard', ...(ref ? [ref] : [])], { cwd });
+}
+
+/**
+ * List the files that differ between a base commit and HEAD, relative to the repository's root
+ * @param {object} options
+ * @param {string | null} options.baseRef
+ * @param {string | null} options.baseSha Preferred over `baseRef`, since `baseRef` is the pushed branch itself on `push` events
+ * @param {string} cwd
+ * @returns {Promise<string[]>}
+ */
+export async function getChangedFiles({ baseRef, baseSha }, cwd) {
+	let base = baseSha;
+	if (!base || !(await gitOutput(['rev-parse', '--verify', '--quiet', `${base}^{commit}`], cwd).catch(() => ''))) {
+		base = baseRef;
+	}
+	if (!base) throw Error('missing base ref');
+	const output = await gitOutput(['diff', '--name-only', '--no-renames', '-z', base, 'HEAD'], cwd);
+	return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Check out the base ref in place, falling back to the base commit
+ * @param {object} options
+ * @param {string} options.baseRef
+ * @param {string | null} options.baseSha
+ * @param {GitOptions} git
+ */
+export async function checkoutBase({ baseRef, baseSha }, git) {
+	try {
+		if (!baseRef) throw Error('missing context.payload.base.ref');
+		await resetHard(baseRef, git);
+	} catch (e) {
+		if (!baseSha) throw e;
+		await resetHard(baseSha, git);
+	}
+}
+
+/**
+ * Check out the base ref (or the base commit) into a new temporary worktree
+ * @param {object} options
+ * @param {string} options.baseRef
+ * @param {string | null} options.baseSha
+ * @param {GitOptions} git
+ * @returns {Promise<string>} The worktree's directory
+ */
+export async function addWorktree({ baseRef, baseSha }, { cwd, logger }) {
+	const worktree = await fs.promises.mkdtemp(path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'compressed-size-'));
+	logger.log(`checking out base commit into ${worktree}`);
+	try {
+		if (!baseRef) throw Error('missing context.payload.base.ref');
+		await runCommand(logger, 'git', ['worktree', 'add', '--detach', worktree, baseRef], { cwd });
+	} catch (e) {
+		if (!baseSha) throw e;
+		await runCommand(logger, 'git', ['worktree', 'add', '--detach', worktree, baseSha], { cwd });
+	}
+	return worktree;
+}
+
+/**
+ * @param {string} worktree
+ * @param {GitOptions} git
+ */
+export async function removeWorktree(worktree, { cwd, logger }) {
+	await runCommand(logger, 'git', ['worktree', 'remove', '--force', worktree], { cwd });
+}
+
+/**
+ * Check out the base into a temporary worktree and run `fn` in it.
+ * The worktree is removed again afterwards, also when `fn` throws.
+ * @template T
+ * @param {{ baseRef: string, baseSha: string | null }} base
+ * @param {GitOptions} git
+ * @param {(worktree: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withWorktree(base, git, fn) {
+	const worktree = await addWorktree(base, git);
+	try {
+		return await fn(worktree);
+	} finally {
+		await removeWorktree(worktree, git);
+	}
+}
+
+/**
+ * Resolve a tag pattern like "v*" to the latest matching tag, by version number.
+ * Refs without wildcards are returned as they are.
+ * @param {string} ref
+ * @param {GitOptions & { fetch?: boolean }} git Set `fetch` to fetch the tags from origin first
+ */
+export async function resolveTagPattern(ref, { cwd, logger, fetch }) {
+	if (!/[*?[]/.test(ref)) return ref;
+	if (fetch) {
+		await runCommand(logger, 'git', ['fetch', '-n', 'origin', '+refs/tags/*:refs/tags/*'], { cwd });
+	}
+	const tags = await gitOutput(['tag', '--list', ref, '--sort=-v:refname'], cwd);
+	const latest = tags.split('\n')[0];
+	if (!latest) {
+		throw Error(`No tag matches "${ref}"`);
+	}
+	logger.log(`Resolved "${ref}" to the latest matching tag, ${latest}`);
+	return latest;
+}
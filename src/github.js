@@ -0,0 +1,152 @@
+import { getOctokit } from '@actions/github';
+
+/**
+ * @typedef {ReturnType<typeof import('@actions/github').getOctokit>} Octokit
+ */
+
+/**
+ * Why a request failed:
+ *  - `rate-limit`: the token used up its hourly requests
+ *  - `secondary-rate-limit`: too many requests in a short time, still failing after waiting
+ *  - `server`: a 5xx response, still failing after retrying
+ *  - `network`: no response at all
+ *  - `forbidden`: the token isn't allowed to do this, like commenting from a fork
+ *  - `not-found`, `invalid`: a 404, or a 422 for a request GitHub couldn't process
+ * @typedef {'rate-limit' | 'secondary-rate-limit' | 'server' | 'network' | 'forbidden' | 'not-found' | 'invalid' | 'other'} GitHubErrorKind
+ */
+
+/**
+ * @typedef {Object} GitHubClientOptions
+ * @property {number} [retries] How often to retry a request that failed with a 5xx or a secondary rate limit, defaults to 3
+ * @property {number} [retryDelay] Milliseconds before the first retry of a 5xx, doubled for each retry. Defaults to 1s.
+ * @property {number} [rateLimitDelay] Milliseconds to wait after a secondary rate limit without a `retry-after` header.
+ *   Defaults to a minute, as GitHub recommends.
+ * @property {string} [baseUrl] The API to talk to, defaults to the one of the workflow
+ * @property {(...args: any[]) => void} [log]
+ * @property {(ms: number) => Promise<void>} [sleep]
+ */
+
+/**
+ * An error from the GitHub API, once retrying didn't help.
+ * Keeps the `status` of the response, so callers can check for a 404 like with Octokit's own errors.
+ */
+export class GitHubError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} details
+	 * @param {GitHubErrorKind} details.kind
+	 * @param {number | null} details.status
+	 * @param {string} details.request Like "POST /repos/{owner}/{repo}/issues/{issue_number}/comments"
+	 * @param {number} details.attempts
+	 */
+	constructor(message, { kind, status, request, attempts }) {
+		super(message);
+		this.name = 'GitHubError';
+		this.kind = kind;
+		this.status = status;
+		this.request = request;
+		this.attempts = attempts;
+	}
+}
+
+/**
+ * Create an Octokit client whose requests are retried when GitHub is having trouble or asks us to slow down,
+ * and that throws a `GitHubError` describing the failed request otherwise.
+ * Use `octokit.paginate()` for lists, since they're only returned 30 items at a time by default.
+ * @param {string} token
+ * @param {GitHubClientOptions} [options]
+ * @returns {Octokit}
+ */
+export function createGitHubClient(token, options = {}) {
+	const {
+		retries = 3,
+		retryDelay = 1000,
+		rateLimitDelay = 60 * 1000,
+		baseUrl,
+		log = console.log,
+		sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+	} = options;
+
+	// The default proxy agent only applies to the default API URL:
+	const octokit = getOctokit(token, baseUrl ? { baseUrl, request: {} } : {});
+
+	octokit.hook.wrap('request', async (request, endpoint) => {
+		const description = `${endpoint.method} ${endpoint.url}`;
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await request(endpoint);
+			} catch (e) {
+				const kind = errorKind(e);
+				const delay = attempt > retries ? null : getRetryDelay(e, kind, attempt, { retryDelay, rateLimitDelay });
+				if (delay == null) {
+					throw toGitHubError(e, kind, description, attempt);
+				}
+				const reason = kind === 'secondary-rate-limit' ? 'hit a secondary rate limit' : `failed (${e.status || e.message})`;
+				log(`${description} ${reason}, retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${retries})`);
+				await sleep(delay);
+			}
+		}
+	});
+
+	return octokit;
+}
+
+/**
+ * @param {any} error An error thrown by Octokit's request
+ * @returns {GitHubErrorKind}
+ */
+function errorKind(error) {
+	const status = error.status;
+	const headers = (error.response && error.response.headers) || {};
+	if (status === 403 || status === 429) {
+		if (headers['retry-after'] || /secondary rate limit|abuse/i.test(error.message)) return 'secondary-rate-limit';
+		if (headers['x-ratelimit-remaining'] === '0') return 'rate-limit';
+		return status === 403 ? 'forbidden' : 'secondary-rate-limit';
+	}
+	// Octokit reports requests that didn't get a response with a 500 as well:
+	if (!error.response) return 'network';
+	if (status >= 500) return 'server';
+	if (status === 401) return 'forbidden';
+	if (status === 404) return 'not-found';
+	if (status === 422) return 'invalid';
+	return 'other';
+}
+
+/**
+ * @param {any} error
+ * @param {GitHubErrorKind} kind
+ * @param {number} attempt Starting at 1
+ * @param {{ retryDelay: number, rateLimitDelay: number }} options
+ * @returns {number | null} Milliseconds to wait, or `null` when the request shouldn't be retried
+ */
+function getRetryDelay(error, kind, attempt, { retryDelay, rateLimitDelay }) {
+	if (kind === 'secondary-rate-limit') {
+		const retryAfter = Number(error.response && error.response.headers['retry-after']);
+		return retryAfter > 0 ? retryAfter * 1000 : rateLimitDelay * attempt;
+	}
+	if (kind === 'server' || kind === 'network') {
+		return retryDelay * 2 ** (attempt - 1);
+	}
+	return null;
+}
+
+/**
+ * @param {any} error
+ * @param {GitHubErrorKind} kind
+ * @param {string} request
+ * @param {number} attempts
+ */
+function toGitHubError(error, kind, request, attempts) {
+	const status = error.response ? error.status : null;
+	let message = `${request} failed`;
+	if (status) message += ` with ${status}`;
+	if (error.message) message += `: ${error.message}`;
+	if (attempts > 1) message += ` (after ${attempts} attempts)`;
+	if (kind === 'rate-limit') {
+		const reset = Number(error.response.headers['x-ratelimit-reset']);
+		if (reset) message += `. The rate limit resets at ${new Date(reset * 1000).toISOString()}.`;
+	} else if (kind === 'forbidden') {
+		message += '. The token may not have the permissions this needs, as with PRs from forks.';
+	}
+	return new GitHubError(message, { kind, status, request, attempts });
+}
@@ -0,0 +1,53 @@
+import { minimatch } from 'minimatch';
+
+/**
+ * @typedef {Object} Group
+ * @property {string} name
+ * @property {string[]} patterns Minimatch patterns of the files that belong to the group
+ */
+
+/**
+ * Parse group definitions, one per line, as a name followed by space-separated patterns:
+ *   vendor: dist/vendor-*.js dist/react-*.js
+ *   admin route: dist/admin/*.js
+ * @param {string} text
+ * @returns {Group[]}
+ */
+export function parseGroups(text) {
+	const groups = [];
+	for (let line of text.split('\n')) {
+		line = line.trim();
+		if (!line || line.startsWith('#')) continue;
+
+		const index = line.indexOf(':');
+		const name = line.slice(0, index).trim();
+		const patterns = line.slice(index + 1).trim().split(/\s+/).filter(Boolean);
+		if (index === -1 || !name || patterns.length === 0) {
+			throw Error(`Invalid group "${line}", expected a name and patterns like "vendor: **/vendor-*.js"`);
+		}
+		groups.push({ name, patterns });
+	}
+	return groups;
+}
+
+/**
+ * Sort files into the first group they match. Files matching no group go in an "other" group.
+ * The files themselves are left as they are, the groups only list them.
+ * @param {import('./utils.js').Diff[]} files
+ * @param {Group[]} groups
+ * @returns {{ name: string, files: import('./utils.js').Diff[] }[]}
+ */
+export function groupFiles(files, groups) {
+	const result = groups.map(({ name }) => ({ name, files: [] }));
+	const other = { name: 'other', files: [] };
+
+	for (const file of files) {
+		const index = groups.findIndex(({ patterns }) =>
+			patterns.some((pattern) => minimatch(file.filename, pattern))
+		);
+		(index === -1 ? other : result[index]).files.push(file);
+	}
+
+	if (other.files.length !== 0) result.push(other);
+	return result;
+}
@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import prettyBytes from 'pretty-bytes';
+import { fileExists, markdownTable } from './utils.js';
+
+/**
+ * Sizes measured for one commit on the default branch
+ * @typedef {Object} HistoryEntry
+ * @property {string} sha
+ * @property {string} date ISO timestamp of the commit
+ * @property {number} total
+ * @property {Record<string, number>} files
+ */
+
+/**
+ * @typedef {Object} HistoryStore
+ * @property {() => Promise<HistoryEntry[]>} load Entries from oldest to newest
+ * @property {(entry: HistoryEntry) => Promise<void>} append
+ */
+
+/**
+ * @typedef {Object} HistoryStoreContext
+ * @property {ReturnType<typeof import('@actions/github').getOctokit>} [octokit]
+ * @property {{ owner: string, repo: string }} [repo]
+ */
+
+/** Only the most recent entries are kept, so the history doesn't grow forever */
+const HISTORY_LIMIT = 500;
+
+const DEFAULT_HISTORY_FILE = 'history.ndjson';
+
+/** @type {Record<string, (location: string, context: HistoryStoreContext) => HistoryStore>} */
+const backends = {
+	local: createLocalHistoryStore,
+	branch: createBranchHistoryStore
+};
+
+/**
+ * Create a history store from a "backend:location" string.
+ * A location without a backend prefix is treated as a local file.
+ * @param {string} spec
+ * @param {HistoryStoreContext} [context]
+ * @returns {HistoryStore}
+ */
+export function createHistoryStore(spec, context = {}) {
+	const match = spec.match(/^([a-z][a-z0-9-]*):(?!\/\/|\\)(.*)$/);
+	const backend = match ? match[1] : 'local';
+	const location = match ? match[2] : spec;
+	if (!backends[backend]) {
+		throw Error(`Unknown history store "${backend}", expected one of "${Object.keys(backends).join('", "')}"`);
+	}
+	return backends[backend](location, context);
+}
+
+/**
+ * Parse newline-delimited JSON history entries
+ * @param {string} text
+ * @returns {HistoryEntry[]}
+ */
+export function parseHistory(text) {
+	return text
+		.split('\n')
+		.filter((line) => line.trim())
+		.map((line) => JSON.parse(line));
+}
+
+/**
+ * @param {HistoryEntry[]} entries
+ */
+function stringifyHistory(entries) {
+	return entries
+		.slice(-HISTORY_LIMIT)
+		.map((entry) => JSON.stringify(entry) + '\n')
+		.join('');
+}
+
+/**
+ * Keep the history in a local NDJSON file, which can be committed or cached between runs
+ * @param {string} filename
+ * @returns {HistoryStore}
+ */
+export function createLocalHistoryStore(filename) {
+	filename = path.resolve(filename);
+
+	const load = async () => {
+		if (!(await fileExists(filename))) return [];
+		return parseHistory(await fs.promises.readFile(filename, 'utf-8'));
+	};
+
+	return {
+		load,
+		async append(entry) {
+			const entries = await load();
+			await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+			await fs.promises.writeFile(filename, stringifyHistory([...entries, entry]));
+		}
+	};
+}
+
+/**
+ * Keep the history in an NDJSON file on a dedicated branch of the repository, like
+ * "branch:size-history" or "branch:size-history:legacy.ndjson".
+ * The branch is created (without any parent commits) the first time an entry is appended.
+ * @param {string} location
+ * @param {HistoryStoreContext} context
+ * @returns {HistoryStore}
+ */
+export function createBranchHistoryStore(location, { octokit, repo }) {
+	if (!octokit || !repo) {
+		throw Error('The "branch" history store needs a GitHub token');
+	}
+	const [branch, file = DEFAULT_HISTORY_FILE] = location.split(':');
+	if (!branch) {
+		throw Error('Missing branch name in history store "branch:"');
+	}
+
+	/** @returns {Promise<{ entries: HistoryEntry[], sha?: string }>} */
+	const read = async () => {
+		/** @type {any} */
+		let data;
+		try {
+			data = (await octokit.repos.getContent({ ...repo, path: file, ref: branch })).data;
+		} catch (e) {
+			if (e.status === 404) return { entries: [] };
+			throw e;
+		}
+		let text;
+		if (data.encoding === 'base64') {
+			text = Buffer.from(data.content, 'base64').toString('utf-8');
+		} else {
+			// Files over 1 MB are only returned in the raw format:
+			const raw = await octokit.repos.getContent({ ...repo, path: file, ref: branch, mediaType: { format: 'raw' } });
+			text = String(raw.data);
+		}
+		return { entries: parseHistory(text), sha: data.sha };
+	};
+
+	const createBranch = async (content, message) => {
+		const tree = await octokit.git.createTree({
+			...repo,
+			tree: [{ path: file, mode: '100644', type: 'blob', content }]
+		});
+		const commit = await octokit.git.createCommit({ ...repo, message, tree: tree.data.sha, parents: [] });
+		await octokit.git.createRef({ ...repo, ref: `refs/heads/${branch}`, sha: commit.data.sha });
+	};
+
+	return {
+		async load() {
+			return (await read()).entries;
+		},
+		async append(entry) {
+			const message = `Add sizes for ${entry.sha}`;
+			// Another run may update the file at the same time, so retry when it changed underneath us:
+			for (let attempt = 1; ; attempt++) {
+				const { entries, sha } = await read();
+				const content = stringifyHistory([...entries, entry]);
+				try {
+					if (!sha && !(await branchExists(octokit, repo, branch))) {
+						await createBranch(content, message);
+					} else {
+						await octokit.repos.createOrUpdateFileContents({
+							...repo,
+							path: file,
+							branch,
+							message,
+							content: Buffer.from(content).toString('base64'),
+							sha
+						});
+					}
+					return;
+				} catch (e) {
+					if (attempt >= 3 || (e.status !== 409 && e.status !== 422)) throw e;
+				}
+			}
+		}
+	};
+}
+
+/**
+ * @param {ReturnType<typeof import('@actions/github').getOctokit>} octokit
+ * @param {{ owner: string, repo: string }} repo
+ * @param {string} branch
+ */
+async function branchExists(octokit, repo, branch) {
+	try {
+		await octokit.git.getRef({ ...repo, ref: `heads/${branch}` });
+		return true;
+	} catch (e) {
+		if (e.status === 404) return false;
+		throw e;
+	}
+}
+
+/**
+ * Get the size of every file in a report, prefixed with the target's path when there are several targets
+ * @param {import('./report.js').Report} report
+ * @returns {Record<string, number>}
+ */
+function reportSizes(report) {
+	const files = report.targets
+		? report.targets.flatMap((target) =>
+				target.files.map((file) => ({ ...file, filename: path.posix.join(target.path || '.', file.filename) }))
+		  )
+		: report.files;
+
+	/** @type {Record<string, number>} */
+	const sizes = {};
+	for (const file of files) {
+		if (file.size > 0) sizes[file.filename] = file.size;
+	}
+	return sizes;
+}
+
+/**
+ * Create the history entry for a commit from its size report
+ * @param {import('./report.js').Report} report
+ * @param {{ sha: string, date: string }} commit
+ * @returns {HistoryEntry}
+ */
+export function createHistoryEntry(report, { sha, date }) {
+	return { sha, date, total: report.total.size, files: reportSizes(report) };
+}
+
+const SPARKS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render values as a line of block characters, scaled between their minimum and maximum
+ * @param {number[]} values
+ */
+export function sparkline(values) {
+	const min = Math.min(...values);
+	const max = Math.max(...values);
+	return values
+		.map((value) => SPARKS[max === min ? 0 : Math.round(((value - min) / (max - min)) * (SPARKS.length - 1))])
+		.join('');
+}
+
+/**
+ * Describe how a size compares to its history, like "largest since `abc1234`"
+ * @param {{ sha: string, size: number }[]} points From oldest to newest
+ * @param {number} size
+ */
+function trendText(points, size) {
+	const latest = points[points.length - 1];
+	if (!latest) return 'new';
+	if (latest.size === size) return '';
+
+	const larger = size > latest.size;
+	for (let i = points.length; i--; ) {
+		if (larger ? points[i].size >= size : points[i].size <= size) {
+			return `${larger ? 'largest' : 'smallest'} since \`${points[i].sha.slice(0, 7)}\``;
+		}
+	}
+	return `${larger ? 'largest' : 'smallest'} in history`;
+}
+
+/**
+ * Show how the total and the largest files compare to the size history of the default branch.
+ * The sparklines cover the most recent entries, while "largest since" looks at the whole history.
+ * @param {HistoryEntry[]} entries
+ * @param {import('./report.js').Report} report
+ * @param {object} [options]
+ * @param {number} [options.limit] How many of the most recent entries to show
+ * @param {number} [options.files] How many of the largest files to show
+ */
+export function historyMarkdown(entries, report, { limit = 20, files = 5 } = {}) {
+	const recent = entries.slice(-limit);
+	if (recent.length === 0) return '';
+
+	/**
+	 * @param {string} name
+	 * @param {(entry: HistoryEntry) => number | undefined} get
+	 * @param {number} size
+	 */
+	const row = (name, get, size) => {
+		const points = entries.map((entry) => ({ sha: entry.sha, size: get(entry) })).filter((p) => p.size != null);
+		const trend = points.slice(-limit).map((p) => p.size);
+		return [name, sparkline([...trend, size]), prettyBytes(size), trendText(points, size)];
+	};
+
+	const sizes = reportSizes(report);
+	const largest = Object.keys(sizes)
+		.sort((a, b) => sizes[b] - sizes[a])
+		.slice(0, files);
+
+	const rows = [
+		row('**Total**', (entry) => entry.total, report.total.size),
+		...largest.map((filename) => row(`\`${filename}\``, (entry) => entry.files[filename], sizes[filename]))
+	];
+
+	return (
+		`<details><summary>📈 <strong>Size history</strong> (last ${recent.length} commit${recent.length === 1 ? '' : 's'} on the default branch)</summary>\n\n` +
+		markdownTable(rows, ['Filename', 'Trend', 'Size', '']) +
+		'\n\n</details>'
+	);
+}
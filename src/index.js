@@ -1,11 +1,17 @@
-import { getInput, setFailed, startGroup, endGroup, debug } from '@actions/core';
-import { context, getOctokit } from '@actions/github';
-import { exec } from '@actions/exec';
-import { SizePlugin } from '@rschristian/size-plugin';
-import { getPackageManagerAndInstallScript, diffTable, toBool, stripHash, getSortOrder } from './utils.js';
+import { getInput, setFailed, setOutput, startGroup, endGroup, debug, warning } from '@actions/core';
+import { context } from '@actions/github';
+import { toBool, formatCompression } from './utils.js';
+import { createReport, writeReport, jobSummaryMarkdown, writeJobSummary } from './report.js';
+import { getCompareOptions } from './options.js';
+import { loadConfig, withConfig } from './config.js';
+import { compare } from './compare.js';
+import { createGitHubClient } from './github.js';
+import { getEventRefs, readPostedReport, findPullRequest, isPullRequestEvent, canPostCheck } from './events.js';
+import { createHistoryStore, createHistoryEntry, historyMarkdown } from './history.js';
+import { parseThreshold, checkAnnotations, checkSummary, checkConclusion, splitCheckOutput } from './checks.js';
 
 /**
- * @typedef {ReturnType<typeof import("@actions/github").getOctokit>} Octokit
+ * @typedef {import('./github.js').Octokit} Octokit
  * @typedef {typeof import("@actions/github").context} ActionContext
  * @param {Octokit} octokit
  * @param {ActionContext} context
@@ -19,24 +25,19 @@ async function run(octokit, context, token) {
 		debug('pr' + JSON.stringify(context.payload, null, 2));
 	} catch (e) {}
 
-	let baseSha, baseRef;
-	if (context.eventName == 'push') {
-		baseSha = context.payload.before;
-		baseRef = context.payload.ref;
+	if (getInput('cwd')) process.chdir(getInput('cwd'));
 
-		console.log(`Pushed new commit on top of ${baseRef} (${baseSha})`);
-	} else if (context.eventName == 'pull_request' || context.eventName == 'pull_request_target') {
-		const pr = context.payload.pull_request;
-		baseSha = pr.base.sha;
-		baseRef = pr.base.ref;
+	const config = await loadConfig(getInput('config'));
+	if (config) console.log(`Using options from ${config.filename}`);
+	const input = withConfig(getInput, config);
 
-		console.log(`PR #${pull_number} is targeted at ${baseRef} (${baseRef})`);
-	} else {
-		throw new Error(
-			`Unsupported eventName in github.context: ${context.eventName}. Only "pull_request", "pull_request_target", and "push" triggered workflows are currently supported.`
-		);
+	if (context.eventName == 'workflow_run') {
+		await postReport(octokit, context, token, input);
+		return;
 	}
 
+	let { baseSha, baseRef, headSha } = getEventRefs(context);
+
 	const inputBaseRef = getInput('base-ref');
 	if (inputBaseRef) {
 		console.log(`Setting base ref to: "${inputBaseRef}"`);
@@ -45,115 +46,67 @@ async function run(octokit, context, token) {
 		baseSha = null;
 	}
 
-	if (getInput('cwd')) process.chdir(getInput('cwd'));
-
-	const plugin = new SizePlugin({
-		compression: /** @type {'gzip' | 'brotli'} */ (getInput('compression')),
-		pattern: getInput('pattern') || '**/dist/**/*.{js,mjs,cjs}',
-		exclude: getInput('exclude') || '{**/*.map,**/node_modules/**}',
-		stripHash: stripHash(getInput('strip-hash'))
-	});
+	const isDefaultBranchPush =
+		context.eventName == 'push' && context.ref === `refs/heads/${context.payload.repository.default_branch}`;
+	const options = {
+		...(await getCompareOptions(input)),
+		baseRef,
+		baseSha,
+		headSha,
+		fetch: true,
+		saveBaseline: isDefaultBranchPush
+	};
+	const { budgetMode, minimumChangeThreshold } = options;
 
-	const buildScript = getInput('build-script') || 'build';
-	const cwd = process.cwd();
+	const isPullRequest = isPullRequestEvent(context.eventName);
+	const useCheck = toBool(input('use-check')) && canPostCheck(context.eventName);
+	const annotationThreshold = parseThreshold(input('annotation-threshold'));
 
-	let { packageManager, installScript } = await getPackageManagerAndInstallScript(cwd);
-	if (getInput('install-script')) {
-		installScript = getInput('install-script');
+	// Create the check up-front, so it shows as in progress while building:
+	let finishCheck;
+	if (useCheck && token) {
+		finishCheck = await createCheck(octokit, context, headSha);
 	}
 
-	startGroup(`[current] Install Dependencies`);
-	console.log(`Installing using ${installScript}`);
-	await exec(installScript);
-	endGroup();
-
-	startGroup(`[current] Build using ${packageManager}`);
-	console.log(`Building using ${packageManager} run ${buildScript}`);
-	await exec(`${packageManager} run ${buildScript}`);
-	endGroup();
-
-	const newSizes = await plugin.readFromDisk(cwd);
-
-	// In case the build step alters a JSON-file, ....
-	await exec(`git reset --hard`);
-
-	startGroup(`[base] Checkout target branch`);
+	const logger = { log: console.log, startGroup, endGroup };
+	let comparison;
 	try {
-		if (!baseRef) throw Error('missing context.payload.pull_request.base.ref');
-		await exec(`git fetch -n origin ${baseRef}:${baseRef}`);
-		console.log('successfully fetched base.ref');
+		comparison = await compare(options, logger);
 	} catch (e) {
-		console.log('fetching base.ref failed', e.message);
-		if (baseSha === null) {
-			throw new Error('base.ref fetch failed and no base.sha as fallback');
-		} else {
-			try {
-				await exec(`git fetch -n origin ${baseSha}`);
-				console.log('successfully fetched base.sha');
-			} catch (e) {
-				console.log('fetching base.sha failed', e.message);
-				try {
-					await exec(`git fetch -n`);
-				} catch (e) {
-					console.log('fetch failed', e.message);
-				}
-			}
+		if (finishCheck) {
+			await finishCheck('failure', [{ title: 'Compressed Size Action', summary: `Failed to measure sizes: ${e.message}` }]);
 		}
+		throw e;
 	}
+	const { results, markdown, budgetViolations } = comparison;
+	let markdownDiff = markdown;
+
+	const report = createReport({
+		targets: results,
+		base: { ref: baseRef || null, sha: baseSha || null },
+		head: { sha: headSha || null },
+		minimumChangeThreshold,
+		markdown: ''
+	});
 
-	const cleanScript = getInput('clean-script');
-	if (cleanScript) {
-		startGroup(`[target] Cleanup via ${packageManager} run ${cleanScript}`);
-		await exec(`${packageManager} run ${cleanScript}`);
+	if (input('history-store')) {
+		startGroup(`Updating size history`);
+		try {
+			const historyStore = createHistoryStore(input('history-store'), { octokit, repo: context.repo });
+			if (isDefaultBranchPush) {
+				const date = (context.payload.head_commit && context.payload.head_commit.timestamp) || new Date().toISOString();
+				console.log(`Adding sizes for ${headSha} to the size history`);
+				await historyStore.append(createHistoryEntry(report, { sha: headSha, date }));
+			} else {
+				const history = historyMarkdown(await historyStore.load(), report);
+				if (history) markdownDiff += '\n\n' + history;
+			}
+		} catch (e) {
+			console.log('Error updating size history: ' + e.message);
+		}
 		endGroup();
 	}
 
-	console.log('checking out and building base commit');
-	try {
-		if (!baseRef) throw Error('missing context.payload.base.ref');
-		await exec(`git reset --hard ${baseRef}`);
-	} catch (e) {
-		if (!baseSha) throw e;
-		await exec(`git reset --hard ${baseSha}`);
-	}
-	endGroup();
-
-
-	startGroup(`[base] Install Dependencies`);
-
-	({ packageManager, installScript } = await getPackageManagerAndInstallScript(cwd));
-	if (getInput('install-script')) {
-		installScript = getInput('install-script');
-	}
-
-	console.log(`Installing using ${installScript}`);
-	await exec(installScript);
-	endGroup();
-
-	startGroup(`[base] Build using ${packageManager}`);
-	await exec(`${packageManager} run ${buildScript}`);
-	endGroup();
-
-	// In case the build step alters a JSON-file, ....
-	await exec(`git reset --hard`);
-
-	const oldSizes = await plugin.readFromDisk(cwd);
-
-	const diff = await plugin.getDiff(oldSizes, newSizes);
-
-	startGroup(`Size Differences:`);
-	const cliText = await plugin.printSizes(diff);
-	console.log(cliText);
-	endGroup();
-
-	const markdownDiff = diffTable(diff, {
-		collapseUnchanged: toBool(getInput('collapse-unchanged')),
-		omitUnchanged: toBool(getInput('omit-unchanged')),
-		showTotal: toBool(getInput('show-total')),
-		minimumChangeThreshold: parseInt(getInput('minimum-change-threshold'), 10),
-		sortBy: getSortOrder(getInput('sort-by')),
-	});
-
 	let outputRawMarkdown = false;
 
 	const commentInfo = {
@@ -161,130 +114,305 @@ async function run(octokit, context, token) {
 		issue_number: pull_number
 	};
 
-	const commentKey = getInput('comment-key')
+	const commentKey = input('comment-key');
 
 	const comment = {
 		...commentInfo,
 		body:
 			markdownDiff +
-			`\n\n<a href="https://github.com/preactjs/compressed-size-action"><sub>compressed-size-action${commentKey ? `::${commentKey}` : ''}</sub></a>`
+			`\n\n<a href="https://github.com/preactjs/compressed-size-action"><sub>compressed-size-action${commentKey ? `::${commentKey}` : ''}</sub></a>` +
+			(results.length ? ` <sub>· ${describeCompressions(results.map(({ target }) => target))}</sub>` : '')
 	};
 
-	if (context.eventName !== 'pull_request' && context.eventName !== 'pull_request_target') {
-		console.log('No PR associated with this action run. Not posting a check or comment.');
-		outputRawMarkdown = false;
-	} else if (toBool(getInput('use-check'))) {
-		if (token) {
-			const finish = await createCheck(octokit, context);
-			await finish({
-				conclusion: 'success',
-				output: {
-					title: `Compressed Size Action`,
-					summary: markdownDiff
-				}
+	report.markdown = comment.body;
+	setOutput('total-size', report.total.size);
+	setOutput('total-delta', report.total.delta);
+	setOutput('changed-files', JSON.stringify(report.changedFiles));
+	setOutput('markdown', comment.body);
+	if (input('report-file')) {
+		console.log(`Writing JSON report to ${input('report-file')}`);
+		await writeReport(input('report-file'), report);
+	}
+	if (toBool(input('job-summary'))) {
+		await writeJobSummary(jobSummaryMarkdown(report, markdownDiff, commentKey));
+	}
+
+	if (useCheck) {
+		if (finishCheck) {
+			const annotations = checkAnnotations(results, {
+				threshold: annotationThreshold,
+				minimumChangeThreshold,
+				budgetMode,
+				root: process.env.GITHUB_WORKSPACE || process.cwd()
+			});
+			const outputs = splitCheckOutput({
+				title: `Compressed Size Action`,
+				summary: checkSummary(report),
+				text: markdownDiff,
+				annotations
 			});
+			await finishCheck(checkConclusion({ budgetViolations, budgetMode, annotations }), outputs);
 		} else {
-			outputRawMarkdown = true;
+			outputRawMarkdown = isPullRequest;
+		}
+	} else if (!isPullRequest) {
+		if (context.eventName == 'push' && toBool(input('commit-comment')) && token) {
+			await updateCommitComment(octokit, { ...context.repo, commit_sha: headSha }, comment.body, commentKey);
+		} else {
+			console.log('No PR associated with this action run. Not posting a check or comment.');
 		}
 	} else {
-		startGroup(`Updating stats PR comment`);
-		let commentId;
-		try {
-			const comments = (await octokit.issues.listComments(commentInfo)).data;
-			const commentRegExp = new RegExp(`<sub>[\s\n]*(compressed|gzip)-size-action${commentKey ? `::${commentKey}` : ''}</sub>`)
-			for (let i = comments.length; i--; ) {
-				const c = comments[i];
-				if (commentRegExp.test(c.body)) {
-					commentId = c.id;
-					break;
-				}
-			}
-		} catch (e) {
-			console.log('Error checking for previous comments: ' + e.message);
+		outputRawMarkdown = !(await updateComment(octokit, commentInfo, comment.body, commentKey));
+	}
+
+	if (outputRawMarkdown) {
+		printRawMarkdown(comment.body);
+	}
+
+	if (budgetViolations.length) {
+		const lines = budgetViolations.map(({ budget, filename, actual }) => `  ${filename}: ${actual} exceeds "${budget.rule}"`);
+		const message = `Size budget exceeded:\n${lines.join('\n')}`;
+		if (budgetMode === 'warn') {
+			warning(message);
+		} else {
+			setFailed(message);
 		}
+	}
 
-		if (commentId) {
-			console.log(`Updating previous comment #${commentId}`);
-			try {
-				await octokit.issues.updateComment({
-					...context.repo,
-					comment_id: commentId,
-					body: comment.body
-				});
-			} catch (e) {
-				console.log('Error editing previous comment: ' + e.message);
-				commentId = null;
-			}
+	console.log('All done!');
+}
+
+/**
+ * Post the results of a `pull_request` run, read from its report file, from a privileged `workflow_run` run.
+ * This allows commenting on PRs from forks, which can't be done from the `pull_request` run itself.
+ * @param {Octokit} octokit
+ * @param {ActionContext} context
+ * @param {string} token
+ * @param {(name: string) => string} input Reads inputs and the config file
+ */
+async function postReport(octokit, context, token, input) {
+	const run = context.payload.workflow_run;
+	const reportFile = input('report-file');
+	if (!reportFile) {
+		throw Error('The "report-file" input is required for workflow_run events, pointing to the report of the pull_request run');
+	}
+
+	const report = await readPostedReport(reportFile, run.head_sha);
+
+	const pull_number = await findPullRequest(octokit, context);
+	if (!pull_number) {
+		console.log(`No open PR found for ${run.head_sha}. Not posting a check or comment.`);
+		return;
+	}
+	console.log(`Posting results of workflow run ${run.id} to PR #${pull_number}`);
+
+	setOutput('total-size', report.total.size);
+	setOutput('total-delta', report.total.delta);
+	setOutput('changed-files', JSON.stringify(report.changedFiles));
+	setOutput('markdown', report.markdown);
+	if (toBool(input('job-summary'))) {
+		await writeJobSummary(jobSummaryMarkdown(report, report.markdown, input('comment-key')));
+	}
+
+	let posted = false;
+	if (toBool(input('use-check'))) {
+		if (token) {
+			const budgetMode = input('budget-mode') === 'warn' ? 'warn' : 'error';
+			const finishCheck = await createCheck(octokit, context, run.head_sha);
+			const outputs = splitCheckOutput({
+				title: `Compressed Size Action`,
+				summary: checkSummary(report),
+				text: report.markdown
+			});
+			// Annotations need the full comparison, which isn't part of the report:
+			const conclusion = checkConclusion({ budgetViolations: report.budgetViolations, budgetMode, annotations: [] });
+			await finishCheck(conclusion, outputs);
+			posted = true;
+		}
+	} else {
+		const commentInfo = { ...context.repo, issue_number: pull_number };
+		posted = await updateComment(octokit, commentInfo, report.markdown, input('comment-key'));
+	}
+
+	if (!posted) {
+		printRawMarkdown(report.markdown);
+	}
+}
+
+/**
+ * Update the comment posted by a previous run (with the same comment key), or create a new one.
+ * Falls back to a PR review when commenting isn't allowed.
+ * Requests are already retried by the client, so errors here are logged with what went wrong and not retried again.
+ * @param {Octokit} octokit
+ * @param {{ owner: string, repo: string, issue_number: number }} commentInfo
+ * @param {string} body
+ * @param {string} commentKey
+ * @returns {Promise<boolean>} Whether the results were posted
+ */
+async function updateComment(octokit, commentInfo, body, commentKey) {
+	startGroup(`Updating stats PR comment`);
+	let posted = true;
+	let commentId;
+	try {
+		const comments = await octokit.paginate(octokit.issues.listComments, { ...commentInfo, per_page: 100 });
+		commentId = findOwnComment(comments, commentKey);
+	} catch (e) {
+		console.log('Error checking for previous comments: ' + e.message);
+	}
+
+	if (commentId) {
+		console.log(`Updating previous comment #${commentId}`);
+		try {
+			await octokit.issues.updateComment({
+				owner: commentInfo.owner,
+				repo: commentInfo.repo,
+				comment_id: commentId,
+				body
+			});
+		} catch (e) {
+			console.log('Error editing previous comment: ' + e.message);
+			commentId = null;
 		}
+	}
 
-		// no previous or edit failed
-		if (!commentId) {
-			console.log('Creating new comment');
-			try {
-				await octokit.issues.createComment(comment);
-			} catch (e) {
-				console.log(`Error creating comment: ${e.message}`);
+	// no previous or edit failed
+	if (!commentId) {
+		console.log('Creating new comment');
+		try {
+			await octokit.issues.createComment({ ...commentInfo, body });
+		} catch (e) {
+			console.log(`Error creating comment: ${e.message}`);
+			// Only a missing permission is worth working around, anything else would fail for the review too:
+			if (e.kind === 'forbidden' || e.kind === 'not-found') {
 				console.log(`Submitting a PR review comment instead...`);
 				try {
-					const issue = context.issue;
 					await octokit.pulls.createReview({
-						owner: issue.owner,
-						repo: issue.repo,
-						pull_number: issue.number,
+						owner: commentInfo.owner,
+						repo: commentInfo.repo,
+						pull_number: commentInfo.issue_number,
 						event: 'COMMENT',
-						body: comment.body
+						body
 					});
 				} catch (e) {
-					console.log('Error creating PR review.');
-					outputRawMarkdown = true;
+					console.log(`Error creating PR review: ${e.message}`);
+					posted = false;
 				}
+			} else {
+				posted = false;
 			}
 		}
-		endGroup();
 	}
+	endGroup();
+	return posted;
+}
 
-	if (outputRawMarkdown) {
-		console.log(
-			`
-			Error: compressed-size-action was unable to comment on your PR.
-			This can happen for PR's originating from a fork without write permissions.
-			You can copy the size table directly into a comment using the markdown below:
-			\n\n${comment.body}\n\n
-		`.replace(/^(\t|  )+/gm, '')
-		);
+/**
+ * List the compression settings used by the targets, so sizes measured with different settings aren't compared by mistake
+ * @param {import('./targets.js').Target[]} targets
+ */
+function describeCompressions(targets) {
+	const formatted = targets.flatMap(({ compressions, compressionSettings }) =>
+		compressions.map((compression) => `\`${formatCompression(compression, compressionSettings[compression])}\``)
+	);
+	return `Measured with ${Array.from(new Set(formatted)).join(', ')}`;
+}
+
+/**
+ * Find the latest comment posted by this action with the same comment key
+ * @param {{ id: number, body?: string }[]} comments
+ * @param {string} commentKey
+ * @returns {number | undefined}
+ */
+function findOwnComment(comments, commentKey) {
+	const commentRegExp = new RegExp(`<sub>[\s\n]*(compressed|gzip)-size-action${commentKey ? `::${commentKey}` : ''}</sub>`)
+	for (let i = comments.length; i--; ) {
+		const c = comments[i];
+		if (commentRegExp.test(c.body)) {
+			return c.id;
+		}
 	}
+}
 
-	console.log('All done!');
+/**
+ * Comment on a pushed commit, updating the comment of a previous run of the same workflow on that commit
+ * @param {Octokit} octokit
+ * @param {{ owner: string, repo: string, commit_sha: string }} commitInfo
+ * @param {string} body
+ * @param {string} commentKey
+ */
+async function updateCommitComment(octokit, commitInfo, body, commentKey) {
+	startGroup(`Updating commit comment`);
+	try {
+		const comments = await octokit.paginate(octokit.repos.listCommentsForCommit, { ...commitInfo, per_page: 100 });
+		const commentId = findOwnComment(comments, commentKey);
+		if (commentId) {
+			console.log(`Updating previous comment #${commentId} on ${commitInfo.commit_sha}`);
+			await octokit.repos.updateCommitComment({ owner: commitInfo.owner, repo: commitInfo.repo, comment_id: commentId, body });
+		} else {
+			console.log(`Commenting on ${commitInfo.commit_sha}`);
+			await octokit.repos.createCommitComment({ ...commitInfo, body });
+		}
+	} catch (e) {
+		console.log(`Error commenting on commit: ${e.message}`);
+	}
+	endGroup();
+}
+
+/**
+ * Print the results for copying into a comment by hand, when they couldn't be posted
+ * @param {string} body
+ */
+function printRawMarkdown(body) {
+	console.log(
+		`
+		Error: compressed-size-action was unable to comment on your PR.
+		This can happen for PR's originating from a fork without write permissions.
+		You can copy the size table directly into a comment using the markdown below:
+		\n\n${body}\n\n
+	`.replace(/^(\t|  )+/gm, '')
+	);
 }
 
 /**
- * Create a check and return a function that updates (completes) it
+ * Create a check and return a function that completes it.
+ * Outputs after the first are sent as separate updates, since each update can only carry 50 annotations.
  * @param {Octokit} octokit
  * @param {ActionContext} context
+ * @param {string} headSha
  */
-async function createCheck(octokit, context) {
+async function createCheck(octokit, context, headSha) {
 	const check = await octokit.checks.create({
 		...context.repo,
 		name: 'Compressed Size',
-		head_sha: context.payload.pull_request.head.sha,
+		head_sha: headSha,
 		status: 'in_progress'
 	});
 
-	return async (details) => {
-		await octokit.checks.update({
-			...context.repo,
-			check_run_id: check.data.id,
-			completed_at: new Date().toISOString(),
-			status: 'completed',
-			...details
-		});
+	/**
+	 * @param {'success' | 'neutral' | 'failure'} conclusion
+	 * @param {import('./checks.js').CheckOutput[]} outputs
+	 */
+	return async (conclusion, outputs) => {
+		for (let i = 0; i < outputs.length; i++) {
+			const last = i === outputs.length - 1;
+			await octokit.checks.update({
+				...context.repo,
+				check_run_id: check.data.id,
+				output: outputs[i],
+				...(last && {
+					completed_at: new Date().toISOString(),
+					status: 'completed',
+					conclusion
+				})
+			});
+		}
 	};
 }
 
 (async () => {
 	try {
 		const token = getInput('repo-token');
-		const octokit = getOctokit(token);
+		const octokit = createGitHubClient(token);
 		await run(octokit, context, token);
 	} catch (e) {
 		setFailed(e.message);
@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import { getPackageManagerAndInstallScript, markdownTable } from './utils.js';
+import { parseJsonc } from './config.js';
+
+/**
+ * The versions of each package installed by a lockfile, by package name
+ * @typedef {Record<string, string[]>} Dependencies
+ */
+
+/**
+ * @typedef {Object} DependencyChange
+ * @property {string} name
+ * @property {'added' | 'removed' | 'upgraded' | 'downgraded' | 'changed'} change
+ * @property {string[]} before Versions in the base
+ * @property {string[]} after Versions in the PR
+ */
+
+/** Dependency changes listed in the comment, the rest are only counted */
+const MAX_LISTED_CHANGES = 100;
+
+/** @type {DependencyChange['change'][]} */
+const CHANGE_ORDER = ['upgraded', 'downgraded', 'added', 'removed', 'changed'];
+
+/**
+ * @param {Dependencies} dependencies
+ * @param {string} name
+ * @param {string} version
+ */
+function addVersion(dependencies, name, version) {
+	const versions = dependencies[name] || (dependencies[name] = []);
+	if (!versions.includes(version)) versions.push(version);
+}
+
+/**
+ * Split "name@version", where scoped names start with an "@"
+ * @param {string} spec
+ * @returns {[string, string] | null}
+ */
+function splitSpec(spec) {
+	const at = spec.indexOf('@', 1);
+	return at === -1 ? null : [spec.slice(0, at), spec.slice(at + 1)];
+}
+
+/**
+ * package-lock.json, both the nested v1 format and the flat `packages` of v2 and v3
+ * @param {any} json
+ * @returns {Dependencies}
+ */
+function parsePackageLock(json) {
+	/** @type {Dependencies} */
+	const dependencies = {};
+	if (json.packages) {
+		for (const [key, entry] of Object.entries(json.packages)) {
+			const index = key.lastIndexOf('node_modules/');
+			// The root package, workspaces and links to them aren't installed from the registry:
+			if (index === -1 || entry.link || !entry.version) continue;
+			addVersion(dependencies, key.slice(index + 'node_modules/'.length), entry.version);
+		}
+		return dependencies;
+	}
+	const visit = (deps) => {
+		for (const [name, entry] of Object.entries(deps || {})) {
+			if (entry.version) addVersion(dependencies, name, entry.version);
+			visit(entry.dependencies);
+		}
+	};
+	visit(json.dependencies);
+	return dependencies;
+}
+
+/**
+ * yarn.lock, both the v1 format and the YAML of later versions
+ * @param {string} text
+ * @returns {Dependencies}
+ */
+function parseYarnLock(text) {
+	/** @type {Dependencies} */
+	const dependencies = {};
+	let name = null;
+	for (const line of text.split(/\r?\n/)) {
+		if (/^[^\s#].*:$/.test(line)) {
+			// A list of specifiers like `"@babel/core@^7.0.0", "@babel/core@npm:^7.1.0":`
+			const spec = splitSpec(line.slice(0, -1).split(',')[0].trim().replace(/^"|"$/g, ''));
+			name = spec && !/^(workspace|link|portal):/.test(spec[1]) ? spec[0] : null;
+			continue;
+		}
+		const version = line.match(/^ {2}version:? "?([^"\s]+)"?$/);
+		if (version && name) {
+			addVersion(dependencies, name, version[1]);
+			name = null;
+		}
+	}
+	return dependencies;
+}
+
+/**
+ * The `packages` section of pnpm-lock.yaml, with keys like "/name/1.0.0_peer@1" (v5),
+ * "/name@1.0.0(peer@1)" (v6) or "name@1.0.0" (v9)
+ * @param {string} text
+ * @returns {Dependencies}
+ */
+function parsePnpmLock(text) {
+	/** @type {Dependencies} */
+	const dependencies = {};
+	let inPackages = false;
+	for (const line of text.split(/\r?\n/)) {
+		if (/^\S/.test(line)) {
+			inPackages = line.trim() === 'packages:';
+			continue;
+		}
+		const key = inPackages && line.match(/^ {2}'?([^\s'][^']*?)'?:$/);
+		if (!key) continue;
+		const id = key[1].replace(/^\//, '').replace(/\(.*$/, '');
+		const v5 = id.match(/^((?:@[^/]+\/)?[^/@]+)\/(\d[^/_]*)(?:_.*)?$/);
+		const spec = v5 ? [v5[1], v5[2]] : splitSpec(id);
+		if (spec) addVersion(dependencies, spec[0], spec[1]);
+	}
+	return dependencies;
+}
+
+/**
+ * bun.lock, a JSON file with trailing commas whose `packages` start with "name@version"
+ * @param {string} text
+ * @returns {Dependencies}
+ */
+function parseBunLock(text) {
+	/** @type {Dependencies} */
+	const dependencies = {};
+	const json = parseJsonc(text, 'bun.lock');
+	for (const entry of Object.values(json.packages || {})) {
+		const spec = Array.isArray(entry) && typeof entry[0] === 'string' && splitSpec(entry[0]);
+		// Workspaces, links and git dependencies have a protocol instead of a version:
+		if (spec && !spec[1].includes(':')) addVersion(dependencies, spec[0], spec[1]);
+	}
+	return dependencies;
+}
+
+/**
+ * deno.lock, whose npm and JSR packages are keyed by "name@version", with peer dependencies after an underscore
+ * @param {any} json
+ * @returns {Dependencies}
+ */
+function parseDenoLock(json) {
+	/** @type {Dependencies} */
+	const dependencies = {};
+	// Version 3 nests them in `packages`, later versions don't:
+	const packages = json.packages && !json.npm ? json.packages : json;
+	for (const [registry, prefix] of [['npm', ''], ['jsr', 'jsr:']]) {
+		for (const key of Object.keys(packages[registry] || {})) {
+			const spec = splitSpec(key);
+			if (spec) addVersion(dependencies, prefix + spec[0], spec[1].replace(/_.*$/, ''));
+		}
+	}
+	return dependencies;
+}
+
+/**
+ * Parse a lockfile detected by `getPackageManagerAndInstallScript`
+ * @param {string} lockfile Its file name, like "yarn.lock"
+ * @param {string} text
+ * @returns {Dependencies | null} `null` for the binary bun.lockb, which can't be read
+ */
+export function parseLockfile(lockfile, text) {
+	switch (lockfile) {
+		case 'package-lock.json':
+			return parsePackageLock(JSON.parse(text));
+		case 'yarn.lock':
+			return parseYarnLock(text);
+		case 'pnpm-lock.yaml':
+			return parsePnpmLock(text);
+		case 'bun.lock':
+			return parseBunLock(text);
+		case 'deno.lock':
+			return parseDenoLock(JSON.parse(text));
+		default:
+			return null;
+	}
+}
+
+/**
+ * Read the dependencies of the lockfile in the root and in each target directory that has its own,
+ * by directory relative to the root ("" for the root itself).
+ * @param {string} root
+ * @param {import('./targets.js').Target[]} targets
+ * @returns {Promise<Record<string, Dependencies>>}
+ */
+export async function readLockfiles(root, targets) {
+	/** @type {Record<string, Dependencies>} */
+	const lockfiles = {};
+	for (const dir of new Set([root, ...targets.map((target) => target.cwd)])) {
+		const { lockfile } = await getPackageManagerAndInstallScript(dir);
+		if (!lockfile) continue;
+		const dependencies = parseLockfile(lockfile, await fs.promises.readFile(path.join(dir, lockfile), 'utf-8'));
+		if (dependencies) lockfiles[path.relative(root, dir)] = dependencies;
+	}
+	return lockfiles;
+}
+
+/**
+ * Compare versions like "1.2.3" by their major, minor and patch numbers
+ * @param {string} a
+ * @param {string} b
+ * @returns {number | null} `null` when either isn't a version number
+ */
+function compareVersions(a, b) {
+	const parse = (version) => version.match(/^v?(\d+)\.(\d+)\.(\d+)/);
+	const [x, y] = [parse(a), parse(b)];
+	if (!x || !y) return null;
+	for (let i = 1; i <= 3; i++) {
+		if (Number(x[i]) !== Number(y[i])) return Number(x[i]) - Number(y[i]);
+	}
+	return 0;
+}
+
+/**
+ * List the packages that were added, removed or changed version, by name
+ * @param {Dependencies} before
+ * @param {Dependencies} after
+ * @returns {DependencyChange[]}
+ */
+export function diffDependencies(before, after) {
+	/** @type {DependencyChange[]} */
+	const changes = [];
+	const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+	for (const name of Array.from(names).sort()) {
+		const from = (before[name] || []).slice().sort();
+		const to = (after[name] || []).slice().sort();
+		if (from.join() === to.join()) continue;
+
+		/** @type {DependencyChange['change']} */
+		let change = 'changed';
+		if (!from.length) change = 'added';
+		else if (!to.length) change = 'removed';
+		else if (from.length === 1 && to.length === 1) {
+			const order = compareVersions(to[0], from[0]);
+			if (order > 0) change = 'upgraded';
+			else if (order < 0) change = 'downgraded';
+		}
+		changes.push({ name, change, before: from, after: to });
+	}
+	return changes;
+}
+
+/**
+ * Render dependency changes as a collapsed table, with the number of each kind of change in its summary
+ * @param {DependencyChange[]} changes
+ */
+export function dependencyChangesMarkdown(changes) {
+	if (!changes.length) return '';
+	const summary = CHANGE_ORDER.map((kind) => [kind, changes.filter(({ change }) => change === kind).length])
+		.filter(([, count]) => count)
+		.map(([kind, count]) => `${count} ${kind}`)
+		.join(', ');
+
+	const rows = changes
+		.slice(0, MAX_LISTED_CHANGES)
+		.map(({ name, change, before, after }) => [`\`${name}\``, change, before.join(', '), after.join(', ')]);
+	let table = markdownTable(rows, ['Package', 'Change', 'Before', 'After']);
+	if (changes.length > MAX_LISTED_CHANGES) {
+		table += `\n\n…and ${changes.length - MAX_LISTED_CHANGES} more`;
+	}
+	return `<details><summary>📚 <strong>Dependency changes</strong>: ${summary}</summary>\n\n${table}\n\n</details>`;
+}
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import prettyBytes from 'pretty-bytes';
+import { fileExists, getDeltaText, iconForDifference, markdownTable } from './utils.js';
+
+/**
+ * How a file is loaded: by an entry point, only through a dynamic import, or as a CSS, font or other asset
+ * @typedef {'entry' | 'dynamic' | 'asset'} AssetKind
+ */
+
+/**
+ * The output files of a build, as described by the bundler's manifest
+ * @typedef {Object} Manifest
+ * @property {Record<string, AssetKind>} files Every output file, relative to the target's directory
+ * @property {Record<string, string[]>} entries The JavaScript files each entry point loads initially, by entry name
+ */
+
+/**
+ * The initial JavaScript of an entry point, and its change
+ * @typedef {Object} EntryDelta
+ * @property {string} name
+ * @property {number} size
+ * @property {number} delta
+ */
+
+/** @typedef {'vite' | 'webpack' | 'esbuild'} ManifestFormat */
+
+/**
+ * A JavaScript output file
+ * @typedef {Object} Chunk
+ * @property {string[]} imports The chunks it imports statically
+ * @property {string[]} other Any other files it loads, like CSS
+ */
+
+const FORMATS = ['vite', 'webpack', 'esbuild'];
+
+/**
+ * @param {string} file
+ */
+function isScript(file) {
+	return /\.[cm]?js$/.test(file);
+}
+
+/**
+ * Guess the format of a manifest from its contents
+ * @param {any} json
+ * @returns {ManifestFormat}
+ */
+export function detectManifestFormat(json) {
+	if (json.outputs && typeof json.outputs === 'object') return 'esbuild';
+	if (Array.isArray(json.assets) || Array.isArray(json.chunks) || json.entrypoints) return 'webpack';
+	return 'vite';
+}
+
+/**
+ * Create a manifest from output files and the files each of them imports
+ * @param {Record<string, Chunk>} chunks By file name
+ * @param {Record<string, string[]>} entryChunks The chunks each entry point starts with, by entry name
+ * @param {string[]} assets Files that aren't chunks
+ * @returns {Manifest}
+ */
+function createManifest(chunks, entryChunks, assets) {
+	/** @type {Manifest} */
+	const manifest = { files: {}, entries: {} };
+	const initial = new Set();
+	for (const [name, files] of Object.entries(entryChunks)) {
+		const loaded = new Set();
+		const visit = (file) => {
+			if (loaded.has(file) || !chunks[file]) return;
+			loaded.add(file);
+			chunks[file].imports.forEach(visit);
+		};
+		files.forEach(visit);
+		manifest.entries[name] = [...loaded].filter(isScript);
+		loaded.forEach((file) => initial.add(file));
+	}
+	for (const [file, chunk] of Object.entries(chunks)) {
+		manifest.files[file] = !isScript(file) ? 'asset' : initial.has(file) ? 'entry' : 'dynamic';
+		for (const other of chunk.other) manifest.files[other] = 'asset';
+	}
+	for (const asset of assets) {
+		if (!(asset in manifest.files)) manifest.files[asset] = 'asset';
+	}
+	return manifest;
+}
+
+/**
+ * Parse a Vite manifest (`build.manifest`), whose file names are relative to the output directory
+ * @param {any} json
+ * @param {string} dir The output directory, relative to the target
+ * @returns {Manifest}
+ */
+export function parseViteManifest(json, dir) {
+	const file = (name) => path.posix.join(dir, name);
+	/** @type {Record<string, Chunk>} */
+	const chunks = {};
+	/** @type {Record<string, string[]>} */
+	const entryChunks = {};
+	for (const [key, chunk] of Object.entries(json)) {
+		if (!chunk || typeof chunk.file !== 'string') continue;
+		chunks[file(chunk.file)] = {
+			imports: (chunk.imports || []).map((key) => json[key] && file(json[key].file)).filter(Boolean),
+			other: [...(chunk.css || []), ...(chunk.assets || [])].map(file)
+		};
+		if (chunk.isEntry) entryChunks[chunk.src || key] = [file(chunk.file)];
+	}
+	return createManifest(chunks, entryChunks, []);
+}
+
+/**
+ * Parse webpack stats (`webpack --json`), whose file names are relative to the output directory
+ * @param {any} json
+ * @param {string} dir The output directory, relative to the target
+ * @returns {Manifest}
+ */
+export function parseWebpackStats(json, dir) {
+	const file = (name) => path.posix.join(dir, name);
+	/** @type {Record<string, Chunk>} */
+	const chunks = {};
+	for (const chunk of json.chunks || []) {
+		const files = (chunk.files || []).map(file);
+		const other = [...files.filter((name) => !isScript(name)), ...(chunk.auxiliaryFiles || []).map(file)];
+		for (const script of files.filter(isScript)) {
+			chunks[script] = { imports: [], other };
+		}
+	}
+	// Entry points list all of their initial chunks, like the runtime and vendor chunks:
+	/** @type {Record<string, string[]>} */
+	const entryChunks = {};
+	for (const [name, entrypoint] of Object.entries(json.entrypoints || {})) {
+		const files = (entrypoint.assets || []).map((asset) => file(typeof asset === 'string' ? asset : asset.name));
+		entryChunks[name] = files.filter(isScript);
+		for (const script of entryChunks[name]) chunks[script] = chunks[script] || { imports: [], other: [] };
+	}
+	const assets = (json.assets || []).map((asset) => file(asset.name));
+	return createManifest(chunks, entryChunks, assets);
+}
+
+/**
+ * Parse an esbuild metafile (`metafile: true`), whose file names are relative to esbuild's working directory
+ * @param {any} json
+ * @param {string} dir esbuild's working directory, relative to the target
+ * @returns {Manifest}
+ */
+export function parseEsbuildMetafile(json, dir) {
+	const file = (name) => path.posix.join(dir, name);
+	const outputs = json.outputs || {};
+	const dynamic = new Set();
+	for (const output of Object.values(outputs)) {
+		for (const { path: imported, kind } of output.imports || []) {
+			if (kind === 'dynamic-import') dynamic.add(imported);
+		}
+	}
+
+	/** @type {Record<string, Chunk>} */
+	const chunks = {};
+	/** @type {Record<string, string[]>} */
+	const entryChunks = {};
+	const assets = [];
+	for (const [name, output] of Object.entries(outputs)) {
+		if (!isScript(name)) {
+			assets.push(file(name));
+			continue;
+		}
+		chunks[file(name)] = {
+			imports: (output.imports || [])
+				.filter(({ path: imported, kind }) => imported in outputs && (kind === 'import-statement' || kind === 'require-call'))
+				.map(({ path: imported }) => file(imported)),
+			other: output.cssBundle ? [file(output.cssBundle)] : []
+		};
+		// Code splitting turns dynamically imported modules into entry points too:
+		if (output.entryPoint && !dynamic.has(name)) entryChunks[output.entryPoint] = [file(name)];
+	}
+	return createManifest(chunks, entryChunks, assets);
+}
+
+/**
+ * Read a target's manifest, given as "<file>" or "<format>:<file>" relative to the target's directory.
+ * The format is detected from the contents when it's not given.
+ * @param {import('./targets.js').Target} target
+ * @returns {Promise<Manifest | null>} `null` when the build didn't write the manifest
+ */
+export async function readManifest(target) {
+	const match = target.manifest.match(/^([a-z]+):(.*)$/);
+	const format = match ? match[1] : null;
+	const file = path.posix.normalize((match ? match[2] : target.manifest).replace(/\\/g, '/'));
+	if (format && !FORMATS.includes(format)) {
+		throw Error(`Unknown manifest format "${format}", expected one of "${FORMATS.join('", "')}"`);
+	}
+
+	const filename = path.join(target.cwd, file);
+	if (!(await fileExists(filename))) return null;
+	const json = JSON.parse(await fs.promises.readFile(filename, 'utf-8'));
+
+	let dir = path.posix.dirname(file);
+	switch (format || detectManifestFormat(json)) {
+		case 'vite':
+			// Vite 5 writes the manifest to .vite/ in the output directory:
+			if (path.posix.basename(dir) === '.vite') dir = path.posix.dirname(dir);
+			return parseViteManifest(json, dir);
+		case 'webpack':
+			return parseWebpackStats(json, dir);
+		case 'esbuild':
+			return parseEsbuildMetafile(json, '.');
+	}
+}
+
+/**
+ * List the files of a manifest that exist and aren't excluded, to measure instead of the target's pattern
+ * @param {Manifest} manifest
+ * @param {import('./targets.js').Target} target
+ */
+export async function manifestFiles(manifest, target) {
+	const files = [];
+	for (const file of Object.keys(manifest.files).sort()) {
+		if (target.exclude && minimatch(file, target.exclude)) continue;
+		if (await fileExists(path.join(target.cwd, file))) files.push(file);
+	}
+	return files;
+}
+
+/**
+ * Label each file as an entry, dynamic or asset, from the manifest of the head or else of the base
+ * @param {import('./utils.js').Diff[]} files
+ * @param {Manifest | null} before
+ * @param {Manifest | null} after
+ * @param {(filename: string) => string} [stripHash] Applied to the manifests' file names, like for the sizes
+ * @returns {import('./utils.js').Diff[]}
+ */
+export function addKinds(files, before, after, stripHash) {
+	const strip = stripHash || ((filename) => filename);
+	/** @type {Map<string, AssetKind>} */
+	const kinds = new Map();
+	for (const manifest of [before, after]) {
+		if (!manifest) continue;
+		for (const [file, kind] of Object.entries(manifest.files)) kinds.set(strip(file), kind);
+	}
+	return files.map((file) => (kinds.has(file.filename) ? { ...file, kind: kinds.get(file.filename) } : file));
+}
+
+/**
+ * Sum up the JavaScript each entry point loads initially, in the base and in the head
+ * @param {Manifest | null} before
+ * @param {Manifest | null} after
+ * @param {Record<string, number>} beforeSizes
+ * @param {Record<string, number>} afterSizes
+ * @param {(filename: string) => string} [stripHash]
+ * @returns {EntryDelta[]}
+ */
+export function entryDeltas(before, after, beforeSizes, afterSizes, stripHash) {
+	const strip = stripHash || ((filename) => filename);
+	const total = (manifest, sizes, name) =>
+		manifest && manifest.entries[name]
+			? manifest.entries[name].reduce((sum, file) => sum + (sizes[strip(file)] || 0), 0)
+			: 0;
+
+	const names = new Set([...Object.keys((after && after.entries) || {}), ...Object.keys((before && before.entries) || {})]);
+	return Array.from(names)
+		.sort()
+		.map((name) => {
+			const size = total(after, afterSizes, name);
+			return { name, size, delta: size - total(before, beforeSizes, name) };
+		});
+}
+
+/**
+ * Render the initial JavaScript of each entry point as a table
+ * @param {EntryDelta[]} entries
+ * @param {import('./severity.js').Severity} [severity]
+ */
+export function entriesMarkdown(entries, severity) {
+	if (!entries.length) return '';
+	const rows = entries.map(({ name, size, delta }) => [
+		`\`${name}\``,
+		prettyBytes(size),
+		getDeltaText(delta, size - delta),
+		iconForDifference(delta, size - delta, false, severity)
+	]);
+	const table = markdownTable(rows, ['Entry point', 'Initial JS', 'Change', '']);
+	return `<details open><summary>🚪 <strong>Initial JS by entry point</strong></summary>\n\n${table}\n\n</details>`;
+}
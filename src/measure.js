@@ -0,0 +1,318 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Worker } from 'worker_threads';
+import { compressionKey, defaultCompressionSettings, findFiles } from './utils.js';
+
+/**
+ * Compressed sizes by content hash and compression, shared by both sides of a comparison
+ * @typedef {Object} SizeCache
+ * @property {(key: string) => number | undefined} get
+ * @property {(key: string, size: number) => void} set
+ * @property {() => Promise<void>} save Persist the sizes used in this run, if the cache has a store
+ */
+
+/**
+ * @typedef {Object} WorkerPool
+ * @property {(data: Uint8Array, compression: import('./utils.js').Compression, settings?: import('./utils.js').CompressionSettings) => Promise<number>} compress
+ *   Settings default to those of `defaultCompressionSettings`
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * @typedef {Object} MeasureStats
+ * @property {number} files
+ * @property {number} compressed Sizes that had to be computed
+ * @property {number} cached Sizes that were found in the cache
+ */
+
+/**
+ * Runs in each worker. It's kept as a string so the action can be bundled into a single file.
+ * The default settings are the same as the size plugin used, so sizes stay comparable.
+ */
+const WORKER_SOURCE = `
+const { parentPort } = require('worker_threads');
+const zlib = require('zlib');
+
+function compressedSize(data, compression, { level, window }) {
+	const { constants } = zlib;
+	switch (compression) {
+		case 'gzip':
+			return zlib.gzipSync(data, { level, windowBits: window }).length;
+		case 'brotli':
+			return zlib.brotliCompressSync(data, {
+				params: { [constants.BROTLI_PARAM_QUALITY]: level, [constants.BROTLI_PARAM_LGWIN]: window }
+			}).length;
+		case 'zstd':
+			return zlib.zstdCompressSync(data, {
+				params: {
+					[constants.ZSTD_c_compressionLevel]: level,
+					...(window && { [constants.ZSTD_c_windowLog]: window })
+				}
+			}).length;
+		default:
+			return data.length;
+	}
+}
+
+parentPort.on('message', ({ id, data, compression, settings }) => {
+	try {
+		parentPort.postMessage({ id, size: compressedSize(data, compression, settings) });
+	} catch (e) {
+		parentPort.postMessage({ id, error: e.message });
+	}
+});
+`;
+
+/**
+ * The number of CPU cores, from `os.cpus()` on Node.js versions before 18.14
+ */
+function cpuCount() {
+	return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Start a pool of workers that compress files in parallel. Workers are started as they're needed.
+ * @param {number} [size] Defaults to the number of CPU cores
+ * @param {string} [source] The code each worker runs, `WORKER_SOURCE` unless testing
+ * @returns {WorkerPool}
+ */
+export function createWorkerPool(size = cpuCount(), source = WORKER_SOURCE) {
+	/** @type {Worker[]} */
+	const workers = [];
+	/** @type {Worker[]} */
+	const idle = [];
+	/** @type {{ data: Uint8Array, compression: string, settings: object, resolve: (size: number) => void, reject: (e: Error) => void }[]} */
+	const queue = [];
+	/** @type {Map<number, { worker: Worker, resolve: (size: number) => void, reject: (e: Error) => void }>} */
+	const pending = new Map();
+	let nextId = 0;
+
+	/**
+	 * A worker that crashed or exited can't be used again, so its tasks fail and a new one is started for the queued tasks
+	 * @param {Worker} worker
+	 * @param {Error} e
+	 */
+	const drop = (worker, e) => {
+		// Workers that crashed exit too, but were already dropped:
+		if (!workers.includes(worker)) return;
+		workers.splice(workers.indexOf(worker), 1);
+		if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+		for (const [id, task] of pending) {
+			if (task.worker === worker) {
+				pending.delete(id);
+				task.reject(e);
+			}
+		}
+		next();
+	};
+
+	const next = () => {
+		if (!queue.length) return;
+		let worker = idle.pop();
+		if (!worker && workers.length < size) {
+			worker = new Worker(source, { eval: true });
+			worker.on('message', ({ id, size, error }) => {
+				const task = pending.get(id);
+				pending.delete(id);
+				idle.push(task.worker);
+				if (error) task.reject(Error(error));
+				else task.resolve(size);
+				next();
+			});
+			worker.on('error', (/** @type {Error} */ e) => drop(worker, e));
+			// Like when the worker is killed for running out of memory, or calls `process.exit()`:
+			worker.on('exit', (code) => drop(worker, Error(`Worker stopped with exit code ${code}`)));
+			workers.push(worker);
+		}
+		if (!worker) return;
+		const { data, compression, settings, resolve, reject } = queue.shift();
+		const id = nextId++;
+		pending.set(id, { worker, resolve, reject });
+		worker.postMessage({ id, data, compression, settings });
+	};
+
+	return {
+		compress(data, compression, settings = defaultCompressionSettings(compression)) {
+			return new Promise((resolve, reject) => {
+				queue.push({ data, compression, settings, resolve, reject });
+				next();
+			});
+		},
+		async close() {
+			await Promise.all(workers.map((worker) => worker.terminate()));
+		}
+	};
+}
+
+/** @type {Record<string, (location: string) => SizeCache>} */
+const backends = {
+	local: createLocalSizeCache
+};
+
+/**
+ * Create a size cache from a "backend:location" string, like the baseline store.
+ * Without a spec, sizes are only cached in memory for the current run.
+ * @param {string} [spec]
+ * @returns {SizeCache}
+ */
+export function createSizeCache(spec) {
+	if (!spec) return createMemorySizeCache();
+	const match = spec.match(/^([a-z][a-z0-9-]*):(?!\/\/|\\)(.*)$/);
+	const backend = match ? match[1] : 'local';
+	const location = match ? match[2] : spec;
+	if (!backends[backend]) {
+		throw Error(`Unknown measure cache "${backend}", expected one of "${Object.keys(backends).join('", "')}"`);
+	}
+	return backends[backend](location);
+}
+
+/**
+ * @param {Record<string, number>} [stored] Sizes from a previous run
+ * @returns {SizeCache & { used: Record<string, number> }}
+ */
+function createMemorySizeCache(stored = {}) {
+	/** @type {Record<string, number>} */
+	const used = {};
+	return {
+		used,
+		get(key) {
+			const size = key in used ? used[key] : stored[key];
+			if (size !== undefined) used[key] = size;
+			return size;
+		},
+		set(key, size) {
+			used[key] = size;
+		},
+		async save() {}
+	};
+}
+
+/**
+ * Keep sizes in a JSON file in a local directory, which can be cached between runs.
+ * Only the sizes used by the latest run are kept, so the file doesn't grow forever.
+ * @param {string} dir
+ * @returns {SizeCache}
+ */
+export function createLocalSizeCache(dir) {
+	const filename = path.join(path.resolve(dir), 'sizes.json');
+	/** @type {ReturnType<typeof createMemorySizeCache> | undefined} */
+	let cache;
+	// The cache is read synchronously, on first use, to keep `get` simple:
+	const load = () => {
+		if (!cache) {
+			const stored = fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf-8')) : {};
+			cache = createMemorySizeCache(stored);
+		}
+		return cache;
+	};
+
+	return {
+		get: (key) => load().get(key),
+		set: (key, size) => load().set(key, size),
+		async save() {
+			if (!cache) return;
+			await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+			await fs.promises.writeFile(filename, JSON.stringify(cache.used));
+		}
+	};
+}
+
+/**
+ * Measure the files of a target with each of its compressions, like the size plugin's `readFromDisk`.
+ * Files are read a few at a time and compressed by the worker pool, unless their size is cached.
+ * @param {import('./targets.js').Target} target
+ * @param {object} options
+ * @param {WorkerPool} options.pool
+ * @param {SizeCache} options.cache
+ * @param {(filename: string) => string} [options.stripHash]
+ * @param {string[]} [options.files] The files to measure, instead of those matching the target's pattern
+ * @returns {Promise<{ sizes: Record<string, number>[], stats: MeasureStats }>} For each compression, the size of each file
+ */
+export async function measureTarget(target, { pool, cache, stripHash, files }) {
+	files = files || (await findFiles(target.cwd, target.pattern, target.exclude));
+	/** @type {number[][]} For each file, its size with each compression */
+	const measured = [];
+	const stats = { files: files.length, compressed: 0, cached: 0 };
+
+	let next = 0;
+	const measureNext = async () => {
+		while (next < files.length) {
+			const index = next++;
+			const data = await fs.promises.readFile(path.join(target.cwd, files[index]));
+			const hash = crypto.createHash('sha1').update(data).digest('hex');
+			measured[index] = await Promise.all(
+				target.compressions.map(async (compression) => {
+					const settings = target.compressionSettings && target.compressionSettings[compression];
+					const key = `${compressionKey(compression, settings)}:${hash}`;
+					let size = cache.get(key);
+					if (size === undefined) {
+						size = await pool.compress(data, compression, settings);
+						cache.set(key, size);
+						stats.compressed++;
+					} else {
+						stats.cached++;
+					}
+					return size;
+				})
+			);
+		}
+	};
+	// Enough files in flight to keep every worker busy, without reading the whole output into memory:
+	await Promise.all(Array.from({ length: cpuCount() * 2 }, measureNext));
+
+	// Sizes are listed in the order of the files, no matter which finished first:
+	const sizes = target.compressions.map((compression, i) => {
+		/** @type {Record<string, number>} */
+		const result = {};
+		files.forEach((file, index) => {
+			result[stripHash ? stripHash(file) : file] = measured[index][i];
+		});
+		return result;
+	});
+
+	return { sizes, stats };
+}
+
+/**
+ * Measure every target, logging how long it took
+ * @param {import('./targets.js').Target[]} targets
+ * @param {object} options
+ * @param {SizeCache} options.cache
+ * @param {Map<string, ((filename: string) => string) | undefined>} options.stripHashFns By target name
+ * @param {Record<string, string[]>} [options.files] The files to measure for some targets, by target name
+ * @param {string} options.label
+ * @param {import('./utils.js').Logger} logger
+ * @returns {Promise<Record<string, Record<string, number>[]>>} By target name, the sizes for each compression
+ */
+export async function measureTargets(targets, { cache, stripHashFns, files = {}, label }, logger) {
+	logger.startGroup(`${label} Measure sizes`);
+	const pool = createWorkerPool();
+	/** @type {Record<string, Record<string, number>[]>} */
+	const sizes = {};
+	try {
+		for (const target of targets) {
+			const start = Date.now();
+			const result = await measureTarget(target, {
+				pool,
+				cache,
+				stripHash: stripHashFns.get(target.name),
+				files: files[target.name]
+			});
+			sizes[target.name] = result.sizes;
+
+			const { compressed, cached } = result.stats;
+			const count = result.stats.files;
+			const seconds = ((Date.now() - start) / 1000).toFixed(2);
+			logger.log(
+				`Measured ${count} file${count === 1 ? '' : 's'}${targets.length > 1 ? ` of ${target.name}` : ''} in ${seconds}s ` +
+					`(${compressed} compressed, ${cached} from cache)`
+			);
+		}
+	} finally {
+		await pool.close();
+		logger.endGroup();
+	}
+	return sizes;
+}
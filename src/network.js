@@ -0,0 +1,129 @@
+/**
+ * A network to estimate download times on
+ * @typedef {Object} NetworkProfile
+ * @property {string} name
+ * @property {number} bandwidth Download speed in bits per second
+ * @property {number} rtt Round-trip time in milliseconds
+ */
+
+/**
+ * Built-in profiles, with the speeds WebPageTest uses for its connectivity profiles of the same name
+ * @type {NetworkProfile[]}
+ */
+export const NETWORK_PRESETS = [
+	{ name: 'Slow 3G', bandwidth: 400e3, rtt: 400 },
+	{ name: 'Fast 3G', bandwidth: 1.6e6, rtt: 150 },
+	{ name: '4G', bandwidth: 9e6, rtt: 170 },
+	{ name: 'Cable', bandwidth: 5e6, rtt: 28 }
+];
+
+const BANDWIDTH_UNITS = {
+	bps: 1,
+	kbps: 1e3,
+	mbps: 1e6,
+	gbps: 1e9
+};
+
+/**
+ * Parse a duration like "400ms" or "1.5 s" into milliseconds
+ * @param {string} value
+ * @returns {number | null} `null` when it isn't a duration
+ */
+export function parseTime(value) {
+	const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+	if (!match) return null;
+	return parseFloat(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1);
+}
+
+/**
+ * Find a profile by name, case-insensitively, among the given profiles and then the presets
+ * @param {string} name
+ * @param {NetworkProfile[]} [profiles]
+ * @returns {NetworkProfile | undefined}
+ */
+export function findNetworkProfile(name, profiles = []) {
+	const key = name.trim().toLowerCase();
+	return [...profiles, ...NETWORK_PRESETS].find((profile) => profile.name.toLowerCase() === key);
+}
+
+/**
+ * Parse network profiles, one per line or separated by commas. Each is the name of a preset,
+ * or a name followed by the bandwidth and round-trip time of a custom profile:
+ *   Slow 3G
+ *   Office: 20 Mbps 40ms
+ * @param {string} text
+ * @returns {NetworkProfile[]}
+ */
+export function parseNetworkProfiles(text) {
+	const profiles = [];
+	for (let entry of (text || '').split(/[\n,]/)) {
+		entry = entry.trim();
+		if (!entry || entry.startsWith('#')) continue;
+
+		const custom = entry.match(/^(.+?)\s*:\s*(\d+(?:\.\d+)?)\s*([a-z]+)\s+(.+)$/i);
+		if (!custom) {
+			const preset = findNetworkProfile(entry);
+			if (!preset) {
+				const names = NETWORK_PRESETS.map((profile) => profile.name);
+				throw Error(
+					`Unknown network profile "${entry}", expected one of "${names.join('", "')}" or a custom profile like "Office: 20 Mbps 40ms"`
+				);
+			}
+			profiles.push(preset);
+			continue;
+		}
+
+		const [, name, amount, unit, rtt] = custom;
+		const multiplier = BANDWIDTH_UNITS[unit.toLowerCase()];
+		const ms = parseTime(rtt);
+		if (!multiplier || !(parseFloat(amount) > 0) || ms == null) {
+			throw Error(`Invalid network profile "${entry}", expected a bandwidth and round-trip time like "20 Mbps 40ms"`);
+		}
+		profiles.push({ name, bandwidth: parseFloat(amount) * multiplier, rtt: ms });
+	}
+	return profiles;
+}
+
+/**
+ * Estimate how long downloading some bytes takes: a round trip to request them, then the transfer.
+ * This leaves out TCP slow start and requests sharing the connection, so it's a rough lower bound.
+ * @param {number} bytes
+ * @param {NetworkProfile} profile
+ * @returns {number} Milliseconds, 0 when there's nothing to download
+ */
+export function estimateTime(bytes, profile) {
+	if (bytes <= 0) return 0;
+	return profile.rtt + ((bytes * 8) / profile.bandwidth) * 1000;
+}
+
+/**
+ * Estimate the download time of a file or total, and how much it changed
+ * @param {{ size: number, delta: number }} sizes
+ * @param {NetworkProfile} profile
+ */
+export function estimateTimeDelta({ size, delta }, profile) {
+	const time = estimateTime(size, profile);
+	return { time, delta: time - estimateTime(size - delta, profile) };
+}
+
+/**
+ * @param {number} ms
+ */
+export function formatTime(ms) {
+	// Rounding before picking the unit, so 999.6 ms is "1.00 s" rather than "1000 ms":
+	const rounded = Math.round(ms);
+	if (Math.abs(rounded) < 1000) return `${rounded} ms`;
+	const seconds = Math.round(ms / 10) / 100;
+	if (Math.abs(seconds) < 10) return `${seconds.toFixed(2)} s`;
+	return `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Format a download time, followed by its change when there is one, like "1.25 s (+80 ms)"
+ * @param {{ time: number, delta: number }} estimate
+ */
+export function formatTimeDelta({ time, delta }) {
+	const change = Math.round(delta);
+	if (change === 0) return formatTime(time);
+	return `${formatTime(time)} (${change > 0 ? '+' : ''}${formatTime(delta)})`;
+}
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import { toBool, getSortOrder } from './utils.js';
+import { parseBudgets } from './budgets.js';
+import { parseNetworkProfiles } from './network.js';
+import { parseGroups } from './groups.js';
+import { createSnapshotStore } from './snapshots.js';
+import { createSizeCache } from './measure.js';
+import { createTarget, parseTargets } from './targets.js';
+import { readWorkspaces } from './workspaces.js';
+import { loadRenderer } from './render.js';
+import { DEFAULT_SEVERITY, parseSeverityRules, parseSeverityIcons, severityRank } from './severity.js';
+
+/**
+ * Everything that controls how the two commits are built, measured and compared
+ * @typedef {Object} CompareOptions
+ * @property {string} cwd Absolute directory to install dependencies in and resolve targets from
+ * @property {string | null} baseRef
+ * @property {string | null} baseSha Fallback if `baseRef` can't be fetched or checked out
+ * @property {string | null} headSha
+ * @property {string[]} additionalBaseRefs Further refs to compare against, tag patterns like "v*" resolve to the latest matching tag
+ * @property {import('./targets.js').Target[]} targets
+ * @property {import('./workspaces.js').Workspace[] | null} workspaces In workspaces mode, every package of the workspace.
+ *   Only the targets of packages affected by the changes since the base are built and measured.
+ * @property {string} installScript Overrides the detected install command
+ * @property {string} cleanScript Script to run before checking out the base in place
+ * @property {boolean} useWorktree Build the base in a separate worktree instead of in place
+ * @property {boolean} fetch Fetch the base from origin before checking it out
+ * @property {boolean} detectRenames
+ * @property {boolean} sourceMaps Break down changed files by source module using their source maps
+ * @property {boolean} dependencyChanges List the packages whose version changed in the lockfile
+ * @property {import('./snapshots.js').SnapshotStore | null} baselineStore
+ * @property {import('./measure.js').SizeCache} measureCache Compressed sizes by content, kept between runs if configured
+ * @property {boolean} saveBaseline Save the measured sizes in the baseline store under `headSha`
+ * @property {import('./budgets.js').Budget[]} budgets
+ * @property {'error' | 'warn'} budgetMode
+ * @property {number} minimumChangeThreshold
+ * @property {TableOptions} table
+ * @property {import('./render.js').Renderer} renderer
+ */
+
+/**
+ * @typedef {Object} TableOptions
+ * @property {boolean} showTotal
+ * @property {boolean} collapseUnchanged
+ * @property {boolean} omitUnchanged
+ * @property {import('./utils.js').SortBy} sortBy
+ * @property {import('./groups.js').Group[]} [groups]
+ * @property {import('./severity.js').Severity} [severity]
+ * @property {import('./severity.js').SeverityLevel} [highlight]
+ * @property {import('./network.js').NetworkProfile[]} [networkProfiles]
+ */
+
+/**
+ * Read the options shared by the action and the CLI, given a function that returns the
+ * value of a named input (the action's `getInput`, or the CLI's flags), combined with the config file
+ * and defaults by `withConfig`.
+ * Relative paths are resolved from the current working directory.
+ * @param {(name: string) => string} input
+ * @returns {Promise<Omit<CompareOptions, 'baseRef' | 'baseSha' | 'headSha' | 'saveBaseline' | 'fetch'>>}
+ */
+export async function getCompareOptions(input) {
+	// Budgets are read up-front, since the base checkout may replace the budget file:
+	let budgetText = input('budgets');
+	if (input('budget-file')) {
+		budgetText += '\n' + (await fs.promises.readFile(input('budget-file'), 'utf-8'));
+	}
+	const networkProfiles = parseNetworkProfiles(input('network-profiles'));
+	const budgets = parseBudgets(budgetText, networkProfiles);
+	const budgetMode = input('budget-mode') || 'error';
+	if (budgetMode !== 'error' && budgetMode !== 'warn') {
+		throw Error(`Invalid budget-mode "${budgetMode}", expected "error" or "warn"`);
+	}
+
+	const severity = {
+		rules: input('severity-rules') ? parseSeverityRules(input('severity-rules')) : DEFAULT_SEVERITY.rules,
+		icons: parseSeverityIcons(input('severity-icons') || '')
+	};
+	const highlight = /** @type {import('./severity.js').SeverityLevel} */ (input('highlight-severity') || undefined);
+	if (highlight && !(severityRank(highlight) > 0)) {
+		throw Error(`Invalid highlight-severity "${highlight}", expected one of "low", "medium", "high", "critical"`);
+	}
+
+	const root = process.cwd();
+	const defaults = {
+		cwd: root,
+		pattern: input('pattern') || '**/dist/**/*.{js,mjs,cjs}',
+		exclude: input('exclude') || '{**/*.map,**/node_modules/**}',
+		stripHash: input('strip-hash'),
+		buildScript: input('build-script') || 'build',
+		compression: input('compression'),
+		manifest: input('manifest')
+	};
+	// Targets are given as JSON by the config file, or as the path to a JSON file:
+	const targetsJson = input('targets').trim().startsWith('[')
+		? input('targets')
+		: input('targets') && (await fs.promises.readFile(input('targets'), 'utf-8'));
+	let targets = targetsJson ? parseTargets(targetsJson, defaults) : [createTarget({}, defaults)];
+
+	let workspaces = null;
+	if (toBool(input('workspaces'))) {
+		if (targetsJson) throw Error('The workspaces and targets options can not be used together');
+		workspaces = await readWorkspaces(root);
+		if (!workspaces) {
+			throw Error(`No workspaces found in ${root}, expected a pnpm-workspace.yaml or "workspaces" in package.json`);
+		}
+		// Packages without the build script, like shared configs, can't be measured but still affect their dependents:
+		targets = workspaces
+			.filter(({ scripts }) => scripts.includes(defaults.buildScript))
+			.map(({ name, path }) => createTarget({ name, cwd: path }, defaults));
+	}
+
+	return {
+		cwd: root,
+		targets,
+		workspaces,
+		additionalBaseRefs: input('additional-base-refs').split(/[\s,]+/).filter(Boolean),
+		installScript: input('install-script'),
+		cleanScript: input('clean-script'),
+		useWorktree: toBool(input('use-worktree')),
+		detectRenames: toBool(input('detect-renames')),
+		sourceMaps: toBool(input('source-maps')),
+		dependencyChanges: toBool(input('dependency-changes')),
+		baselineStore: input('baseline-store') ? createSnapshotStore(input('baseline-store')) : null,
+		measureCache: createSizeCache(input('measure-cache')),
+		budgets,
+		budgetMode,
+		minimumChangeThreshold: parseInt(input('minimum-change-threshold'), 10),
+		table: {
+			collapseUnchanged: toBool(input('collapse-unchanged')),
+			omitUnchanged: toBool(input('omit-unchanged')),
+			showTotal: toBool(input('show-total')),
+			sortBy: getSortOrder(input('sort-by')),
+			groups: input('groups') ? parseGroups(input('groups')) : undefined,
+			severity,
+			highlight,
+			networkProfiles
+		},
+		renderer: await loadRenderer(input('renderer') || 'default')
+	};
+}
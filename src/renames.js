@@ -0,0 +1,100 @@
+import path from 'path';
+
+/**
+ * Compute the similarity of two strings as 1 minus their normalized Levenshtein distance
+ * @param {string} a
+ * @param {string} b
+ */
+export function stringSimilarity(a, b) {
+	if (a === b) return 1;
+	if (!a.length || !b.length) return 0;
+
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+		}
+		previous = current;
+	}
+	return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * @param {string} filename
+ */
+function splitFilename(filename) {
+	const ext = path.extname(filename);
+	return { dir: path.dirname(filename), name: path.basename(filename, ext), ext };
+}
+
+/**
+ * Pair up removed and added files that look like the same file under a new name,
+ * and replace each pair with a single renamed entry carrying the real change in size.
+ * Files are only paired within the same directory and extension, when their sizes are close
+ * and their names are similar enough.
+ * @param {import('./utils.js').Diff[]} files
+ * @param {object} [options]
+ * @param {number} [options.sizeTolerance] How much the size may change, as a fraction of the larger size
+ * @param {number} [options.minimumScore] How similar a pair must be overall, from 0 to 1
+ * @returns {import('./utils.js').Diff[]}
+ */
+export function detectRenames(files, { sizeTolerance = 0.2, minimumScore = 0.7 } = {}) {
+	const removed = files.filter((file) => file.size === 0 && file.delta < 0);
+	const added = files.filter((file) => file.size > 0 && file.size === file.delta);
+
+	const candidates = [];
+	for (const before of removed) {
+		const a = splitFilename(before.filename);
+		const originalSize = -before.delta;
+		for (const after of added) {
+			const b = splitFilename(after.filename);
+			if (a.dir !== b.dir || a.ext !== b.ext) continue;
+
+			const sizeScore = 1 - Math.abs(after.size - originalSize) / Math.max(after.size, originalSize);
+			if (sizeScore < 1 - sizeTolerance) continue;
+
+			const score = (sizeScore + stringSimilarity(a.name, b.name)) / 2;
+			if (score >= minimumScore) candidates.push({ before, after, score });
+		}
+	}
+
+	// Greedily take the most similar pairs first
+	candidates.sort((x, y) => y.score - x.score);
+	const paired = new Map();
+	const used = new Set();
+	for (const { before, after } of candidates) {
+		if (used.has(before) || used.has(after)) continue;
+		used.add(before).add(after);
+		paired.set(after, before);
+	}
+
+	const result = [];
+	for (const file of files) {
+		if (used.has(file) && !paired.has(file)) continue;
+
+		const before = paired.get(file);
+		if (!before) {
+			result.push(file);
+			continue;
+		}
+
+		/** @type {import('./utils.js').Diff} */
+		const renamed = {
+			filename: file.filename,
+			previousFilename: before.filename,
+			size: file.size,
+			delta: file.size + before.delta
+		};
+		if (file.encodings) {
+			renamed.encodings = {};
+			for (const encoding in file.encodings) {
+				const { size } = file.encodings[encoding];
+				renamed.encodings[encoding] = { size, delta: size + before.encodings[encoding].delta };
+			}
+		}
+		result.push(renamed);
+	}
+	return result;
+}
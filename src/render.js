@@ -0,0 +1,351 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import prettyBytes from 'pretty-bytes';
+import { diffTable, getDeltaText, getTotals, encodingFiles, isUnchanged } from './utils.js';
+import { compositionMarkdown } from './sourcemaps.js';
+import { entriesMarkdown } from './manifests.js';
+import { dependencyChangesMarkdown } from './lockfiles.js';
+import { rateChange, severityIcon } from './severity.js';
+
+/**
+ * A size and change, along with the text the built-in renderers show for them
+ * @typedef {Object} RenderSize
+ * @property {number} size
+ * @property {number} delta
+ * @property {string} sizeText
+ * @property {string} deltaText
+ * @property {string} icon
+ */
+
+/**
+ * @typedef {import('./utils.js').Diff & RenderSize & { changed: boolean, level: import('./severity.js').SeverityLevel }} RenderFile
+ */
+
+/**
+ * Everything a renderer gets to work with, for a single target
+ * @typedef {Object} RenderModel
+ * @property {{ name: string, path: string }} target
+ * @property {{ ref: string | null, sha: string | null }} base
+ * @property {{ sha: string | null }} head
+ * @property {import('./utils.js').Compression[]} compression
+ * @property {number} minimumChangeThreshold
+ * @property {RenderSize & { encodings?: Record<string, RenderSize> }} total
+ * @property {RenderFile[]} files
+ * @property {RenderFile[]} changedFiles Files whose change, in any compression, is at or above the threshold
+ * @property {RenderFile[]} unchangedFiles
+ * @property {(import('./budgets.js').BudgetViolation & { rule: string })[]} budgetViolations
+ * @property {import('./options.js').TableOptions} table
+ * @property {import('./manifests.js').EntryDelta[]} entries The initial JS of each entry point, when reading a bundler manifest
+ * @property {import('./lockfiles.js').DependencyChange[]} dependencyChanges Packages whose version changed in the lockfile
+ */
+
+/**
+ * @typedef {(model: RenderModel) => string | Promise<string>} Renderer
+ */
+
+/**
+ * @param {{ filename?: string, size: number, delta: number, previousFilename?: string }} file A file, or a total
+ * @param {import('./severity.js').Severity} [severity]
+ * @returns {RenderSize}
+ */
+function renderSize(file, severity) {
+	const { size, delta } = file;
+	return {
+		size,
+		delta,
+		sizeText: prettyBytes(size),
+		deltaText: getDeltaText(delta, size - delta, file.previousFilename != null),
+		icon: severityIcon(file, severity)
+	};
+}
+
+/**
+ * @param {object} options
+ * @param {import('./targets.js').Target} options.target
+ * @param {import('./utils.js').Diff[]} options.files
+ * @param {import('./budgets.js').BudgetViolation[]} options.budgetViolations
+ * @param {{ ref: string | null, sha: string | null }} options.base
+ * @param {{ sha: string | null }} options.head
+ * @param {number} options.minimumChangeThreshold
+ * @param {import('./options.js').TableOptions} options.table
+ * @param {import('./manifests.js').EntryDelta[]} [options.entries]
+ * @param {import('./lockfiles.js').DependencyChange[]} [options.dependencyChanges]
+ * @returns {RenderModel}
+ */
+export function createRenderModel({
+	target,
+	files,
+	budgetViolations,
+	base,
+	head,
+	minimumChangeThreshold,
+	table,
+	entries = [],
+	dependencyChanges = []
+}) {
+	const { severity } = table;
+	const { size, delta } = getTotals(files, minimumChangeThreshold);
+	/** @type {RenderModel['total']} */
+	const total = renderSize({ size, delta }, severity);
+	if (target.compressions.length > 1) {
+		total.encodings = {};
+		for (const compression of target.compressions) {
+			const totals = getTotals(encodingFiles(files, compression), minimumChangeThreshold);
+			total.encodings[compression] = renderSize(totals, severity);
+		}
+	}
+
+	const renderFiles = files.map((file) => ({
+		...file,
+		...renderSize(file, severity),
+		// The same as in the table, so a file is changed when any of its compressions is:
+		changed: !isUnchanged(file, minimumChangeThreshold),
+		level: rateChange(file, severity)
+	}));
+
+	return {
+		target: { name: target.name, path: target.path },
+		base,
+		head,
+		compression: target.compressions,
+		minimumChangeThreshold,
+		total,
+		files: renderFiles,
+		changedFiles: renderFiles.filter((file) => file.changed),
+		unchangedFiles: renderFiles.filter((file) => !file.changed),
+		budgetViolations: budgetViolations.map((violation) => ({ ...violation, rule: violation.budget.rule })),
+		table,
+		entries,
+		dependencyChanges
+	};
+}
+
+/**
+ * The full table, with unchanged files collapsed according to the options
+ * @type {Renderer}
+ */
+function renderDefault(model) {
+	const files = model.files.map(({ sizeText, deltaText, icon, changed, level, ...file }) => file);
+	let out = diffTable(files, {
+		...model.table,
+		minimumChangeThreshold: model.minimumChangeThreshold,
+		budgetViolations: model.budgetViolations
+	});
+	// Right below the table, since upgrades are often what explains its changes:
+	const dependencies = dependencyChangesMarkdown(model.dependencyChanges);
+	if (dependencies) out += `\n\n${dependencies}`;
+	const entries = entriesMarkdown(model.entries, model.table.severity);
+	if (entries) out += `\n\n${entries}`;
+	const composition = compositionMarkdown(files);
+	if (composition) out += `\n\n${composition}`;
+	return out;
+}
+
+/**
+ * A single line with the total change
+ * @type {Renderer}
+ */
+function renderCompact({ total, changedFiles, budgetViolations }) {
+	const changed = changedFiles.length;
+	let out = `**Size Change:** ${total.deltaText} ${total.icon}`.trim();
+	out += ` · **Total Size:** ${total.sizeText}`;
+	out += ` · ${changed === 0 ? 'no' : changed} file${changed === 1 ? '' : 's'} changed`;
+	if (budgetViolations.length) {
+		const count = budgetViolations.length;
+		out += ` · 🚫 ${count} size budget${count === 1 ? '' : 's'} exceeded`;
+	}
+	return out;
+}
+
+/**
+ * Every file expanded, followed by what was compared
+ * @type {Renderer}
+ */
+function renderVerbose(model) {
+	const out = renderDefault({
+		...model,
+		table: { ...model.table, showTotal: true, collapseUnchanged: false, omitUnchanged: false }
+	});
+
+	const short = (sha) => `\`${sha.slice(0, 7)}\``;
+	const base = [model.base.ref && `\`${model.base.ref}\``, model.base.sha && short(model.base.sha)];
+	let details = `Compared ${model.head.sha ? short(model.head.sha) : 'the working copy'}`;
+	details += ` to ${base.filter(Boolean).join(' at ') || 'its base'}`;
+	const baselines = model.files.length ? model.files[0].baselines || [] : [];
+	for (const { ref } of baselines) details += ` and \`${ref}\``;
+	details += `, measuring ${model.compression.join(', ')} sizes.`;
+	if (model.minimumChangeThreshold > 1) {
+		details += ` Changes smaller than ${prettyBytes(model.minimumChangeThreshold)} are treated as unchanged.`;
+	}
+	return `${out}\n\n<sub>${details}</sub>`;
+}
+
+/** @type {Record<string, Renderer>} */
+const renderers = {
+	default: renderDefault,
+	compact: renderCompact,
+	verbose: renderVerbose
+};
+
+/**
+ * Look up a built-in renderer by name, or load one from a file:
+ * a JavaScript module whose default export is a renderer, or a template (see `renderTemplate`).
+ * @param {string} spec
+ * @param {(specifier: string) => Promise<any>} [importModule] Loads renderer modules, replaced in tests
+ * @returns {Promise<Renderer>}
+ */
+export async function loadRenderer(spec, importModule = (specifier) => import(specifier)) {
+	if (renderers[spec]) return renderers[spec];
+
+	const filename = path.resolve(spec);
+	if (!fs.existsSync(filename)) {
+		throw Error(
+			`Unknown renderer "${spec}", expected one of "${Object.keys(renderers).join('", "')}" or the path to a template or module`
+		);
+	}
+
+	if (/\.[cm]?js$/.test(filename)) {
+		// Absolute paths aren't valid specifiers on Windows, where they start with a drive letter:
+		const module = await importModule(pathToFileURL(filename).href);
+		const render = module.default || module.render;
+		if (typeof render !== 'function') {
+			throw Error(`Renderer module ${spec} must export a function as its default export`);
+		}
+		return render;
+	}
+
+	const template = await fs.promises.readFile(filename, 'utf-8');
+	return (model) => renderTemplate(template, model);
+}
+
+/**
+ * @typedef {{ type: 'text', text: string }
+ *   | { type: 'value', path: string }
+ *   | { type: 'each' | 'if' | 'unless', path: string, children: TemplateNode[], inverse: TemplateNode[] }
+ * } TemplateNode
+ */
+
+/**
+ * @param {string} template
+ * @returns {TemplateNode[]}
+ */
+function parseTemplate(template) {
+	/** @type {TemplateNode[]} */
+	const root = [];
+	const stack = [{ nodes: root, block: null }];
+	const tag = /{{\s*([#/]?)\s*([^}]*?)\s*}}/g;
+	let index = 0;
+	let match;
+	while ((match = tag.exec(template))) {
+		const current = stack[stack.length - 1];
+		const [, kind, expression] = match;
+
+		// Like in Handlebars, a block tag on a line of its own doesn't leave an empty line behind:
+		let start = match.index;
+		if (kind || expression === 'else') {
+			const before = template.slice(template.lastIndexOf('\n', start - 1) + 1, start);
+			const after = template.slice(tag.lastIndex).match(/^[ \t]*(\r?\n|$)/);
+			if (!before.trim() && after) {
+				start -= before.length;
+				tag.lastIndex += after[0].length;
+			}
+		}
+
+		if (start > index) {
+			current.nodes.push({ type: 'text', text: template.slice(index, start) });
+		}
+		index = tag.lastIndex;
+
+		if (kind === '#') {
+			const [type, path = 'this'] = expression.split(/\s+/);
+			if (type !== 'each' && type !== 'if' && type !== 'unless') {
+				throw Error(`Unknown block "{{#${type}}}" in template`);
+			}
+			/** @type {Extract<TemplateNode, { children: any }>} */
+			const block = { type, path, children: [], inverse: [] };
+			current.nodes.push(block);
+			stack.push({ nodes: block.children, block });
+		} else if (kind === '/') {
+			if (!current.block || current.block.type !== expression) {
+				throw Error(`Unexpected "{{/${expression}}}" in template`);
+			}
+			stack.pop();
+		} else if (expression === 'else' && current.block) {
+			current.nodes = current.block.inverse;
+		} else {
+			current.nodes.push({ type: 'value', path: expression });
+		}
+	}
+	if (stack.length > 1) {
+		throw Error(`Missing "{{/${stack[stack.length - 1].block.type}}}" in template`);
+	}
+	if (index < template.length) {
+		stack[0].nodes.push({ type: 'text', text: template.slice(index) });
+	}
+	return root;
+}
+
+/**
+ * Look up a dotted path, starting from the innermost scope that has its first part
+ * @param {any[]} scopes From outermost to innermost
+ * @param {string} path
+ */
+function lookup(scopes, path) {
+	if (path === 'this') return scopes[scopes.length - 1];
+	const [first, ...rest] = path.split('.');
+	for (let i = scopes.length; i--; ) {
+		const scope = scopes[i];
+		if (scope != null && typeof scope === 'object' && first in scope) {
+			return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[first]);
+		}
+	}
+	return undefined;
+}
+
+/**
+ * @param {TemplateNode[]} nodes
+ * @param {any[]} scopes
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes) {
+	let out = '';
+	for (const node of nodes) {
+		if (node.type === 'text') {
+			out += node.text;
+		} else if (node.type === 'value') {
+			const value = lookup(scopes, node.path);
+			out += value == null ? '' : String(value);
+		} else {
+			const value = lookup(scopes, node.path);
+			const truthy = Array.isArray(value) ? value.length !== 0 : Boolean(value);
+			if (node.type === 'each') {
+				if (!truthy) {
+					out += renderNodes(node.inverse, scopes);
+					continue;
+				}
+				const items = Array.isArray(value) ? value : Object.values(value);
+				items.forEach((item, i) => {
+					out += renderNodes(node.children, [...scopes, { '@index': i }, item]);
+				});
+			} else if (truthy === (node.type === 'if')) {
+				out += renderNodes(node.children, scopes);
+			} else {
+				out += renderNodes(node.inverse, scopes);
+			}
+		}
+	}
+	return out;
+}
+
+/**
+ * Render a Handlebars-style template:
+ *   {{total.deltaText}}                  a value from the render model
+ *   {{#each changedFiles}}...{{/each}}   repeat for each item, with {{filename}}, {{this}} and {{@index}}
+ *   {{#if budgetViolations}}...{{else}}...{{/if}}, and {{#unless}}
+ * @param {string} template
+ * @param {RenderModel} model
+ */
+export function renderTemplate(template, model) {
+	return renderNodes(parseTemplate(template), [model]).trim();
+}
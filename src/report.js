@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { getTotals, encodingFiles } from './utils.js';
+
+/**
+ * @typedef {Object} ReportTotal
+ * @property {number} size
+ * @property {number} delta
+ * @property {Record<string, import('./utils.js').SizeDelta>} [encodings]
+ */
+
+/**
+ * @typedef {Object} ReportViolation
+ * @property {string} rule
+ * @property {string} filename
+ * @property {string} actual
+ */
+
+/**
+ * The results for a single target
+ * @typedef {Object} TargetReport
+ * @property {string} name
+ * @property {string} path
+ * @property {string[]} compression
+ * @property {ReportTotal} total
+ * @property {string[]} changedFiles Files whose change is at or above the threshold
+ * @property {import('./utils.js').Diff[]} files
+ * @property {ReportViolation[]} budgetViolations
+ * @property {import('./manifests.js').EntryDelta[]} [entries] The initial JS of each entry point, when reading a bundler manifest
+ * @property {import('./lockfiles.js').DependencyChange[]} [dependencyChanges] Changes to the lockfile the target is installed from
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {{ ref: string | null, sha: string | null }} base
+ * @property {{ sha: string | null }} head
+ * @property {{ compression?: string[], minimumChangeThreshold: number }} settings
+ * @property {ReportTotal} total
+ * @property {string[]} changedFiles Files whose change is at or above the threshold
+ * @property {import('./utils.js').Diff[]} [files] Only present for a single target
+ * @property {ReportViolation[]} budgetViolations
+ * @property {import('./manifests.js').EntryDelta[]} [entries] Only present for a single target with a manifest
+ * @property {import('./lockfiles.js').DependencyChange[]} [dependencyChanges] Only present for a single target
+ * @property {TargetReport[]} [targets] Only present for multiple targets
+ * @property {string} markdown The rendered comment body
+ */
+
+/**
+ * @typedef {Object} TargetResult
+ * @property {import('./targets.js').Target} target
+ * @property {import('./utils.js').Diff[]} files
+ * @property {import('./budgets.js').BudgetViolation[]} budgetViolations
+ * @property {import('./manifests.js').EntryDelta[]} [entries]
+ * @property {import('./lockfiles.js').DependencyChange[]} [dependencyChanges]
+ */
+
+/**
+ * @param {TargetResult} result
+ * @param {number} minimumChangeThreshold
+ * @returns {TargetReport}
+ */
+function createTargetReport({ target, files, budgetViolations, entries, dependencyChanges }, minimumChangeThreshold) {
+	const { compressions } = target;
+	/** @type {ReportTotal} */
+	const total = getTotals(files, minimumChangeThreshold);
+	if (compressions.length > 1) {
+		total.encodings = {};
+		for (const compression of compressions) {
+			total.encodings[compression] = getTotals(encodingFiles(files, compression), minimumChangeThreshold);
+		}
+	}
+
+	return {
+		name: target.name,
+		path: target.path,
+		compression: compressions,
+		total,
+		changedFiles: files
+			.filter((file) => Math.abs(file.delta) >= minimumChangeThreshold)
+			.map((file) => file.filename),
+		files,
+		budgetViolations: budgetViolations.map(({ budget, filename, actual }) => ({
+			rule: budget.rule,
+			filename,
+			actual
+		})),
+		...(entries && { entries }),
+		...(dependencyChanges && { dependencyChanges })
+	};
+}
+
+/**
+ * Create a machine-readable summary of a size comparison.
+ * With multiple targets, the top-level totals and file names cover all of them
+ * and each target's results are listed under `targets`.
+ * @param {object} options
+ * @param {TargetResult[]} options.targets
+ * @param {{ ref: string | null, sha: string | null }} options.base
+ * @param {{ sha: string | null }} options.head
+ * @param {number} options.minimumChangeThreshold
+ * @param {string} options.markdown
+ * @returns {Report}
+ */
+export function createReport({ targets, base, head, minimumChangeThreshold, markdown }) {
+	const reports = targets.map((result) => createTargetReport(result, minimumChangeThreshold));
+
+	if (reports.length === 1) {
+		const { compression, total, changedFiles, files, budgetViolations, entries, dependencyChanges } = reports[0];
+		return {
+			base,
+			head,
+			settings: { compression, minimumChangeThreshold },
+			total,
+			changedFiles,
+			files,
+			budgetViolations,
+			...(entries && { entries }),
+			...(dependencyChanges && { dependencyChanges }),
+			markdown
+		};
+	}
+
+	const prefix = (report, filename) => path.posix.join(report.path || '.', filename);
+	return {
+		base,
+		head,
+		settings: { minimumChangeThreshold },
+		total: {
+			size: reports.reduce((sum, report) => sum + report.total.size, 0),
+			delta: reports.reduce((sum, report) => sum + report.total.delta, 0)
+		},
+		changedFiles: reports.flatMap((report) => report.changedFiles.map((filename) => prefix(report, filename))),
+		budgetViolations: reports.flatMap((report) =>
+			report.budgetViolations.map((violation) => ({
+				...violation,
+				filename: violation.filename === 'total' ? `${report.name} total` : prefix(report, violation.filename)
+			}))
+		),
+		targets: reports,
+		markdown
+	};
+}
+
+/**
+ * Write a report as JSON, creating parent directories as needed
+ * @param {string} filename
+ * @param {Report} report
+ */
+export async function writeReport(filename, report) {
+	await fs.promises.mkdir(path.dirname(path.resolve(filename)), { recursive: true });
+	await fs.promises.writeFile(filename, JSON.stringify(report, null, 2));
+}
+
+/**
+ * The results as a section of the job summary. It says what was compared, since there's no PR around it.
+ * @param {Report} report
+ * @param {string} markdown The rendered results
+ * @param {string} [commentKey] Tells apart the sections of several runs in the same job
+ */
+export function jobSummaryMarkdown(report, markdown, commentKey) {
+	const short = (sha) => `\`${sha.slice(0, 7)}\``;
+	const base = [report.base.ref && `\`${report.base.ref}\``, report.base.sha && short(report.base.sha)];
+	let compared = `Sizes of ${report.head.sha ? short(report.head.sha) : 'the working copy'}`;
+	compared += ` compared to ${base.filter(Boolean).join(' at ') || 'its base'}.`;
+	return `### 📦 Compressed size${commentKey ? ` (${commentKey})` : ''}\n\n${compared}\n\n${markdown}\n`;
+}
+
+/**
+ * Append to the summary shown on the page of the workflow run, when running in GitHub Actions
+ * @param {string} markdown
+ * @returns {Promise<boolean>} Whether there was a summary to write to
+ */
+export async function writeJobSummary(markdown) {
+	const filename = process.env.GITHUB_STEP_SUMMARY;
+	if (!filename) return false;
+	await fs.promises.appendFile(filename, markdown + '\n');
+	return true;
+}
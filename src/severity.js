@@ -0,0 +1,218 @@
+import { minimatch } from 'minimatch';
+import { parseSize } from './utils.js';
+
+/**
+ * How notable a change in size is. Growth goes from "low" to "critical",
+ * and savings from "small-win" to "huge-win".
+ * @typedef {'huge-win' | 'big-win' | 'win' | 'small-win' | 'none' | 'low' | 'medium' | 'high' | 'critical'} SeverityLevel
+ */
+
+/**
+ * A minimum change: positive limits match growth of at least that much,
+ * negative limits match a decrease of at least that much.
+ * @typedef {Object} SeverityCondition
+ * @property {boolean} percent Whether the limit is a percentage of the original size
+ * @property {number} limit
+ */
+
+/**
+ * @typedef {Object} SeverityRule
+ * @property {string} rule The rule as it was written
+ * @property {SeverityLevel} level
+ * @property {SeverityCondition[]} conditions All of these have to match
+ * @property {string | null} pattern Only files matching this minimatch pattern are rated by the rule
+ */
+
+/**
+ * @typedef {Object} Severity
+ * @property {SeverityRule[]} rules
+ * @property {Record<string, string>} icons Icon or label for each level, and for new and renamed files
+ */
+
+/** All levels, from the largest decrease to the largest increase */
+export const SEVERITY_LEVELS = /** @type {SeverityLevel[]} */ ([
+	'huge-win',
+	'big-win',
+	'win',
+	'small-win',
+	'none',
+	'low',
+	'medium',
+	'high',
+	'critical'
+]);
+
+const DEFAULT_ICONS = {
+	critical: '🆘',
+	high: '🚨',
+	medium: '⚠️',
+	low: '🔍',
+	none: '',
+	'small-win': '✅',
+	win: '👏',
+	'big-win': '🎉',
+	'huge-win': '🏆',
+	new: '🆕',
+	renamed: '🚚'
+};
+
+/**
+ * @param {SeverityLevel} level
+ * @param {number} limit
+ * @returns {SeverityRule}
+ */
+function percentRule(level, limit) {
+	return { rule: `${level}: ${limit > 0 ? '+' : ''}${limit}%`, level, conditions: [{ percent: true, limit }], pattern: null };
+}
+
+/** The percentage bands the action has always used */
+export const DEFAULT_SEVERITY = {
+	rules: [
+		percentRule('critical', 50),
+		percentRule('high', 20),
+		percentRule('medium', 10),
+		percentRule('low', 5),
+		percentRule('huge-win', -50),
+		percentRule('big-win', -20),
+		percentRule('win', -10),
+		percentRule('small-win', -5)
+	],
+	icons: DEFAULT_ICONS
+};
+
+/**
+ * How far a level is from "none": positive for growth, negative for savings
+ * @param {SeverityLevel} level
+ */
+export function severityRank(level) {
+	return SEVERITY_LEVELS.indexOf(level) - SEVERITY_LEVELS.indexOf('none');
+}
+
+/**
+ * @param {string} text
+ * @returns {SeverityLevel}
+ */
+function parseLevel(text) {
+	const level = /** @type {SeverityLevel} */ (text);
+	if (!SEVERITY_LEVELS.includes(level)) {
+		throw Error(`Invalid severity level "${text}", expected one of "${SEVERITY_LEVELS.join('", "')}"`);
+	}
+	return level;
+}
+
+/**
+ * Parse severity rules, one per line. Lines starting with `#` are ignored.
+ *   critical: +50% and +1 kB          grew by at least 50% and at least 1 kB
+ *   high: +8 kB for dist/vendor-*.js  only applies to matching files
+ *   huge-win: -50%                    shrunk by at least 50%
+ * When several rules match a file, the most severe level wins.
+ * @param {string} text
+ * @returns {SeverityRule[]}
+ */
+export function parseSeverityRules(text) {
+	const rules = [];
+	for (let line of text.split('\n')) {
+		line = line.trim();
+		if (!line || line.startsWith('#')) continue;
+
+		const match = line.match(/^([a-z-]+)\s*:\s*(.+?)(?:\s+for\s+(\S+))?$/);
+		if (!match) {
+			throw Error(`Invalid severity rule "${line}", expected a rule like "high: +20%" or "critical: +50% and +10 kB"`);
+		}
+		const level = parseLevel(match[1]);
+		const rank = severityRank(level);
+		if (rank === 0) {
+			throw Error(`Invalid severity rule "${line}", files that match no rule are rated "none"`);
+		}
+
+		const conditions = match[2].split(/\s+and\s+/).map((condition) => {
+			const parts = condition.match(/^([+-])\s*(.+?)$/);
+			if (!parts) {
+				throw Error(`Invalid condition "${condition}" in severity rule "${line}", expected a change like "+20%" or "-1 kB"`);
+			}
+			const sign = parts[1] === '-' ? -1 : 1;
+			if (sign !== Math.sign(rank)) {
+				throw Error(
+					`Invalid condition "${condition}" in severity rule "${line}", "${level}" expects ${rank > 0 ? 'an increase (+)' : 'a decrease (-)'}`
+				);
+			}
+			const percent = parts[2].endsWith('%');
+			const limit = percent ? parseFloat(parts[2]) : parseSize(parts[2]);
+			if (isNaN(limit)) {
+				throw Error(`Invalid condition "${condition}" in severity rule "${line}"`);
+			}
+			return { percent, limit: sign * limit };
+		});
+
+		rules.push({ rule: line, level, conditions, pattern: match[3] || null });
+	}
+	return rules;
+}
+
+/**
+ * Parse the icon or label to show for each level, like "critical: 🔥" or "low: (minor)", one per line.
+ * "new" and "renamed" set the icon for new and renamed files whose change isn't rated otherwise.
+ * Levels that are not listed keep their default icon.
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseSeverityIcons(text) {
+	const icons = { ...DEFAULT_ICONS };
+	for (let line of text.split('\n')) {
+		line = line.trim();
+		if (!line || line.startsWith('#')) continue;
+
+		const index = line.indexOf(':');
+		const name = (index === -1 ? line : line.slice(0, index)).trim();
+		if (!(name in DEFAULT_ICONS)) {
+			throw Error(`Invalid severity icon "${line}", expected one of "${Object.keys(DEFAULT_ICONS).join('", "')}"`);
+		}
+		icons[name] = index === -1 ? '' : line.slice(index + 1).trim();
+	}
+	return icons;
+}
+
+/**
+ * @param {{ size: number, delta: number }} file
+ * @param {SeverityCondition} condition
+ */
+function matchesCondition({ size, delta }, { percent, limit }) {
+	let change = delta;
+	if (percent) {
+		const originalSize = size - delta;
+		// A percentage of nothing isn't meaningful, so new files are only rated by their size:
+		if (originalSize === 0) return false;
+		change = Math.round((delta / originalSize) * 100);
+	}
+	return limit > 0 ? change >= limit : change <= limit;
+}
+
+/**
+ * Rate a change in size. Rules with a pattern are skipped when there is no filename, like for totals.
+ * @param {{ filename?: string | null, size: number, delta: number }} file
+ * @param {Severity} [severity]
+ * @returns {SeverityLevel}
+ */
+export function rateChange(file, severity = DEFAULT_SEVERITY) {
+	let level = /** @type {SeverityLevel} */ ('none');
+	for (const rule of severity.rules) {
+		if (rule.pattern && !(file.filename && minimatch(file.filename, rule.pattern))) continue;
+		if (Math.abs(severityRank(rule.level)) <= Math.abs(severityRank(level))) continue;
+		if (rule.conditions.every((condition) => matchesCondition(file, condition))) {
+			level = rule.level;
+		}
+	}
+	return level;
+}
+
+/**
+ * Get the icon to show for a change
+ * @param {{ filename?: string | null, size: number, delta: number, previousFilename?: string }} file
+ * @param {Severity} [severity]
+ */
+export function severityIcon(file, severity = DEFAULT_SEVERITY) {
+	if (file.size - file.delta === 0) return severity.icons.new;
+	const level = rateChange(file, severity);
+	if (level === 'none' && file.previousFilename != null) return severity.icons.renamed;
+	return severity.icons[level];
+}
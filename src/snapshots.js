@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { fileExists } from './utils.js';
+
+/**
+ * Sizes measured for a commit, used in place of rebuilding that commit
+ * @typedef {Object} Snapshot
+ * @property {string} sha
+ * @property {any} settings The measurement settings the sizes were produced with
+ * @property {Record<string, Record<string, number>[]>} sizes For each target, file sizes as returned by
+ * `measureTarget` for each compression
+ * @property {Record<string, Record<string, import('./sourcemaps.js').Composition>>} [compositions] For each target,
+ * the composition of each file, when source maps were read
+ * @property {Record<string, import('./manifests.js').Manifest>} [manifests] For each target with a manifest, its contents
+ * @property {Record<string, import('./lockfiles.js').Dependencies>} [lockfiles] The dependencies of each lockfile,
+ * by directory relative to the root, when dependency changes were read
+ */
+
+/**
+ * @typedef {Object} SnapshotStore
+ * @property {(sha: string) => Promise<Snapshot | null>} load
+ * @property {(snapshot: Snapshot) => Promise<void>} save
+ */
+
+/** @type {Record<string, (location: string) => SnapshotStore>} */
+const backends = {
+	local: createLocalSnapshotStore
+};
+
+/**
+ * Create a snapshot store from a "backend:location" string.
+ * A location without a backend prefix is treated as a local directory.
+ * @param {string} spec
+ * @returns {SnapshotStore}
+ */
+export function createSnapshotStore(spec) {
+	const match = spec.match(/^([a-z][a-z0-9-]*):(?!\/\/|\\)(.*)$/);
+	const backend = match ? match[1] : 'local';
+	const location = match ? match[2] : spec;
+	if (!backends[backend]) {
+		throw Error(`Unknown baseline store "${backend}", expected one of "${Object.keys(backends).join('", "')}"`);
+	}
+	return backends[backend](location);
+}
+
+/**
+ * Store snapshots as JSON files in a local directory, one file per commit
+ * @param {string} dir
+ * @returns {SnapshotStore}
+ */
+export function createLocalSnapshotStore(dir) {
+	dir = path.resolve(dir);
+	const filename = (sha) => path.join(dir, `${sha}.json`);
+
+	return {
+		async load(sha) {
+			if (!(await fileExists(filename(sha)))) return null;
+			return JSON.parse(await fs.promises.readFile(filename(sha), 'utf-8'));
+		},
+		async save(snapshot) {
+			await fs.promises.mkdir(dir, { recursive: true });
+			await fs.promises.writeFile(filename(snapshot.sha), JSON.stringify(snapshot, null, 2));
+		}
+	};
+}
+
+/**
+ * Check that a snapshot was measured with the same settings as the current run.
+ * Settings listed per target only need to be in the snapshot, which may have measured more targets,
+ * like every package of a workspace on the default branch when a PR only measures the affected ones.
+ * @param {Snapshot | null} snapshot
+ * @param {any} settings
+ */
+export function isSnapshotCompatible(snapshot, settings) {
+	if (snapshot == null) return false;
+	if (Array.isArray(settings) && Array.isArray(snapshot.settings)) {
+		const stored = new Set(snapshot.settings.map((target) => JSON.stringify(target)));
+		return settings.every((target) => stored.has(JSON.stringify(target)));
+	}
+	return JSON.stringify(snapshot.settings) === JSON.stringify(settings);
+}
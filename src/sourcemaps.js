@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { decode } from '@jridgewell/sourcemap-codec';
+import prettyBytes from 'pretty-bytes';
+import { getDeltaText, markdownTable, findFiles } from './utils.js';
+
+/**
+ * How much of a file comes from each source module or package, in bytes of the output file
+ * @typedef {Record<string, number>} Composition
+ */
+
+/**
+ * @typedef {Object} ModuleDelta
+ * @property {string} module A source file, or the name of a package in node_modules
+ * @property {number} size
+ * @property {number} delta
+ */
+
+/** Name for the parts of an output file that its source map doesn't point anywhere */
+const UNMAPPED = '(unmapped)';
+
+/**
+ * Read the source map of a file, from its `sourceMappingURL` comment or a `.map` file next to it
+ * @param {string} filename
+ * @param {string} code The file's contents
+ * @returns {Promise<any | null>}
+ */
+export async function readSourceMap(filename, code) {
+	const match = code.match(/[#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/\s*)?$/);
+	const url = match ? match[1] : null;
+	try {
+		if (url && url.startsWith('data:')) {
+			const data = url.slice(url.indexOf(',') + 1);
+			const text = /;base64,/.test(url) ? Buffer.from(data, 'base64').toString('utf-8') : decodeURIComponent(data);
+			return JSON.parse(text);
+		}
+		const mapFile = url ? path.resolve(path.dirname(filename), decodeURIComponent(url)) : `${filename}.map`;
+		return JSON.parse(await fs.promises.readFile(mapFile, 'utf-8'));
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Get a readable name for a source: files in node_modules are attributed to their package,
+ * and bundler prefixes like "webpack://" are removed.
+ * @param {string} source
+ */
+export function moduleName(source) {
+	source = source.replace(/\\/g, '/').replace(/^[a-z][a-z0-9+.-]*:\/+(?:[^/]*\/)?/i, '');
+	const index = source.lastIndexOf('node_modules/');
+	if (index !== -1) {
+		const parts = source.slice(index + 'node_modules/'.length).split('/');
+		return parts[0].startsWith('@') ? `${parts[0]}/${parts[1]}` : parts[0];
+	}
+	return source.replace(/^(\.{0,2}\/)+/, '');
+}
+
+/**
+ * Attribute each character of the generated code to the source module its mapping points to
+ * @param {string} code
+ * @param {any} map
+ * @returns {Composition}
+ */
+export function attributeBytes(code, map) {
+	/** @type {Composition} */
+	const composition = {};
+	const add = (module, length) => {
+		if (length > 0) composition[module] = (composition[module] || 0) + length;
+	};
+
+	const names = (map.sources || []).map((source) => moduleName((map.sourceRoot || '') + (source || '')));
+	const mappings = decode(map.mappings || '');
+	const lines = code.split('\n');
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const segments = mappings[i] || [];
+		add(UNMAPPED, segments.length ? Math.min(segments[0][0], line.length) : line.length);
+		for (let j = 0; j < segments.length; j++) {
+			const segment = segments[j];
+			const end = j + 1 < segments.length ? segments[j + 1][0] : line.length;
+			const length = Math.min(end, line.length) - segment[0];
+			add(segment.length >= 4 ? names[segment[1]] : UNMAPPED, length);
+		}
+	}
+	return composition;
+}
+
+/**
+ * Read the composition of every file of a target that has a source map
+ * @param {import('./targets.js').Target} target
+ * @param {(filename: string) => string} [stripHash] Applied to file names, like for the sizes
+ * @param {string[]} [files] The files to read, instead of those matching the target's pattern
+ * @returns {Promise<Record<string, Composition>>} Compositions by file name
+ */
+export async function readCompositions(target, stripHash, files) {
+	const strip = stripHash || ((filename) => filename);
+	/** @type {Record<string, Composition>} */
+	const compositions = {};
+	for (const file of files || (await findFiles(target.cwd, target.pattern, target.exclude))) {
+		const filename = path.join(target.cwd, file);
+		const code = await fs.promises.readFile(filename, 'utf-8');
+		const map = await readSourceMap(filename, code);
+		if (map && map.mappings != null) {
+			compositions[strip(file)] = attributeBytes(code, map);
+		}
+	}
+	return compositions;
+}
+
+/**
+ * Compare the composition of a file in the base and in the head, largest changes first
+ * @param {Composition | undefined} before
+ * @param {Composition | undefined} after
+ * @param {number} [limit] How many modules to return
+ * @returns {ModuleDelta[]}
+ */
+export function compositionDiff(before = {}, after = {}, limit = 5) {
+	const modules = new Set([...Object.keys(before), ...Object.keys(after)]);
+	return Array.from(modules, (module) => ({
+		module,
+		size: after[module] || 0,
+		delta: (after[module] || 0) - (before[module] || 0)
+	}))
+		.filter((change) => change.delta !== 0)
+		.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.module.localeCompare(b.module))
+		.slice(0, limit);
+}
+
+/**
+ * Add the modules that contributed most to the change of each changed file
+ * @param {import('./utils.js').Diff[]} files
+ * @param {Record<string, Composition>} before
+ * @param {Record<string, Composition>} after
+ * @param {number} minimumChangeThreshold
+ * @returns {import('./utils.js').Diff[]}
+ */
+export function addCompositions(files, before, after, minimumChangeThreshold) {
+	return files.map((file) => {
+		if (Math.abs(file.delta) < minimumChangeThreshold) return file;
+		const previous = before[file.previousFilename || file.filename];
+		const current = after[file.filename];
+		if (!previous && !current) return file;
+		const composition = compositionDiff(previous, current);
+		return composition.length ? { ...file, composition } : file;
+	});
+}
+
+/**
+ * Render the top contributors to the change of each file as collapsed tables
+ * @param {import('./utils.js').Diff[]} files
+ */
+export function compositionMarkdown(files) {
+	return files
+		.filter((file) => file.composition)
+		.map((file) => {
+			const rows = file.composition.map(({ module, size, delta }) => [
+				`\`${module}\``,
+				prettyBytes(size),
+				getDeltaText(delta, size - delta)
+			]);
+			const table = markdownTable(rows, ['Module', 'Size', 'Change']);
+			return `<details><summary>🔬 Top contributors to the change in <code>${file.filename}</code> (uncompressed)</summary>\n\n${table}\n\n</details>`;
+		})
+		.join('\n\n');
+}
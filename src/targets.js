@@ -0,0 +1,93 @@
+import path from 'path';
+import { parseCompressionSettings } from './utils.js';
+
+/**
+ * A set of files that is built and measured with its own settings
+ * @typedef {Object} Target
+ * @property {string} name Heading for the target's section of the report
+ * @property {string} cwd Absolute directory the target is built in and measured from
+ * @property {string} path The target's directory relative to the action's working directory
+ * @property {string} pattern
+ * @property {string} exclude
+ * @property {string} stripHash
+ * @property {string} buildScript
+ * @property {import('./utils.js').Compression[]} compressions
+ * @property {Partial<Record<import('./utils.js').Compression, import('./utils.js').CompressionSettings>>} compressionSettings
+ * @property {string} manifest A bundler manifest that lists the files to measure, like "dist/.vite/manifest.json"
+ */
+
+/**
+ * Settings used for any option a target does not specify
+ * @typedef {Object} TargetDefaults
+ * @property {string} cwd
+ * @property {string} pattern
+ * @property {string} exclude
+ * @property {string} stripHash
+ * @property {string} buildScript
+ * @property {string} compression
+ * @property {string} [manifest]
+ */
+
+/** Options of each target, named like the action's inputs. In the config file, "pattern" and "exclude" can be arrays. */
+export const TARGET_KEYS = ['name', 'cwd', 'pattern', 'exclude', 'strip-hash', 'build-script', 'compression', 'manifest'];
+
+/**
+ * Create a target from options named like the action's inputs
+ * @param {Record<string, string>} options
+ * @param {TargetDefaults} defaults
+ * @returns {Target}
+ */
+export function createTarget(options, defaults) {
+	const cwd = path.resolve(defaults.cwd, options.cwd || '.');
+	const relative = path.relative(defaults.cwd, cwd);
+	const compressionSettings = parseCompressionSettings(options.compression || defaults.compression);
+	return {
+		name: options.name || relative || '.',
+		cwd,
+		path: relative,
+		pattern: options.pattern || defaults.pattern,
+		exclude: options.exclude || defaults.exclude,
+		stripHash: options['strip-hash'] || defaults.stripHash,
+		buildScript: options['build-script'] || defaults.buildScript,
+		compressions: /** @type {import('./utils.js').Compression[]} */ (Object.keys(compressionSettings)),
+		compressionSettings,
+		manifest: options.manifest || defaults.manifest || ''
+	};
+}
+
+/**
+ * Parse a JSON array of targets, like:
+ *   [{ "name": "core", "cwd": "packages/core", "build-script": "build:core" }]
+ * @param {string} json
+ * @param {TargetDefaults} defaults
+ * @returns {Target[]}
+ */
+export function parseTargets(json, defaults) {
+	const list = JSON.parse(json);
+	if (!Array.isArray(list) || list.length === 0) {
+		throw Error('Invalid targets, expected a non-empty array of targets');
+	}
+
+	const targets = list.map((options, i) => {
+		if (options == null || typeof options !== 'object') {
+			throw Error(`Invalid target at index ${i}, expected an object`);
+		}
+		for (const key in options) {
+			if (!TARGET_KEYS.includes(key)) {
+				throw Error(`Unknown option "${key}" in target at index ${i}, expected one of "${TARGET_KEYS.join('", "')}"`);
+			}
+			if (typeof options[key] !== 'string') {
+				throw Error(`Invalid option "${key}" in target at index ${i}, expected a string`);
+			}
+		}
+		return createTarget(options, defaults);
+	});
+
+	const names = new Set();
+	for (const { name } of targets) {
+		if (names.has(name)) throw Error(`Duplicate target name "${name}"`);
+		names.add(name);
+	}
+
+	return targets;
+}
@@ -1,10 +1,16 @@
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import { exec } from '@actions/exec';
+import { minimatch } from 'minimatch';
 import prettyBytes from 'pretty-bytes';
+import { groupFiles } from './groups.js';
+import { DEFAULT_SEVERITY, rateChange, severityIcon, severityRank } from './severity.js';
+import { estimateTimeDelta, formatTimeDelta } from './network.js';
 
 /**
  * @param {string} cwd
- * @returns {Promise<{ packageManager: string, installScript: string }>}
+ * @returns {Promise<{ packageManager: string, installScript: string, lockfile: string | null }>}
  */
 export async function getPackageManagerAndInstallScript(cwd) {
 	const [yarnLockExists, pnpmLockExists, bunLockBinaryExists, bunLockExists, packageLockExists, denoLockExists] = await Promise.all([
@@ -18,23 +24,49 @@ export async function getPackageManagerAndInstallScript(cwd) {
 
 	let packageManager = 'npm';
 	let installScript = 'npm install';
+	let lockfile = null;
 	if (yarnLockExists) {
 		installScript = 'yarn --frozen-lockfile';
 		packageManager = 'yarn';
+		lockfile = 'yarn.lock';
 	} else if (pnpmLockExists) {
 		installScript = 'pnpm install --frozen-lockfile';
 		packageManager = 'pnpm';
+		lockfile = 'pnpm-lock.yaml';
 	} else if (bunLockBinaryExists || bunLockExists) {
 		installScript = 'bun install --frozen-lockfile';
 		packageManager = 'bun';
+		lockfile = bunLockExists ? 'bun.lock' : 'bun.lockb';
 	} else if (denoLockExists) {
 		installScript = 'deno install --frozen';
 		packageManager = 'deno';
+		lockfile = 'deno.lock';
 	} else if (packageLockExists) {
 		installScript = 'npm ci';
+		lockfile = 'package-lock.json';
 	}
 
-	return { packageManager, installScript };
+	return { packageManager, installScript, lockfile };
+}
+
+/**
+ * Where progress is reported. The action logs to the workflow log, the CLI to stderr.
+ * @typedef {Object} Logger
+ * @property {(...args: any[]) => void} log
+ * @property {(name: string) => void} startGroup
+ * @property {() => void} endGroup
+ * @property {import('stream').Writable} [outStream] Receives the output of commands, defaults to stdout
+ */
+
+/**
+ * Run a command, sending its output to the logger
+ * @param {Logger} logger
+ * @param {string} command
+ * @param {string[]} [args]
+ * @param {import('@actions/exec').ExecOptions} [options]
+ */
+export function runCommand(logger, command, args = [], options = {}) {
+	return exec(command, args, { outStream: logger.outStream, ...options });
 }
 
 /**
@@ -49,6 +81,42 @@ export async function fileExists(filename) {
 	return false;
 }
 
+/**
+ * Find the files in `cwd` that match `pattern` and not `exclude`, the same ones the size plugin's glob found:
+ * dotfiles only match patterns that name them, and excluding a directory excludes everything in it.
+ * @param {string} cwd
+ * @param {string} pattern
+ * @param {string} exclude
+ * @returns {Promise<string[]>} Paths relative to `cwd`, with forward slashes
+ */
+export async function findFiles(cwd, pattern, exclude) {
+	// Minimatch doesn't match paths against patterns (or alternatives in braces) starting with "./":
+	const normalize = (pattern) => pattern.replace(/(^|[{,])\.\//g, '$1');
+	pattern = normalize(pattern);
+	exclude = exclude && normalize(exclude);
+
+	const files = [];
+	/** @param {string} dir */
+	async function walk(dir) {
+		let entries;
+		try {
+			entries = await fs.promises.readdir(path.join(cwd, dir), { withFileTypes: true });
+		} catch (e) {
+			return;
+		}
+		for (const entry of entries) {
+			const name = dir ? `${dir}/${entry.name}` : entry.name;
+			if (entry.isDirectory()) {
+				if (entry.name !== '.git' && !(exclude && minimatch(`${name}/`, exclude))) await walk(name);
+			} else if (minimatch(name, pattern) && !(exclude && minimatch(name, exclude))) {
+				files.push(name);
+			}
+		}
+	}
+	await walk('');
+	return files.sort();
+}
+
 /**
  * Remove any matched hash patterns from a filename string.
  * @param {string=} regex
@@ -75,14 +143,38 @@ export function stripHash(regex) {
 	return undefined;
 }
 
+const UNITS = {
+	b: 1,
+	k: 1000,
+	kb: 1000,
+	kib: 1024,
+	m: 1000 * 1000,
+	mb: 1000 * 1000,
+	mib: 1024 * 1024
+};
+
+/**
+ * Parse a byte size like "10 kB" or "512B" into a number of bytes
+ * @param {string} value
+ */
+export function parseSize(value) {
+	const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+	const multiplier = match && UNITS[match[2].toLowerCase() || 'b'];
+	if (!multiplier) {
+		throw Error(`Invalid size "${value}", expected a number of bytes like "10 kB"`);
+	}
+	return Math.round(parseFloat(match[1]) * multiplier);
+}
+
 /**
  * @param {number} delta
  * @param {number} originalSize
+ * @param {boolean} [renamed] Whether the file was renamed, in which case the change is relative to its old name
  */
-export function getDeltaText(delta, originalSize) {
+export function getDeltaText(delta, originalSize, renamed = false) {
 	let deltaText = (delta > 0 ? '+' : '') + prettyBytes(delta);
 	if (Math.abs(delta) === 0) {
-		// only print size
+		if (renamed) deltaText += ` (renamed)`;
 	} else if (originalSize === 0) {
 		deltaText += ` (new file)`;
 	} else if (originalSize === -delta) {
@@ -97,76 +189,308 @@ export function getDeltaText(delta, originalSize) {
 /**
  * @param {number} delta
  * @param {number} originalSize
+ * @param {boolean} [renamed] Whether the file was renamed
+ * @param {import('./severity.js').Severity} [severity] Rules and icons to rate the change with
  */
-export function iconForDifference(delta, originalSize) {
-	if (originalSize === 0) return '🆕';
-
-	const percentage = Math.round((delta / originalSize) * 100);
-	if (percentage >= 50) return '🆘';
-	else if (percentage >= 20) return '🚨';
-	else if (percentage >= 10) return '⚠️';
-	else if (percentage >= 5) return '🔍';
-	else if (percentage <= -50) return '🏆';
-	else if (percentage <= -20) return '🎉';
-	else if (percentage <= -10) return '👏';
-	else if (percentage <= -5) return '✅';
-	return '';
+export function iconForDifference(delta, originalSize, renamed = false, severity = DEFAULT_SEVERITY) {
+	return severityIcon({ size: originalSize + delta, delta, previousFilename: renamed ? '' : undefined }, severity);
 }
 
 /**
  * Create a Markdown table from text rows
  * @param {string[][]} rows
+ * @param {string[]} [header]
  */
-function markdownTable(rows) {
+export function markdownTable(rows, header = ['Filename', 'Size', 'Change', '']) {
 	if (rows.length == 0) {
 		return '';
 	}
 
-	// Skip all empty columns
-	while (rows.every(columns => !columns[columns.length - 1])) {
+	header = header.slice();
+
+	// Skip the icon column when it's empty. Other columns are kept, so tables like the dependency changes
+	// keep their "After" column when every row is a removal:
+	let hasIconColumn = true;
+	while (header[header.length - 1] === '' && rows.every(columns => !columns[columns.length - 1])) {
 		for (const columns of rows) {
 			columns.pop();
 		}
+		header.pop();
+		hasIconColumn = false;
 	}
 
-	const [firstRow] = rows;
-	let columnLength = firstRow.length;
-
-	// Hide `Change` column if they are all `0 B`
-	if (columnLength === 3 && rows.every(columns => columns[2] === '0 B')) {
-		columnLength -= 1;
-		for (const columns of rows) {
-			columns.pop();
+	// Hide `Change` columns if they are all `0 B`
+	if (!hasIconColumn) {
+		for (let i = header.length; i--; ) {
+			if (header[i].startsWith('Change') && rows.every(columns => columns[i] === '0 B')) {
+				header.splice(i, 1);
+				for (const columns of rows) {
+					columns.splice(i, 1);
+				}
+			}
 		}
 	}
 
-	if (columnLength === 0) {
+	if (header.length === 0) {
 		return '';
 	}
 
 	return [
-		// Header
-		['Filename', 'Size', 'Change', ''].slice(0, columnLength),
+		header,
 		// Align
-		[':---', ':---:', ':---:', ':---:'].slice(0, columnLength),
+		header.map((_, i) => (i === 0 ? ':---' : ':---:')),
 		// Body
 		...rows
 	].map(columns => `| ${columns.join(' | ')} |`).join('\n');
 }
 
+/**
+ * @typedef {Object} SizeDelta
+ * @property {number} size
+ * @property {number} delta
+ */
+
 /**
  * @typedef {Object} Diff
  * @property {string} filename
  * @property {number} size
  * @property {number} delta
+ * @property {Record<string, SizeDelta>} [encodings] Size and delta per compression, when measuring more than one
+ * @property {string} [previousFilename] The file's name in the base, when it was detected as renamed
+ * @property {import('./sourcemaps.js').ModuleDelta[]} [composition] The source modules that changed most, when reading source maps
+ * @property {BaselineDelta[]} [baselines] The change since each additional base, when comparing to more than one
+ * @property {import('./manifests.js').AssetKind} [kind] How the file is loaded, when reading a bundler manifest
+ */
+
+/**
+ * @typedef {Object} BaselineDelta
+ * @property {string} ref
+ * @property {number} size
+ * @property {number} delta
+ */
+
+/**
+ * @typedef {'none' | 'gzip' | 'brotli' | 'zstd'} Compression
+ */
+
+/**
+ * @typedef {Object} CompressionSettings
+ * @property {number} [level] The compression level, or quality for brotli
+ * @property {number} [window] Base 2 logarithm of the window size. Left to the level for zstd when not given.
+ */
+
+/**
+ * The allowed range and default of each setting. Gzip and brotli default to their best compression,
+ * which is what's usually served for static files, and zstd to its own default level.
+ * @type {Record<Compression, Record<string, { min: number, max: number, default?: number }>>}
+ */
+const COMPRESSION_SETTINGS = {
+	none: {},
+	gzip: { level: { min: 1, max: 9, default: 9 }, window: { min: 9, max: 15, default: 15 } },
+	brotli: { level: { min: 0, max: 11, default: 11 }, window: { min: 10, max: 24, default: 22 } },
+	zstd: { level: { min: 1, max: 22, default: 3 }, window: { min: 10, max: 31 } }
+};
+
+/**
+ * Parse a list of compression algorithms, each optionally followed by its settings, like
+ * "gzip level=9, brotli level=11 window=22, zstd". Missing settings are filled in with their defaults.
+ * @param {string} value
+ * @returns {Partial<Record<Compression, CompressionSettings>>} In the order they were given
  */
+export function parseCompressionSettings(value) {
+	const valid = Object.keys(COMPRESSION_SETTINGS);
+	/** @type {Partial<Record<Compression, CompressionSettings>>} */
+	const compressions = {};
+	/** @type {Compression | null} */
+	let current = null;
+	for (const token of (value || 'gzip').split(/[\s,]+/).filter(Boolean)) {
+		const setting = token.match(/^([a-z]+)=(.*)$/);
+		if (!setting) {
+			if (!valid.includes(token)) {
+				throw Error(`Invalid compression "${token}", expected one or more of "${valid.join('", "')}"`);
+			}
+			current = /** @type {Compression} */ (token);
+			if (compressions[current]) {
+				throw Error(`Invalid compression "${value}": "${current}" is listed more than once`);
+			}
+			if (current === 'zstd' && !('zstdCompressSync' in zlib)) {
+				throw Error(`Invalid compression "zstd": it needs Node.js 22.15 or later, this is ${process.version}`);
+			}
+			compressions[current] = defaultCompressionSettings(current);
+			continue;
+		}
+
+		const [, name, text] = setting;
+		const ranges = current ? COMPRESSION_SETTINGS[current] : {};
+		if (!current || !ranges[name]) {
+			const names = Object.keys(ranges);
+			const expected = names.length ? `, expected "${names.join('" or "')}"` : '';
+			throw Error(`Invalid compression setting "${token}"${current ? ` for ${current}` : ''}${expected}`);
+		}
+		const { min, max } = ranges[name];
+		const number = Number(text);
+		if (!/^\d+$/.test(text) || number < min || number > max) {
+			throw Error(`Invalid compression setting "${token}" for ${current}, expected ${name} to be from ${min} to ${max}`);
+		}
+		compressions[current][name] = number;
+	}
+	return compressions;
+}
+
+/**
+ * Parse a list of compression algorithms, validating any settings that follow them
+ * @param {string} value
+ * @returns {Compression[]}
+ */
+export function parseCompression(value) {
+	return /** @type {Compression[]} */ (Object.keys(parseCompressionSettings(value)));
+}
+
+/**
+ * @param {Compression} compression
+ * @returns {CompressionSettings}
+ */
+export function defaultCompressionSettings(compression) {
+	/** @type {CompressionSettings} */
+	const settings = {};
+	for (const [name, range] of Object.entries(COMPRESSION_SETTINGS[compression])) {
+		if (range.default !== undefined) settings[name] = range.default;
+	}
+	return settings;
+}
 
 /**
- * @typedef {'Filename' | 'Size' | 'Change'} DiffTableColumn
+ * Format an algorithm and its settings the way they're given in the `compression` option, like "brotli level=11 window=22"
+ * @param {Compression} compression
+ * @param {CompressionSettings} [settings]
+ */
+export function formatCompression(compression, settings = defaultCompressionSettings(compression)) {
+	const parts = Object.keys(COMPRESSION_SETTINGS[compression])
+		.filter((name) => settings[name] !== undefined)
+		.map((name) => `${name}=${settings[name]}`);
+	return [compression, ...parts].join(' ');
+}
+
+/**
+ * Identifies sizes measured with an algorithm and its settings, in caches and stored baselines.
+ * It's only the algorithm's name with the default settings, so sizes stored before settings existed still match.
+ * @param {Compression} compression
+ * @param {CompressionSettings} [settings]
+ */
+export function compressionKey(compression, settings) {
+	const formatted = formatCompression(compression, settings);
+	return formatted === formatCompression(compression) ? compression : formatted;
+}
+
+/**
+ * Combine the diffs measured with each compression into a single list.
+ * The first compression is used for the top-level `size` and `delta`.
+ * @param {Compression[]} compressions
+ * @param {Diff[][]} diffs
+ * @returns {Diff[]}
+ */
+export function mergeEncodingDiffs(compressions, diffs) {
+	/** @type {Map<string, Diff>} */
+	const files = new Map();
+	compressions.forEach((compression, i) => {
+		for (const { filename, size, delta } of diffs[i]) {
+			let file = files.get(filename);
+			if (!file) {
+				file = { filename, size: 0, delta: 0, encodings: {} };
+				files.set(filename, file);
+			}
+			file.encodings[compression] = { size, delta };
+		}
+	});
+	for (const file of files.values()) {
+		for (const compression of compressions) {
+			file.encodings[compression] = file.encodings[compression] || { size: 0, delta: 0 };
+		}
+		({ size: file.size, delta: file.delta } = file.encodings[compressions[0]]);
+	}
+	return Array.from(files.values());
+}
+
+/**
+ * Add the change since each additional base to every file.
+ * Files are looked up in each base by their name, or by their previous name when renamed.
+ * @param {Diff[]} files
+ * @param {{ ref: string, sizes: Record<string, number> }[]} bases The size of each file in each base
+ * @returns {Diff[]}
+ */
+export function addBaselines(files, bases) {
+	return files.map((file) => ({
+		...file,
+		baselines: bases.map(({ ref, sizes }) => {
+			const name = file.filename in sizes ? file.filename : file.previousFilename;
+			const before = name != null && name in sizes ? sizes[name] : 0;
+			return { ref, size: file.size, delta: file.size - before };
+		})
+	}));
+}
+
+/**
+ * Sum the sizes and changes of all files.
+ * Changes smaller than the threshold are not counted, matching the table's "Size Change".
+ * @param {SizeDelta[]} files
+ * @param {number} [minimumChangeThreshold]
+ * @returns {SizeDelta}
+ */
+export function getTotals(files, minimumChangeThreshold = 1) {
+	let size = 0;
+	let delta = 0;
+	for (const file of files) {
+		size += file.size;
+		if (Math.abs(file.delta) >= minimumChangeThreshold) delta += file.delta;
+	}
+	return { size, delta };
+}
+
+/**
+ * Get the size and delta of each file in a single compression
+ * @param {Diff[]} files
+ * @param {string} encoding
+ * @returns {Diff[]}
+ */
+export function encodingFiles(files, encoding) {
+	return files.map((file) => ({ filename: file.filename, ...file.encodings[encoding] }));
+}
+
+/**
+ * @param {string} compression
+ */
+function encodingLabel(compression) {
+	return compression === 'none' ? 'raw' : compression;
+}
+
+/**
+ * @typedef {'Filename' | 'Size' | 'Change' | 'Severity'} DiffTableColumn
  * @typedef {'asc' | 'desc'} SortOrder
  * @typedef {`${DiffTableColumn}:${SortOrder}`} SortBy
  */
 
+/**
+ * Check whether a file's change (in every measured compression) is below the threshold
+ * @param {Diff} file
+ * @param {number} minimumChangeThreshold
+ */
+export function isUnchanged(file, minimumChangeThreshold) {
+	const deltas = file.encodings ? Object.values(file.encodings) : [file];
+	return deltas.every(({ delta }) => Math.abs(delta) < minimumChangeThreshold);
+}
+
+/**
+ * Render a total size and change as text
+ * @param {SizeDelta} total
+ * @param {import('./severity.js').Severity} [severity]
+ */
+function totalText({ size, delta }, severity) {
+	if (delta === 0) return prettyBytes(size);
+	const originalSize = size - delta;
+	const icon = iconForDifference(delta, originalSize, false, severity);
+	return `${prettyBytes(size)}, ${getDeltaText(delta, originalSize)} ${icon}`.trim();
+}
+
 /**
  * Create a Markdown table showing diff data
  * @param {Diff[]} files
@@ -176,12 +500,28 @@ function markdownTable(rows) {
  * @param {boolean} [options.omitUnchanged]
  * @param {number} [options.minimumChangeThreshold]
  * @param {SortBy} [options.sortBy]
+ * @param {import('./budgets.js').BudgetViolation[]} [options.budgetViolations]
+ * @param {import('./groups.js').Group[]} [options.groups]
+ * @param {import('./severity.js').Severity} [options.severity] Rules and icons to rate changes with
+ * @param {import('./severity.js').SeverityLevel} [options.highlight] Show files rated at least this severe in bold
+ * @param {import('./network.js').NetworkProfile[]} [options.networkProfiles] Add a column with the estimated download time on each
  * @returns {string}
  */
-export function diffTable(files, { showTotal, collapseUnchanged, omitUnchanged, minimumChangeThreshold, sortBy }) {
-	const changedRows = [],
-		unChangedRows = [];
-
+export function diffTable(
+	files,
+	{
+		showTotal,
+		collapseUnchanged,
+		omitUnchanged,
+		minimumChangeThreshold,
+		sortBy,
+		budgetViolations,
+		groups,
+		severity = DEFAULT_SEVERITY,
+		highlight,
+		networkProfiles = []
+	}
+) {
 	const [sortByColumn, sortByDirection] = /** @type {[DiffTableColumn, SortOrder]} */ (sortBy.split(':'));
 
 	const columnIndex = {
@@ -190,56 +530,163 @@ export function diffTable(files, { showTotal, collapseUnchanged, omitUnchanged,
 		Change: 'delta'
 	};
 
+	const levels = new Map(files.map((file) => [file, rateChange(file, severity)]));
+
 	files.sort((a, b) => {
+		if (sortByColumn === 'Severity') {
+			const order = severityRank(levels.get(a)) - severityRank(levels.get(b));
+			// Files of the same severity are listed by name:
+			if (order === 0) return a.filename.localeCompare(b.filename, undefined, { numeric: true });
+			return sortByDirection === 'asc' ? order : -order;
+		}
 		const idx = columnIndex[sortByColumn];
 		return sortByDirection === 'asc'
 			? a[idx].toString().localeCompare(b[idx].toString(), undefined, { numeric: true })
 			: b[idx].toString().localeCompare(a[idx].toString(), undefined, { numeric: true });
 	});
 
-	let totalSize = 0;
-	let totalDelta = 0;
-	for (const file of files) {
-		const { filename, size, delta } = file;
-		totalSize += size;
-
-		const originalSize = size - delta;
-		const isUnchanged = Math.abs(delta) < minimumChangeThreshold;
-
-		if (!isUnchanged) totalDelta += delta;
-
-		if (isUnchanged && omitUnchanged) continue;
-
-		const row = [
-			`\`${filename}\``,
-			prettyBytes(size),
-			getDeltaText(delta, originalSize),
-			iconForDifference(delta, originalSize)
-		];
-		if (isUnchanged && collapseUnchanged) {
-			unChangedRows.push(row);
-		} else {
-			changedRows.push(row);
+	// When measuring multiple compressions, each gets its own group of columns
+	const encodings = (files.length !== 0 && files[0].encodings && Object.keys(files[0].encodings)) || [];
+	// When comparing to additional bases, each gets a column with the change since that base
+	const baselines = (files.length !== 0 && files[0].baselines && files[0].baselines.map(({ ref }) => ref)) || [];
+	// When reading a bundler manifest, files are labeled with how they're loaded
+	const kinds = files.some((file) => file.kind);
+	const header = ['Filename'];
+	if (kinds) header.push('Type');
+	for (const encoding of encodings) {
+		header.push(`Size (${encodingLabel(encoding)})`, `Change (${encodingLabel(encoding)})`);
+	}
+	if (!encodings.length) header.push('Size', 'Change');
+	for (const ref of baselines) {
+		header.push(`Change since \`${ref}\``);
+	}
+	// Download times are estimated from the size with the first compression, like budgets
+	for (const profile of networkProfiles) {
+		header.push(profile.name);
+	}
+	header.push('');
+	const custom = encodings.length || baselines.length || kinds || networkProfiles.length;
+	const table = (rows) => markdownTable(rows, custom ? header : undefined);
+
+	/** @param {Diff[]} files */
+	function toRows(files) {
+		const changedRows = [],
+			unChangedRows = [];
+
+		for (const file of files) {
+			const { filename, size, delta, previousFilename } = file;
+			const unchanged = isUnchanged(file, minimumChangeThreshold);
+			if (unchanged && omitUnchanged) continue;
+
+			const renamed = previousFilename != null;
+			const highlighted = highlight && severityRank(levels.get(file)) >= severityRank(highlight);
+			const bold = (text) => (highlighted ? `**${text}**` : text);
+			const row = [bold(renamed ? `\`${previousFilename}\` → \`${filename}\`` : `\`${filename}\``)];
+			if (kinds) row.push(file.kind || '');
+			for (const encoding of encodings.length ? encodings : [null]) {
+				const { size, delta } = encoding ? file.encodings[encoding] : file;
+				row.push(prettyBytes(size), bold(getDeltaText(delta, size - delta, renamed)));
+			}
+			for (const { size, delta } of file.baselines || []) {
+				row.push(getDeltaText(delta, size - delta));
+			}
+			for (const profile of networkProfiles) {
+				row.push(formatTimeDelta(estimateTimeDelta(file, profile)));
+			}
+			row.push(severityIcon(file, severity));
+
+			if (unchanged && collapseUnchanged) {
+				unChangedRows.push(row);
+			} else {
+				changedRows.push(row);
+			}
 		}
+
+		return { changedRows, unChangedRows };
+	}
+
+	/** The total change since each additional base, one per line */
+	function baselineTotals() {
+		return baselines
+			.map((ref, i) => {
+				const { size, delta } = getTotals(
+					files.map((file) => file.baselines[i]),
+					minimumChangeThreshold
+				);
+				const icon = iconForDifference(delta, size - delta, false, severity);
+				return `**Change since \`${ref}\`:** ${getDeltaText(delta, size - delta)} ${icon}`.trim() + '\n\n';
+			})
+			.join('');
+	}
+
+	/** The estimated download time of all files on each network, as a single line */
+	function downloadTotals() {
+		if (!networkProfiles.length) return '';
+		const total = getTotals(files, minimumChangeThreshold);
+		const times = networkProfiles.map((profile) => `${profile.name}: ${formatTimeDelta(estimateTimeDelta(total, profile))}`);
+		return `**Download Time:** ${times.join(' · ')}\n\n`;
 	}
 
 	let out = '';
-	
-	if (changedRows.length !== 0) {
-		const outChanged = markdownTable(changedRows);
-		out = `<details open><summary>📦 <strong>View Changed</strong></summary>\n\n${outChanged}\n\n</details>`;
+
+	if (groups) {
+		for (const group of groupFiles(files, groups)) {
+			const { changedRows, unChangedRows } = toRows(group.files);
+			if (changedRows.length === 0 && unChangedRows.length === 0) continue;
+
+			let section = '';
+			if (changedRows.length !== 0) {
+				section = `${table(changedRows)}\n\n`;
+			}
+			if (unChangedRows.length !== 0) {
+				section += `<details><summary>ℹ️ <strong>View Unchanged</strong></summary>\n\n${table(unChangedRows)}\n\n</details>\n\n`;
+			}
+
+			const hasChanges = group.files.some((file) => !isUnchanged(file, minimumChangeThreshold));
+			const open = hasChanges || !collapseUnchanged ? ' open' : '';
+			const subtotal = totalText(getTotals(group.files, minimumChangeThreshold), severity);
+			out += `<details${open}><summary>📦 <strong>${group.name}</strong>: ${subtotal}</summary>\n\n${section}</details>\n\n`;
+		}
+	} else {
+		const { changedRows, unChangedRows } = toRows(files);
+
+		if (changedRows.length !== 0) {
+			const outChanged = table(changedRows);
+			out = `<details open><summary>📦 <strong>View Changed</strong></summary>\n\n${outChanged}\n\n</details>`;
+		}
+
+		if (unChangedRows.length !== 0) {
+			const outUnchanged = table(unChangedRows);
+			out += `\n\n<details><summary>ℹ️ <strong>View Unchanged</strong></summary>\n\n${outUnchanged}\n\n</details>\n\n`;
+		}
 	}
 
-	if (unChangedRows.length !== 0) {
-		const outUnchanged = markdownTable(unChangedRows);
-		out += `\n\n<details><summary>ℹ️ <strong>View Unchanged</strong></summary>\n\n${outUnchanged}\n\n</details>\n\n`;
+	if (budgetViolations && budgetViolations.length !== 0) {
+		const list = budgetViolations.map(
+			({ budget, filename, actual }) => `- \`${filename}\`: ${actual} exceeds \`${budget.rule}\``
+		);
+		out = `🚫 **Size budget exceeded:**\n\n${list.join('\n')}\n\n${out}`;
 	}
 
-	if (showTotal) {
+	if (showTotal && encodings.length !== 0) {
+		const rows = encodings.map((encoding) => {
+			const { size, delta } = getTotals(encodingFiles(files, encoding), minimumChangeThreshold);
+			return [
+				encodingLabel(encoding),
+				prettyBytes(size),
+				getDeltaText(delta, size - delta),
+				iconForDifference(delta, size - delta, false, severity)
+			];
+		});
+		out = `${baselineTotals()}${downloadTotals()}${out}`;
+		out = `${markdownTable(rows, ['Compression', 'Total Size', 'Change', ''])}\n\n${out}`;
+	} else if (showTotal) {
+		const { size: totalSize, delta: totalDelta } = getTotals(files, minimumChangeThreshold);
 		const totalOriginalSize = totalSize - totalDelta;
 		let totalDeltaText = getDeltaText(totalDelta, totalOriginalSize);
-		let totalIcon = iconForDifference(totalDelta, totalOriginalSize);
-		out = `**Total Size:** ${prettyBytes(totalSize)}\n\n${out}`;
+		let totalIcon = iconForDifference(totalDelta, totalOriginalSize, false, severity);
+		out = `**Total Size:** ${prettyBytes(totalSize)}\n\n${downloadTotals()}${out}`;
+		out = `${baselineTotals()}${out}`;
 		out = `**Size Change:** ${totalDeltaText} ${totalIcon}\n\n${out}`;
 	}
 
@@ -259,13 +706,13 @@ export function toBool(v) {
  * @returns {SortBy}
  */
 export function getSortOrder(sortBy) {
-	const validColumns = ['Filename', 'Size', 'Change'];
+	const validColumns = ['Filename', 'Size', 'Change', 'Severity'];
 	const validDirections = ['asc', 'desc'];
 
 	const [column, direction] = sortBy.split(':');
 	if (validColumns.includes(column) && validDirections.includes(direction)) {
 		return /** @type {SortBy} */ (sortBy);
 	}
-	console.warn(`Invalid 'order-by' value '${sortBy}', defaulting to 'Filename:asc'`);
-	return 'Filename:asc';
+	const values = validColumns.flatMap((column) => validDirections.map((direction) => `${column}:${direction}`));
+	throw Error(`Invalid sort-by "${sortBy}", expected one of "${values.join('", "')}"`);
 }
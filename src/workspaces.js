@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { fileExists } from './utils.js';
+
+/**
+ * A package of a pnpm, yarn, npm or bun workspace
+ * @typedef {Object} Workspace
+ * @property {string} name The package name, or its path when it has none
+ * @property {string} path The package's directory relative to the workspace root, with forward slashes
+ * @property {string[]} dependencies The names of the other workspace packages it depends on
+ * @property {string[]} scripts The names of its package.json scripts
+ */
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * The `packages` list of pnpm-workspace.yaml
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parsePnpmWorkspace(text) {
+	const patterns = [];
+	let inPackages = false;
+	for (const line of text.split(/\r?\n/)) {
+		if (/^\S/.test(line)) {
+			inPackages = line.trim() === 'packages:';
+			continue;
+		}
+		const item = inPackages && line.match(/^\s+-\s*(['"]?)(.+?)\1\s*(?:#.*)?$/);
+		if (item) patterns.push(item[2]);
+	}
+	return patterns;
+}
+
+/**
+ * Read the package patterns of a workspace, from pnpm-workspace.yaml or the `workspaces` of package.json
+ * (an array, or an object with a `packages` array in yarn).
+ * @param {string} root
+ * @returns {Promise<string[] | null>} `null` when the directory isn't the root of a workspace
+ */
+async function readWorkspacePatterns(root) {
+	const pnpm = path.join(root, 'pnpm-workspace.yaml');
+	if (await fileExists(pnpm)) {
+		return parsePnpmWorkspace(await fs.promises.readFile(pnpm, 'utf-8'));
+	}
+	const pkg = path.join(root, 'package.json');
+	if (!(await fileExists(pkg))) return null;
+	const { workspaces } = JSON.parse(await fs.promises.readFile(pkg, 'utf-8'));
+	if (Array.isArray(workspaces)) return workspaces;
+	if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+	return null;
+}
+
+/**
+ * Find the directories matching workspace patterns that have a package.json.
+ * Patterns starting with "!" exclude directories, like in pnpm-workspace.yaml.
+ * @param {string} root
+ * @param {string[]} patterns
+ * @returns {Promise<string[]>} Relative to the root
+ */
+async function findPackageDirs(root, patterns) {
+	const normalize = (pattern) => pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+	const include = patterns.filter((pattern) => !pattern.startsWith('!')).map(normalize);
+	const exclude = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => normalize(pattern.slice(1)));
+
+	const dirs = [];
+	/** @param {string} dir */
+	async function walk(dir) {
+		const entries = await fs.promises.readdir(path.join(root, dir), { withFileTypes: true });
+		for (const entry of entries) {
+			if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name === '.git') continue;
+			const name = dir ? `${dir}/${entry.name}` : entry.name;
+			// Only go into directories that a pattern can match something in, leaving out dist/ and the like:
+			if (!include.some((pattern) => minimatch(name, pattern, { partial: true }))) continue;
+			const matches = (pattern) => minimatch(name, pattern);
+			if (include.some(matches) && !exclude.some(matches) && (await fileExists(path.join(root, name, 'package.json')))) {
+				dirs.push(name);
+			}
+			await walk(name);
+		}
+	}
+	await walk('');
+	return dirs;
+}
+
+/**
+ * Sort packages so that each comes after the workspace packages it depends on, otherwise by path
+ * @param {Workspace[]} workspaces
+ * @returns {Workspace[]}
+ */
+function sortByDependencies(workspaces) {
+	const byName = new Map(workspaces.map((workspace) => [workspace.name, workspace]));
+	/** @type {Workspace[]} */
+	const sorted = [];
+	const visited = new Set();
+	/** @param {Workspace} workspace */
+	const visit = (workspace) => {
+		// Dependency cycles are broken wherever they're first found:
+		if (visited.has(workspace)) return;
+		visited.add(workspace);
+		for (const name of workspace.dependencies) {
+			const dependency = byName.get(name);
+			if (dependency) visit(dependency);
+		}
+		sorted.push(workspace);
+	};
+	workspaces
+		.slice()
+		.sort((a, b) => (a.path < b.path ? -1 : 1))
+		.forEach(visit);
+	return sorted;
+}
+
+/**
+ * Read the packages of the workspace whose root is `root`, in the order they should be built in
+ * @param {string} root
+ * @returns {Promise<Workspace[] | null>} `null` when the directory isn't the root of a workspace
+ */
+export async function readWorkspaces(root) {
+	const patterns = await readWorkspacePatterns(root);
+	if (!patterns) return null;
+
+	const packages = [];
+	for (const dir of await findPackageDirs(root, patterns)) {
+		const pkg = JSON.parse(await fs.promises.readFile(path.join(root, dir, 'package.json'), 'utf-8'));
+		packages.push({ dir, pkg });
+	}
+	const names = new Set(packages.map(({ pkg }) => pkg.name).filter(Boolean));
+
+	/** @type {Workspace[]} */
+	const workspaces = packages.map(({ dir, pkg }) => {
+		const dependencies = new Set(DEPENDENCY_FIELDS.flatMap((field) => Object.keys(pkg[field] || {})));
+		return {
+			name: pkg.name || dir,
+			path: dir,
+			dependencies: Array.from(dependencies).filter((name) => names.has(name) && name !== pkg.name),
+			scripts: Object.keys(pkg.scripts || {})
+		};
+	});
+	return sortByDependencies(workspaces);
+}
+
+/**
+ * Work out which packages are affected by changes to some files: the packages containing them,
+ * and every package that depends on one of those, directly or not.
+ * Files outside of every package, like the lockfile or a shared config, affect all of them.
+ * @param {Workspace[]} workspaces
+ * @param {string[]} files Changed files, relative to the workspace root
+ * @returns {Set<string>} The names of the affected packages
+ */
+export function affectedWorkspaces(workspaces, files) {
+	const affected = new Set();
+	for (const file of files) {
+		// Packages can be nested, in which case the file belongs to the innermost one:
+		const owner = workspaces
+			.filter(({ path: dir }) => file.startsWith(`${dir}/`))
+			.sort((a, b) => b.path.length - a.path.length)[0];
+		if (!owner) return new Set(workspaces.map(({ name }) => name));
+		affected.add(owner.name);
+	}
+
+	let added = true;
+	while (added) {
+		added = false;
+		for (const { name, dependencies } of workspaces) {
+			if (!affected.has(name) && dependencies.some((dependency) => affected.has(dependency))) {
+				affected.add(name);
+				added = true;
+			}
+		}
+	}
+	return affected;
+}
+
+/**
+ * Find the packages that have to be built before some others: every workspace package they depend on,
+ * directly or not
+ * @param {Workspace[]} workspaces
+ * @param {Iterable<string>} names
+ * @returns {Set<string>} The names of the packages and their dependencies
+ */
+export function workspaceDependencies(workspaces, names) {
+	const byName = new Map(workspaces.map((workspace) => [workspace.name, workspace]));
+	const found = new Set();
+	const add = (name) => {
+		if (found.has(name)) return;
+		found.add(name);
+		const workspace = byName.get(name);
+		if (workspace) workspace.dependencies.forEach(add);
+	};
+	Array.from(names).forEach(add);
+	return found;
+}
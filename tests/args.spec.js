@@ -0,0 +1,19 @@
+import { parseArgs, CLI_FLAGS } from '../src/args.js';
+
+test('parseArgs', () => {
+	expect(parseArgs([])).toEqual(CLI_FLAGS);
+
+	expect(parseArgs(['--base', 'main', '--format=json', '--fetch', '--no-show-total'])).toMatchObject({
+		base: 'main',
+		format: 'json',
+		fetch: 'true',
+		'show-total': 'false'
+	});
+
+	expect(parseArgs(['--budgets', 'dist/*.js <= 10 kB', '--budgets', 'total <= +1 kB']).budgets).toBe(
+		'dist/*.js <= 10 kB\ntotal <= +1 kB'
+	);
+
+	expect(() => parseArgs(['main'])).toThrow('Unexpected argument "main"');
+	expect(() => parseArgs(['--bsae', 'main'])).toThrow('Unknown option "--bsae"');
+});
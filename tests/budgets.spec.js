@@ -0,0 +1,79 @@
+import { parseBudgets, checkBudgets } from '../src/budgets.js';
+import { parseNetworkProfiles } from '../src/network.js';
+
+test('parseBudgets', () => {
+	expect(
+		parseBudgets(`
+			# comment
+			dist/*.js <= 10 kB
+			**/*.js <= +5%
+			total <= +2 kB
+		`)
+	).toEqual([
+		{ rule: 'dist/*.js <= 10 kB', target: 'dist/*.js', relative: false, percent: false, limit: 10000 },
+		{ rule: '**/*.js <= +5%', target: '**/*.js', relative: true, percent: true, limit: 5 },
+		{ rule: 'total <= +2 kB', target: 'total', relative: true, percent: false, limit: 2000 }
+	]);
+	expect(parseBudgets('')).toEqual([]);
+	expect(() => parseBudgets('dist/*.js 10 kB')).toThrow('Invalid budget');
+	expect(() => parseBudgets('dist/*.js <= 5%')).toThrow('only supported for changes');
+	expect(() => parseBudgets('dist/*.js <= +5x%')).toThrow('is not a percentage');
+});
+
+test('checkBudgets', () => {
+	const files = [
+		{ filename: 'dist/one.js', size: 12000, delta: 1000 },
+		{ filename: 'dist/two.js', size: 5000, delta: 0 },
+		{ filename: 'dist/new.js', size: 300, delta: 300 },
+		{ filename: 'lib/three.js', size: 20000, delta: 0 }
+	];
+
+	expect(checkBudgets(files, parseBudgets('dist/*.js <= 10 kB'))).toMatchObject([
+		{ filename: 'dist/one.js', actual: '12 kB' }
+	]);
+	expect(checkBudgets(files, parseBudgets('**/*.js <= +5%'))).toMatchObject([
+		{ filename: 'dist/one.js', actual: '+1 kB (+9.09%)' }
+	]);
+	expect(checkBudgets(files, parseBudgets('total <= +1 kB'))).toMatchObject([
+		{ filename: 'total', actual: '+1.3 kB (+3.61%)' }
+	]);
+	expect(checkBudgets(files, parseBudgets('total <= +1 kB'), { minimumChangeThreshold: 500 })).toEqual([]);
+	expect(checkBudgets(files, parseBudgets('lib/*.js <= 20 kB'))).toEqual([]);
+});
+
+test('budgets in time', () => {
+	const profiles = parseNetworkProfiles('4G');
+	expect(parseBudgets('total <= 3 s on Slow 3G\ndist/*.js <= +100ms', profiles)).toEqual([
+		{
+			rule: 'total <= 3 s on Slow 3G',
+			target: 'total',
+			relative: false,
+			percent: false,
+			limit: 3000,
+			profile: { name: 'Slow 3G', bandwidth: 400e3, rtt: 400 }
+		},
+		{
+			rule: 'dist/*.js <= +100ms',
+			target: 'dist/*.js',
+			relative: true,
+			percent: false,
+			limit: 100,
+			profile: { name: '4G', bandwidth: 9e6, rtt: 170 }
+		}
+	]);
+	expect(() => parseBudgets('total <= 2 s')).toThrow('need a network profile');
+	expect(() => parseBudgets('total <= 2 s on Dial-up')).toThrow('unknown network profile "Dial-up"');
+	expect(() => parseBudgets('total <= 10 kB on Slow 3G')).toThrow('only limits in time');
+
+	const files = [
+		{ filename: 'dist/one.js', size: 100000, delta: 10000 },
+		{ filename: 'dist/two.js', size: 5000, delta: 0 }
+	];
+	expect(checkBudgets(files, parseBudgets('dist/*.js <= 2 s on Slow 3G'))).toMatchObject([
+		{ filename: 'dist/one.js', actual: '2.40 s' }
+	]);
+	expect(checkBudgets(files, parseBudgets('total <= +100ms on Slow 3G'))).toMatchObject([
+		{ filename: 'total', actual: '+200 ms' }
+	]);
+	expect(checkBudgets(files, parseBudgets('total <= +100ms', profiles))).toEqual([]);
+});
@@ -0,0 +1,91 @@
+import {
+	parseThreshold,
+	checkAnnotations,
+	checkSummary,
+	checkConclusion,
+	splitCheckOutput
+} from '../src/checks.js';
+import { createTestTarget } from './helpers.js';
+
+const budget = { rule: '*.js <= 4 kB', target: '*.js', relative: false, percent: false, limit: 4000 };
+
+/** @type {import('../src/report.js').TargetResult[]} */
+const results = [
+	{
+		target: createTestTarget({ name: 'core', cwd: 'packages/core' }),
+		files: [
+			{ filename: 'dist/big.js', size: 5000, delta: 2500 },
+			{ filename: 'dist/small.js', size: 1050, delta: 50 },
+			{ filename: 'dist/new.js', size: 100, delta: 100 },
+			{ filename: 'dist/shrunk.js', size: 100, delta: -900 }
+		],
+		budgetViolations: [{ budget, filename: 'dist/big.js', actual: '5 kB' }]
+	}
+];
+
+test('parseThreshold', () => {
+	expect(parseThreshold('10%')).toEqual({ percent: true, limit: 10 });
+	expect(parseThreshold('1 kB')).toEqual({ percent: false, limit: 1000 });
+	expect(() => parseThreshold('lots')).toThrow('Invalid size "lots"');
+});
+
+test('checkAnnotations', () => {
+	const annotations = checkAnnotations(results, {
+		threshold: parseThreshold('10%'),
+		minimumChangeThreshold: 1,
+		root: '/repo'
+	});
+	expect(annotations).toMatchSnapshot();
+
+	const bySize = checkAnnotations(results, {
+		threshold: parseThreshold('1 kB'),
+		minimumChangeThreshold: 1,
+		budgetMode: 'warn',
+		root: '/repo'
+	});
+	expect(bySize.map((a) => [a.path, a.annotation_level])).toEqual([['packages/core/dist/big.js', 'warning']]);
+});
+
+test('checkSummary', () => {
+	const report = {
+		total: { size: 12000, delta: 1000 },
+		changedFiles: ['a.js', 'b.js'],
+		budgetViolations: []
+	};
+	expect(checkSummary(/** @type {any} */ (report))).toBe('Total size: 12 kB (+1 kB (+9.09%)), 2 files changed');
+	expect(
+		checkSummary(/** @type {any} */ ({ ...report, changedFiles: [], budgetViolations: [{}], total: { size: 10, delta: 0 } }))
+	).toBe('Total size: 10 B (0 B), no files changed, 1 size budget exceeded');
+});
+
+test('checkConclusion', () => {
+	const violations = results[0].budgetViolations;
+	expect(checkConclusion({ budgetViolations: [], budgetMode: 'error', annotations: [] })).toBe('success');
+	expect(checkConclusion({ budgetViolations: [], budgetMode: 'error', annotations: [/** @type {any} */ ({})] })).toBe(
+		'neutral'
+	);
+	expect(checkConclusion({ budgetViolations: violations, budgetMode: 'error', annotations: [] })).toBe('failure');
+	expect(checkConclusion({ budgetViolations: violations, budgetMode: 'warn', annotations: [] })).toBe('neutral');
+});
+
+test('splitCheckOutput', () => {
+	expect(splitCheckOutput({ title: 'Size', summary: 'ok', text: 'table' })).toEqual([
+		{ title: 'Size', summary: 'ok', text: 'table' }
+	]);
+
+	const annotations = Array.from({ length: 120 }, (_, i) => ({
+		path: `dist/${i}.js`,
+		start_line: 1,
+		end_line: 1,
+		annotation_level: /** @type {const} */ ('warning'),
+		title: `${i}.js`,
+		message: 'grew'
+	}));
+	const outputs = splitCheckOutput({ title: 'Size', summary: 'ok', text: 'x'.repeat(70000), annotations });
+	expect(outputs.map((output) => output.annotations.length)).toEqual([50, 50, 20]);
+	expect(outputs[2].annotations[0].path).toBe('dist/100.js');
+	for (const output of outputs) {
+		expect(output.text).toHaveLength(65535);
+		expect(output.text).toMatch(/truncated/);
+	}
+});
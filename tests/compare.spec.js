@@ -0,0 +1,307 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { Writable } from 'stream';
+import { compare } from '../src/compare.js';
+import { loadRenderer } from '../src/render.js';
+import { parseBudgets } from '../src/budgets.js';
+import { createSizeCache } from '../src/measure.js';
+import { createSnapshotStore } from '../src/snapshots.js';
+import { readWorkspaces } from '../src/workspaces.js';
+import { createTestTarget } from './helpers.js';
+
+const env = {
+	...process.env,
+	GIT_AUTHOR_NAME: 'test',
+	GIT_AUTHOR_EMAIL: 'test@example.com',
+	GIT_COMMITTER_NAME: 'test',
+	GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+/**
+ * @param {string} command
+ * @param {string} cwd
+ */
+function sh(command, cwd) {
+	return execSync(command, { cwd, env, stdio: 'pipe' }).toString().trim();
+}
+
+/**
+ * Commit a build that writes each file in `sizes` to dist/, filled up to its size
+ * @param {string} repo
+ * @param {Record<string, number>} sizes
+ * @param {string} message
+ */
+function commitBuild(repo, sizes, message) {
+	fs.writeFileSync(path.join(repo, 'sizes.json'), JSON.stringify(sizes));
+	sh(`git add -A && git commit -q -m ${message}`, repo);
+}
+
+const BUILD = `
+const fs = require('fs');
+fs.mkdirSync('dist', { recursive: true });
+for (const [name, size] of Object.entries(require('./sizes.json'))) {
+	fs.writeFileSync('dist/' + name, 'x'.repeat(size));
+}
+`;
+
+/**
+ * A logger that keeps the log, and checks that every group that's started is ended
+ */
+function createLogger() {
+	/** @type {string[]} */
+	const lines = [];
+	const logger = {
+		lines,
+		depth: 0,
+		log: (...args) => lines.push(args.join(' ')),
+		startGroup: () => logger.depth++,
+		endGroup: () => logger.depth--,
+		outStream: new Writable({ write: (chunk, encoding, callback) => callback() })
+	};
+	return logger;
+}
+
+let tmp, repo, mainSha, runnerTemp;
+
+beforeAll(() => {
+	tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'compressed-size-compare-')));
+	repo = path.join(tmp, 'repo');
+	fs.mkdirSync(repo);
+	sh('git init -q -b main', repo);
+	fs.writeFileSync(
+		path.join(repo, 'package.json'),
+		JSON.stringify({
+			name: 'app',
+			private: true,
+			scripts: { build: 'node build.js', clean: `node -e "require('fs').rmSync('dist', { recursive: true })"` }
+		})
+	);
+	fs.writeFileSync(path.join(repo, 'build.js'), BUILD);
+	fs.writeFileSync(path.join(repo, '.gitignore'), 'dist\n');
+
+	commitBuild(repo, { 'index.js': 800, 'chunk.1a2b3c.js': 500, 'old.js': 100 }, 'v1');
+	sh('git tag v1.0.0', repo);
+	commitBuild(repo, { 'index.js': 1000, 'chunk.1a2b3c.js': 500, 'old.js': 100 }, 'main');
+	mainSha = sh('git rev-parse HEAD', repo);
+
+	sh('git checkout -q -b broken', repo);
+	fs.writeFileSync(path.join(repo, 'build.js'), `throw Error('broken build');`);
+	sh('git commit -q -am broken', repo);
+
+	sh('git checkout -q -b feature main', repo);
+	commitBuild(repo, { 'index.js': 1200, 'chunk.4d5e6f.js': 510, 'new.js': 50 }, 'feature');
+
+	// Worktrees are added here, so it's easy to check they're removed:
+	runnerTemp = process.env.RUNNER_TEMP;
+	process.env.RUNNER_TEMP = path.join(tmp, 'worktrees');
+	fs.mkdirSync(process.env.RUNNER_TEMP);
+});
+
+afterAll(() => {
+	if (runnerTemp === undefined) delete process.env.RUNNER_TEMP;
+	else process.env.RUNNER_TEMP = runnerTemp;
+	fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+/**
+ * @param {Partial<import('../src/options.js').CompareOptions>} [options]
+ * @returns {Promise<import('../src/options.js').CompareOptions>}
+ */
+async function createOptions(options) {
+	return {
+		cwd: repo,
+		baseRef: 'main',
+		baseSha: null,
+		headSha: null,
+		additionalBaseRefs: [],
+		targets: [createTestTarget({ name: 'app', cwd: repo, compression: 'none' })],
+		workspaces: null,
+		// Nothing to install, the build only needs node:
+		installScript: 'node --version',
+		cleanScript: '',
+		useWorktree: true,
+		fetch: false,
+		detectRenames: false,
+		sourceMaps: false,
+		dependencyChanges: false,
+		baselineStore: null,
+		measureCache: createSizeCache(),
+		saveBaseline: false,
+		budgets: [],
+		budgetMode: 'error',
+		minimumChangeThreshold: 1,
+		table: { showTotal: true, collapseUnchanged: true, omitUnchanged: false, sortBy: 'Filename:asc' },
+		renderer: await loadRenderer('default'),
+		...options
+	};
+}
+
+/**
+ * @param {import('../src/compare.js').Comparison} comparison
+ */
+const summarize = ({ results }) =>
+	results[0].files.map(({ filename, previousFilename, size, delta }) => ({
+		filename,
+		...(previousFilename && { previousFilename }),
+		size,
+		delta
+	}));
+
+test('compare in a worktree', async () => {
+	const logger = createLogger();
+	const comparison = await compare(
+		await createOptions({
+			detectRenames: true,
+			additionalBaseRefs: ['v*'],
+			budgets: parseBudgets('dist/index.js <= 1.1 kB')
+		}),
+		logger
+	);
+
+	expect(summarize(comparison)).toEqual([
+		{ filename: 'dist/index.js', size: 1200, delta: 200 },
+		{ filename: 'dist/old.js', size: 0, delta: -100 },
+		{ filename: 'dist/chunk.4d5e6f.js', previousFilename: 'dist/chunk.1a2b3c.js', size: 510, delta: 10 },
+		{ filename: 'dist/new.js', size: 50, delta: 50 }
+	]);
+	// The change since the latest tag matching the additional base:
+	const index = comparison.results[0].files.find(({ filename }) => filename === 'dist/index.js');
+	expect(index.baselines).toEqual([{ ref: 'v1.0.0', size: 1200, delta: 400 }]);
+	expect(comparison.budgetViolations).toEqual([
+		expect.objectContaining({ filename: 'dist/index.js', actual: '1.2 kB' })
+	]);
+	expect(comparison.markdown).toBe(comparison.results[0].markdown);
+	expect(comparison.markdown).toContain('`dist/chunk.1a2b3c.js` → `dist/chunk.4d5e6f.js`');
+
+	// The working copy is left alone, and the worktrees are removed:
+	expect(sh('git status --porcelain', repo)).toBe('');
+	expect(sh('git rev-parse --abbrev-ref HEAD', repo)).toBe('feature');
+	expect(fs.readFileSync(path.join(repo, 'dist/index.js'), 'utf-8')).toHaveLength(1200);
+	expect(fs.readdirSync(process.env.RUNNER_TEMP)).toEqual([]);
+	expect(logger.depth).toBe(0);
+}, 30000);
+
+test('compare in place', async () => {
+	const clone = path.join(tmp, 'in-place');
+	sh(`git clone -q --branch feature ${repo} ${clone}`, tmp);
+	const options = await createOptions({
+		cwd: clone,
+		targets: [createTestTarget({ name: 'app', cwd: clone, compression: 'none' })],
+		useWorktree: false,
+		// The clone only has the feature branch, like the action's checkout:
+		fetch: true,
+		// The build output isn't tracked, so the base's build would be measured along with the PR's:
+		cleanScript: 'clean'
+	});
+	const comparison = await compare(options, createLogger());
+
+	expect(summarize(comparison)).toEqual([
+		{ filename: 'dist/chunk.1a2b3c.js', size: 0, delta: -500 },
+		{ filename: 'dist/index.js', size: 1200, delta: 200 },
+		{ filename: 'dist/old.js', size: 0, delta: -100 },
+		{ filename: 'dist/chunk.4d5e6f.js', size: 510, delta: 510 },
+		{ filename: 'dist/new.js', size: 50, delta: 50 }
+	]);
+}, 30000);
+
+test('compare with a baseline store', async () => {
+	const baselineStore = createSnapshotStore(path.join(tmp, 'baselines'));
+	const clone = path.join(tmp, 'baseline');
+	sh(`git clone -q --branch main ${repo} ${clone}`, tmp);
+	const targets = [createTestTarget({ name: 'app', cwd: clone, compression: 'none' })];
+
+	// A push to the default branch saves its sizes:
+	await compare(
+		await createOptions({ cwd: clone, targets, baseRef: 'v1.0.0', headSha: mainSha, baselineStore, saveBaseline: true }),
+		createLogger()
+	);
+	expect((await baselineStore.load(mainSha)).sizes).toEqual({
+		app: [{ 'dist/chunk.1a2b3c.js': 500, 'dist/index.js': 1000, 'dist/old.js': 100 }]
+	});
+
+	// A PR based on it uses them, rather than building its base, which would fail:
+	sh('git checkout -q feature', clone);
+	const logger = createLogger();
+	const comparison = await compare(
+		await createOptions({ cwd: clone, targets, baseRef: 'broken', baseSha: mainSha, baselineStore }),
+		logger
+	);
+	expect(logger.lines).toContain(`Using stored baseline sizes for ${mainSha}, skipping the base build`);
+	expect(summarize(comparison)).toContainEqual({ filename: 'dist/index.js', size: 1200, delta: 200 });
+}, 30000);
+
+test('compare when the base fails', async () => {
+	const logger = createLogger();
+	await expect(compare(await createOptions({ baseRef: 'broken' }), logger)).rejects.toThrow(
+		'failed with exit code 1'
+	);
+	await expect(compare(await createOptions({ baseRef: 'missing' }), logger)).rejects.toThrow();
+	// The log isn't left in a group, so the error shows:
+	expect(logger.depth).toBe(0);
+	expect(sh('git worktree list --porcelain', repo).match(/^worktree /gm)).toHaveLength(1);
+}, 30000);
+
+test('compare workspace packages', async () => {
+	const workspace = path.join(tmp, 'workspace');
+	const packages = {
+		ui: { sizes: { 'ui.js': 300 }, build: BUILD },
+		// The app's build bundles the ui package's build output, which isn't tracked:
+		app: {
+			dependencies: { ui: 'workspace:*' },
+			sizes: { 'app.js': 700 },
+			build: `require('fs').accessSync('../ui/dist/ui.js');\n${BUILD}`
+		}
+	};
+	fs.mkdirSync(workspace);
+	sh('git init -q -b main', workspace);
+	fs.writeFileSync(path.join(workspace, 'package.json'), JSON.stringify({ private: true, workspaces: ['packages/*'] }));
+	fs.writeFileSync(path.join(workspace, '.gitignore'), 'dist\n');
+	for (const [name, { dependencies, sizes, build }] of Object.entries(packages)) {
+		const dir = path.join(workspace, 'packages', name);
+		fs.mkdirSync(dir, { recursive: true });
+		fs.writeFileSync(
+			path.join(dir, 'package.json'),
+			JSON.stringify({ name, dependencies, scripts: { build: 'node build.js' } })
+		);
+		fs.writeFileSync(path.join(dir, 'build.js'), build);
+		fs.writeFileSync(path.join(dir, 'sizes.json'), JSON.stringify(sizes));
+	}
+	sh('git add -A && git commit -q -m main', workspace);
+	const workspaceSha = sh('git rev-parse HEAD', workspace);
+	sh('git checkout -q -b feature', workspace);
+	fs.writeFileSync(path.join(workspace, 'packages/app/sizes.json'), JSON.stringify({ 'app.js': 750 }));
+	sh('git commit -q -am feature', workspace);
+
+	const workspaces = await readWorkspaces(workspace);
+	const targets = ['ui', 'app'].map((name) =>
+		createTestTarget({ name, cwd: path.join(workspace, 'packages', name), compression: 'none' })
+	);
+	const options = await createOptions({ cwd: workspace, targets, workspaces });
+
+	// Only the app is affected, but its build needs the ui package's, in the worktree too:
+	const comparison = await compare(options, createLogger());
+	expect(comparison.results.map(({ target }) => target.name)).toEqual(['app']);
+	expect(summarize(comparison)).toEqual([{ filename: 'dist/app.js', size: 750, delta: 50 }]);
+
+	// A push to the default branch saves the sizes of every package, though none are affected:
+	const baselineStore = createSnapshotStore(path.join(tmp, 'workspace-baselines'));
+	sh('git checkout -q main', workspace);
+	const push = await compare(
+		{ ...options, headSha: workspaceSha, baselineStore, saveBaseline: true },
+		createLogger()
+	);
+	expect(push.results).toEqual([]);
+	expect((await baselineStore.load(workspaceSha)).sizes).toEqual({
+		ui: [{ 'dist/ui.js': 300 }],
+		app: [{ 'dist/app.js': 700 }]
+	});
+
+	// So a PR changing any of them can use them:
+	sh('git checkout -q feature', workspace);
+	const logger = createLogger();
+	const pr = await compare({ ...options, baseSha: workspaceSha, baselineStore }, logger);
+	expect(logger.lines).toContain(`Using stored baseline sizes for ${workspaceSha}, skipping the base build`);
+	expect(summarize(pr)).toEqual([{ filename: 'dist/app.js', size: 750, delta: 50 }]);
+}, 60000);
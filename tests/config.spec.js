@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseJsonc, parseConfig, loadConfig, withConfig } from '../src/config.js';
+
+test('parseJsonc', () => {
+	const text = `{
+		// a comment
+		"pattern": "dist/**/*.js", /* another
+		comment */
+		"exclude": ["**/*.map", "http://example.com/*"],
+	}`;
+	expect(parseJsonc(text, 'config.json')).toEqual({
+		pattern: 'dist/**/*.js',
+		exclude: ['**/*.map', 'http://example.com/*']
+	});
+	expect(parseJsonc('{ "a": "\\"// not a comment" }', 'config.json')).toEqual({ a: '"// not a comment' });
+	expect(() => parseJsonc('{ "a": }', 'config.json')).toThrow('Invalid JSON in config.json');
+	expect(parseJsonc('[1, [2, /* c */ ], { "a": 3, // c\n },\n]', 'config.json')).toEqual([1, [2], { a: 3 }]);
+	expect(parseJsonc('[",]", ","]', 'config.json')).toEqual([',]', ',']);
+	// Lockfiles like bun.lock can be large, so this has to take linear time:
+	expect(parseJsonc(`[${'1,    '.repeat(200000)}]`, 'bun.lock')).toHaveLength(200000);
+});
+
+test('parseConfig', () => {
+	expect(
+		parseConfig(
+			{
+				pattern: ['dist/**/*.js', 'dist/**/*.css'],
+				exclude: ['**/*.map'],
+				'show-total': false,
+				'minimum-change-threshold': 100,
+				'sort-by': 'Change:desc',
+				'severity-icons': { critical: '🔥' },
+				groups: { vendor: ['dist/vendor-*.js', 'dist/react-*.js'], app: 'dist/app-*.js' },
+				budgets: ['total <= +5 kB'],
+				targets: [{ name: 'core', cwd: 'packages/core', pattern: ['dist/*.js', 'dist/*.mjs'] }],
+				files: {
+					'dist/vendor-*.js': { budgets: ['150 kB', '+2%'], severity: { high: '+4 kB' } }
+				}
+			},
+			'.compressed-size.json'
+		)
+	).toEqual({
+		pattern: '{dist/**/*.js,dist/**/*.css}',
+		exclude: '**/*.map',
+		'show-total': 'false',
+		'minimum-change-threshold': '100',
+		'sort-by': 'Change:desc',
+		'severity-icons': 'critical: 🔥',
+		groups: 'vendor: dist/vendor-*.js dist/react-*.js\napp: dist/app-*.js',
+		budgets: 'total <= +5 kB\ndist/vendor-*.js <= 150 kB\ndist/vendor-*.js <= +2%',
+		'severity-rules': 'high: +4 kB for dist/vendor-*.js',
+		targets: JSON.stringify([{ name: 'core', cwd: 'packages/core', pattern: '{dist/*.js,dist/*.mjs}' }])
+	});
+
+	const file = '.compressed-size.json';
+	expect(() => parseConfig([], file)).toThrow('Invalid config in .compressed-size.json: expected an object, got an array');
+	expect(() => parseConfig({ 'order-by': 'Size:desc' }, file)).toThrow(
+		'Unknown option "order-by" in .compressed-size.json, expected one of'
+	);
+	expect(parseConfig({ 'use-check': true, 'job-summary': false, 'report-file': 'size.json' }, file)).toEqual({
+		'use-check': 'true',
+		'job-summary': 'false',
+		'report-file': 'size.json'
+	});
+	expect(() => parseConfig({ 'sort-by': 'Size:up' }, file)).toThrow(
+		'Invalid option "sort-by" in .compressed-size.json: expected one of "Filename:asc"'
+	);
+	expect(() => parseConfig({ 'minimum-change-threshold': '100' }, file)).toThrow(
+		'Invalid option "minimum-change-threshold" in .compressed-size.json: expected a whole number of bytes, got "100"'
+	);
+	expect(() => parseConfig({ 'show-total': 'yes' }, file)).toThrow('expected true or false, got "yes"');
+	expect(() => parseConfig({ compression: 'brotli level=12' }, file)).toThrow(
+		'Invalid option "compression" in .compressed-size.json: Invalid compression setting "level=12" for brotli'
+	);
+	expect(() => parseConfig({ targets: [{ name: 'core', compression: 'lzma' }] }, file)).toThrow(
+		'Invalid option "targets[0].compression" in .compressed-size.json: Invalid compression "lzma"'
+	);
+	expect(() => parseConfig({ targets: [{ name: 'core', build: 'x' }] }, file)).toThrow(
+		'Unknown option "targets[0].build" in .compressed-size.json'
+	);
+	expect(() => parseConfig({ files: { 'dist/*.js': { budget: '10 kB' } } }, file)).toThrow(
+		'Unknown option "files["dist/*.js"].budget" in .compressed-size.json, expected one of "budgets", "severity"'
+	);
+	expect(() => parseConfig({ files: { 'dist/*.js': { budgets: 10 } } }, file)).toThrow(
+		'Invalid option "files["dist/*.js"].budgets" in .compressed-size.json: expected a string or an array of strings, got 10'
+	);
+});
+
+test('loadConfig', async () => {
+	const cwd = process.cwd();
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		process.chdir(dir);
+		expect(await loadConfig()).toBe(null);
+
+		await fs.promises.writeFile('package.json', JSON.stringify({ 'compressed-size': { 'source-maps': true } }));
+		expect(await loadConfig()).toEqual({ filename: 'package.json', options: { 'source-maps': 'true' } });
+
+		await fs.promises.writeFile('package.json', JSON.stringify({ 'compressed-size': { 'source-maps': 1 } }));
+		await expect(loadConfig()).rejects.toThrow('Invalid option "source-maps" in package.json ("compressed-size")');
+
+		await fs.promises.writeFile('.compressed-size.json', '{ "compression": "brotli", // comment\n}');
+		expect(await loadConfig()).toEqual({ filename: '.compressed-size.json', options: { compression: 'brotli' } });
+
+		await fs.promises.writeFile('size.json', '{ "compression": "none" }');
+		expect(await loadConfig('size.json')).toEqual({ filename: 'size.json', options: { compression: 'none' } });
+	} finally {
+		process.chdir(cwd);
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('withConfig', () => {
+	const inputs = { compression: 'brotli', 'show-total': 'false' };
+	const input = withConfig((name) => inputs[name] || '', {
+		options: { compression: 'gzip', pattern: 'dist/*.js', 'show-total': 'true' }
+	});
+	expect(input('compression')).toBe('brotli');
+	expect(input('show-total')).toBe('false');
+	expect(input('pattern')).toBe('dist/*.js');
+	expect(input('build-script')).toBe('build');
+	expect(input('exclude')).toBe('');
+
+	expect(withConfig(() => '', null)('sort-by')).toBe('Filename:asc');
+	expect(withConfig(() => '', null)('job-summary')).toBe('true');
+	// Options only the action uses can be kept in the config too:
+	const action = withConfig(() => '', { options: { 'use-check': 'true', 'comment-key': 'modern' } });
+	expect(action('use-check')).toBe('true');
+	expect(action('comment-key')).toBe('modern');
+});
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { getEventRefs, readPostedReport, findPullRequest, isPullRequestEvent, canPostCheck } from '../src/events.js';
+import { createGitHubClient } from '../src/github.js';
+
+/** @type {http.Server} */
+let server;
+let baseUrl;
+/** @type {string[]} */
+let requests;
+/** @type {any[][]} */
+let responses;
+
+beforeAll(async () => {
+	server = http.createServer((req, res) => {
+		requests.push(req.url);
+		res.writeHead(200, { 'content-type': 'application/json; charset=utf-8' });
+		res.end(JSON.stringify(responses.shift() || []));
+	});
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+	const address = /** @type {import('net').AddressInfo} */ (server.address());
+	baseUrl = `http://127.0.0.1:${address.port}`;
+});
+
+afterAll(async () => {
+	await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+	requests = [];
+	responses = [];
+	jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+});
+
+/**
+ * @param {string} eventName
+ * @param {any} payload
+ * @returns {any}
+ */
+function createContext(eventName, payload) {
+	return { eventName, payload, sha: 'merge', repo: { owner: 'preactjs', repo: 'preact' } };
+}
+
+test('getEventRefs', () => {
+	expect(getEventRefs(createContext('push', { before: 'before', ref: 'refs/heads/main' }))).toEqual({
+		baseSha: 'before',
+		baseRef: 'refs/heads/main',
+		headSha: 'merge'
+	});
+
+	const pull_request = { number: 1, base: { ref: 'main', sha: 'base' }, head: { sha: 'head' } };
+	const expected = { baseSha: 'base', baseRef: 'main', headSha: 'head' };
+	expect(getEventRefs(createContext('pull_request', { pull_request }))).toEqual(expected);
+	expect(getEventRefs(createContext('pull_request_target', { pull_request }))).toEqual(expected);
+
+	const merge_group = { base_ref: 'refs/heads/main', base_sha: 'base', head_ref: 'gh-readonly-queue/main/pr-1', head_sha: 'group' };
+	expect(getEventRefs(createContext('merge_group', { merge_group }))).toEqual({
+		baseSha: 'base',
+		baseRef: 'refs/heads/main',
+		headSha: 'group'
+	});
+
+	expect(() => getEventRefs(createContext('release', {}))).toThrow('Unsupported eventName in github.context: release');
+});
+
+test('isPullRequestEvent and canPostCheck', () => {
+	for (const eventName of ['pull_request', 'pull_request_target']) {
+		expect(isPullRequestEvent(eventName)).toBe(true);
+		expect(canPostCheck(eventName)).toBe(true);
+	}
+	// Merge queue runs get a check, but have no PR to comment on:
+	expect(isPullRequestEvent('merge_group')).toBe(false);
+	expect(canPostCheck('merge_group')).toBe(true);
+	expect(isPullRequestEvent('push')).toBe(false);
+	expect(canPostCheck('push')).toBe(false);
+});
+
+test('readPostedReport', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	const filename = path.join(dir, 'size-report.json');
+	try {
+		const report = {
+			head: { sha: 'head' },
+			total: { size: 100, delta: 10 },
+			changedFiles: ['index.js'],
+			budgetViolations: [],
+			markdown: 'Size Change'
+		};
+		await fs.promises.writeFile(filename, JSON.stringify(report));
+		expect(await readPostedReport(filename, 'head')).toEqual(report);
+		await expect(readPostedReport(filename, 'other')).rejects.toThrow(
+			`The report in ${filename} is for head, not for the workflow run's commit other`
+		);
+
+		await fs.promises.writeFile(filename, JSON.stringify({ head: { sha: 'head' } }));
+		await expect(readPostedReport(filename, 'head')).rejects.toThrow('Invalid report file');
+
+		// Reports of older versions or partial runs lack what the privileged run posts:
+		const { budgetViolations, ...withoutViolations } = report;
+		await fs.promises.writeFile(filename, JSON.stringify(withoutViolations));
+		await expect(readPostedReport(filename, 'head')).rejects.toThrow('Invalid report file');
+		await fs.promises.writeFile(filename, JSON.stringify({ ...report, changedFiles: 'index.js' }));
+		await expect(readPostedReport(filename, 'head')).rejects.toThrow('Invalid report file');
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('findPullRequest', async () => {
+	const octokit = createGitHubClient('token', { baseUrl });
+	const workflow_run = {
+		head_sha: 'head',
+		head_branch: 'feature',
+		head_repository: { owner: { login: 'fork' } },
+		pull_requests: [
+			{ number: 1, head: { sha: 'old' } },
+			{ number: 2, head: { sha: 'head' } }
+		]
+	};
+	// PRs from the same repository are listed in the payload:
+	expect(await findPullRequest(octokit, createContext('workflow_run', { workflow_run }))).toBe(2);
+	expect(requests).toEqual([]);
+
+	// PRs from forks aren't, so they're looked up by the fork's branch:
+	const fork = { ...workflow_run, pull_requests: [] };
+	responses.push([
+		{ number: 3, head: { sha: 'old' } },
+		{ number: 4, head: { sha: 'head' } }
+	]);
+	expect(await findPullRequest(octokit, createContext('workflow_run', { workflow_run: fork }))).toBe(4);
+	expect(requests).toEqual(['/repos/preactjs/preact/pulls?state=open&head=fork%3Afeature&per_page=100']);
+
+	responses.push([]);
+	expect(await findPullRequest(octokit, createContext('workflow_run', { workflow_run: fork }))).toBe(null);
+});
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { Writable } from 'stream';
+import {
+	gitOutput,
+	getRepoRoot,
+	getHeadSha,
+	fetchBase,
+	checkoutBase,
+	resetHard,
+	addWorktree,
+	removeWorktree,
+	resolveTagPattern,
+	getChangedFiles,
+	withWorktree
+} from '../src/git.js';
+import { installAndBuild } from '../src/build.js';
+import { createTarget } from '../src/targets.js';
+
+const env = {
+	...process.env,
+	GIT_AUTHOR_NAME: 'test',
+	GIT_AUTHOR_EMAIL: 'test@example.com',
+	GIT_COMMITTER_NAME: 'test',
+	GIT_COMMITTER_EMAIL: 'test@example.com'
+};
+
+/**
+ * @param {string} command
+ * @param {string} cwd
+ */
+function sh(command, cwd) {
+	return execSync(command, { cwd, env, stdio: 'pipe' }).toString().trim();
+}
+
+// Counts the open groups, which should all be ended, whether commands fail or not:
+const logger = {
+	groups: 0,
+	log() {},
+	startGroup() {
+		this.groups++;
+	},
+	endGroup() {
+		this.groups--;
+	},
+	outStream: new Writable({ write: (chunk, encoding, callback) => callback() })
+};
+
+let tmp, origin, clone, baseSha;
+
+beforeAll(() => {
+	tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'compressed-size-git-')));
+	origin = path.join(tmp, 'origin');
+	clone = path.join(tmp, 'clone');
+
+	fs.mkdirSync(origin);
+	sh('git init -q -b main', origin);
+	fs.writeFileSync(path.join(origin, 'file.txt'), 'base');
+	sh('git add -A && git commit -q -m base', origin);
+	baseSha = sh('git rev-parse HEAD', origin);
+
+	sh(`git clone -q ${origin} ${clone}`, tmp);
+	sh('git checkout -q -b feature', clone);
+	fs.writeFileSync(path.join(clone, 'file.txt'), 'feature');
+	sh('git commit -q -am feature', clone);
+
+	// a commit on main that the clone doesn't have yet:
+	fs.writeFileSync(path.join(origin, 'file.txt'), 'main');
+	sh('git commit -q -am main', origin);
+});
+
+afterAll(() => {
+	fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('gitOutput', async () => {
+	expect(await getRepoRoot(path.join(clone))).toBe(clone);
+	expect(await getHeadSha(clone)).toBe(sh('git rev-parse HEAD', clone));
+	expect(await gitOutput(['rev-parse', '--abbrev-ref', 'HEAD'], clone)).toBe('feature');
+});
+
+test('fetchBase', async () => {
+	await fetchBase({ baseRef: 'main', baseSha }, { cwd: clone, logger });
+	expect(sh('git show main:file.txt', clone)).toBe('main');
+
+	// falls back to the base commit when the ref can't be fetched:
+	await fetchBase({ baseRef: 'missing', baseSha }, { cwd: clone, logger });
+	await expect(fetchBase({ baseRef: 'missing', baseSha: null }, { cwd: clone, logger })).rejects.toThrow(
+		'base.ref fetch failed and no base.sha as fallback'
+	);
+});
+
+test('checkoutBase', async () => {
+	const headSha = sh('git rev-parse HEAD', clone);
+	try {
+		await checkoutBase({ baseRef: 'missing', baseSha }, { cwd: clone, logger });
+		expect(fs.readFileSync(path.join(clone, 'file.txt'), 'utf-8')).toBe('base');
+
+		await checkoutBase({ baseRef: 'main', baseSha }, { cwd: clone, logger });
+		expect(fs.readFileSync(path.join(clone, 'file.txt'), 'utf-8')).toBe('main');
+	} finally {
+		await resetHard(headSha, { cwd: clone, logger });
+	}
+	expect(fs.readFileSync(path.join(clone, 'file.txt'), 'utf-8')).toBe('feature');
+});
+
+test('addWorktree', async () => {
+	const worktree = await addWorktree({ baseRef: 'main', baseSha }, { cwd: clone, logger });
+	expect(fs.readFileSync(path.join(worktree, 'file.txt'), 'utf-8')).toBe('main');
+	expect(fs.readFileSync(path.join(clone, 'file.txt'), 'utf-8')).toBe('feature');
+
+	await removeWorktree(worktree, { cwd: clone, logger });
+	expect(fs.existsSync(worktree)).toBe(false);
+});
+
+test('getChangedFiles', async () => {
+	expect(await getChangedFiles({ baseRef: null, baseSha }, clone)).toEqual(['file.txt']);
+	// falls back to the base ref when the base commit doesn't exist:
+	expect(await getChangedFiles({ baseRef: 'feature', baseSha: '0'.repeat(40) }, clone)).toEqual([]);
+	await expect(getChangedFiles({ baseRef: null, baseSha: null }, clone)).rejects.toThrow('missing base ref');
+});
+
+test('resolveTagPattern', async () => {
+	sh(`git tag v1.2.0 ${baseSha} && git tag v1.10.0 ${baseSha} && git tag v2.0.0-beta ${baseSha}`, origin);
+	try {
+		expect(await resolveTagPattern('main', { cwd: clone, logger })).toBe('main');
+		await expect(resolveTagPattern('v1.*', { cwd: clone, logger })).rejects.toThrow('No tag matches "v1.*"');
+		// Tags are compared as versions, not as strings:
+		expect(await resolveTagPattern('v1.*', { cwd: clone, logger, fetch: true })).toBe('v1.10.0');
+	} finally {
+		sh('git tag -d v1.2.0 v1.10.0 v2.0.0-beta', origin);
+	}
+});
+
+test('building the base in a worktree', async () => {
+	const repo = path.join(tmp, 'build');
+	fs.mkdirSync(repo);
+	sh('git init -q -b main', repo);
+	fs.writeFileSync(
+		path.join(repo, 'package.json'),
+		JSON.stringify({ name: 'build', private: true, scripts: { build: 'node build.js' } })
+	);
+	const build = (text) =>
+		`require('fs').mkdirSync('dist', { recursive: true }); require('fs').writeFileSync('dist/index.js', ${text});`;
+	fs.writeFileSync(path.join(repo, 'build.js'), build(`'base'`));
+	sh('git add -A && git commit -q -m base', repo);
+	sh('git checkout -q -b broken', repo);
+	fs.writeFileSync(path.join(repo, 'build.js'), `throw Error('broken build');`);
+	sh('git commit -q -am broken', repo);
+	sh('git checkout -q -b feature main', repo);
+	fs.writeFileSync(path.join(repo, 'build.js'), build(`'feature'`));
+	sh('git commit -q -am feature', repo);
+
+	const worktrees = path.join(tmp, 'worktrees');
+	fs.mkdirSync(worktrees);
+	const runnerTemp = process.env.RUNNER_TEMP;
+	process.env.RUNNER_TEMP = worktrees;
+	const git = { cwd: repo, logger };
+	/** @param {string} worktree */
+	const buildBase = (worktree) => {
+		const defaults = { cwd: worktree, pattern: 'dist/*.js', exclude: '', stripHash: '', buildScript: 'build', compression: 'gzip' };
+		const options = { installScript: 'node --version', dependencyChanges: false };
+		return installAndBuild(worktree, [createTarget({}, defaults)], '[base]', options, logger);
+	};
+	try {
+		const output = await withWorktree({ baseRef: 'main', baseSha: null }, git, async (worktree) => {
+			expect(await buildBase(worktree)).toEqual({ packageManager: 'npm', lockfiles: {} });
+			return fs.readFileSync(path.join(worktree, 'dist/index.js'), 'utf-8');
+		});
+		expect(output).toBe('base');
+		// The working copy is left alone:
+		expect(fs.existsSync(path.join(repo, 'dist'))).toBe(false);
+		expect(fs.readdirSync(worktrees)).toEqual([]);
+
+		// The worktree is removed when the build fails too:
+		await expect(withWorktree({ baseRef: 'broken', baseSha: null }, git, buildBase)).rejects.toThrow(
+			'failed with exit code 1'
+		);
+		expect(fs.readdirSync(worktrees)).toEqual([]);
+		expect(sh('git worktree list --porcelain', repo).match(/^worktree /gm)).toHaveLength(1);
+		expect(logger.groups).toBe(0);
+	} finally {
+		if (runnerTemp === undefined) delete process.env.RUNNER_TEMP;
+		else process.env.RUNNER_TEMP = runnerTemp;
+	}
+});
@@ -0,0 +1,126 @@
+import http from 'http';
+import { createGitHubClient, GitHubError } from '../src/github.js';
+
+/** @type {http.Server} */
+let server;
+let baseUrl;
+/** @type {{ method: string, url: string }[]} */
+let requests;
+/** @type {((req: http.IncomingMessage, res: http.ServerResponse) => void)[]} */
+let responses;
+
+/**
+ * @param {number} status
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ */
+const respond = (status, body, headers = {}) => (req, res) => {
+	res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+	res.end(JSON.stringify(body));
+};
+
+beforeAll(async () => {
+	server = http.createServer((req, res) => {
+		requests.push({ method: req.method, url: req.url });
+		const handler = responses.shift();
+		if (handler) handler(req, res);
+		else respond(500, { message: 'Unexpected request' })(req, res);
+	});
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+	const address = /** @type {import('net').AddressInfo} */ (server.address());
+	baseUrl = `http://127.0.0.1:${address.port}`;
+});
+
+afterAll(async () => {
+	await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+	requests = [];
+	responses = [];
+});
+
+function createClient() {
+	const log = jest.fn();
+	const sleep = jest.fn(() => Promise.resolve());
+	const octokit = createGitHubClient('token', { baseUrl, retryDelay: 100, rateLimitDelay: 1000, log, sleep });
+	return { octokit, log, sleep };
+}
+
+const commentInfo = { owner: 'preactjs', repo: 'preact', issue_number: 1 };
+
+test('paginates lists', async () => {
+	const { octokit } = createClient();
+	responses.push(
+		respond(200, [{ id: 1 }, { id: 2 }], {
+			link: `<${baseUrl}/repositories/1/issues/1/comments?per_page=2&page=2>; rel="next"`
+		}),
+		respond(200, [{ id: 3 }])
+	);
+	const comments = await octokit.paginate(octokit.issues.listComments, { ...commentInfo, per_page: 2 });
+	expect(comments.map((comment) => comment.id)).toEqual([1, 2, 3]);
+	expect(requests.map((request) => request.url)).toEqual([
+		'/repos/preactjs/preact/issues/1/comments?per_page=2',
+		'/repositories/1/issues/1/comments?per_page=2&page=2'
+	]);
+});
+
+test('retries server errors with backoff', async () => {
+	const { octokit, log, sleep } = createClient();
+	responses.push(respond(502, { message: 'Bad Gateway' }), respond(503, { message: 'Unavailable' }), respond(201, { id: 7 }));
+	const { data } = await octokit.issues.createComment({ ...commentInfo, body: 'hi' });
+	expect(data).toEqual({ id: 7 });
+	expect(requests).toHaveLength(3);
+	expect(sleep.mock.calls).toEqual([[100], [200]]);
+	expect(log).toHaveBeenCalledWith(
+		'POST /repos/{owner}/{repo}/issues/{issue_number}/comments failed (502), retrying in 1s (1/3)'
+	);
+});
+
+test('waits out secondary rate limits', async () => {
+	const { octokit, sleep } = createClient();
+	responses.push(
+		respond(403, { message: 'You have exceeded a secondary rate limit.' }, { 'retry-after': '30' }),
+		respond(403, { message: 'You have exceeded a secondary rate limit. Please wait a few minutes.' }),
+		respond(200, { id: 7 })
+	);
+	await octokit.issues.updateComment({ owner: 'preactjs', repo: 'preact', comment_id: 7, body: 'hi' });
+	expect(sleep.mock.calls).toEqual([[30000], [2000]]);
+});
+
+test('throws a GitHubError when retrying is pointless or gives up', async () => {
+	const { octokit, sleep } = createClient();
+
+	responses.push(respond(403, { message: 'Resource not accessible by integration' }));
+	const forbidden = await octokit.issues.createComment({ ...commentInfo, body: 'hi' }).catch((e) => e);
+	expect(forbidden).toBeInstanceOf(GitHubError);
+	expect(forbidden).toMatchObject({ kind: 'forbidden', status: 403, attempts: 1 });
+	expect(forbidden.message).toBe(
+		'POST /repos/{owner}/{repo}/issues/{issue_number}/comments failed with 403: Resource not accessible by integration. ' +
+			'The token may not have the permissions this needs, as with PRs from forks.'
+	);
+
+	responses.push(respond(404, { message: 'Not Found' }));
+	await expect(octokit.git.getRef({ owner: 'preactjs', repo: 'preact', ref: 'heads/x' })).rejects.toMatchObject({
+		kind: 'not-found',
+		status: 404
+	});
+
+	responses.push(
+		respond(403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000000' })
+	);
+	await expect(octokit.issues.listComments(commentInfo)).rejects.toThrow(
+		'GET /repos/{owner}/{repo}/issues/{issue_number}/comments failed with 403: API rate limit exceeded. ' +
+			'The rate limit resets at 2023-11-14T22:13:20.000Z.'
+	);
+	expect(sleep).not.toHaveBeenCalled();
+
+	for (let i = 0; i < 4; i++) responses.push(respond(500, { message: 'Server Error' }));
+	await expect(octokit.issues.listComments(commentInfo)).rejects.toMatchObject({
+		kind: 'server',
+		status: 500,
+		attempts: 4,
+		message: 'GET /repos/{owner}/{repo}/issues/{issue_number}/comments failed with 500: Server Error (after 4 attempts)'
+	});
+	expect(sleep.mock.calls).toEqual([[100], [200], [400]]);
+});
@@ -0,0 +1,34 @@
+import { parseGroups, groupFiles } from '../src/groups.js';
+
+test('parseGroups', () => {
+	expect(
+		parseGroups(`
+			vendor: dist/vendor-*.js dist/react-*.js
+			admin route: dist/admin/**
+		`)
+	).toEqual([
+		{ name: 'vendor', patterns: ['dist/vendor-*.js', 'dist/react-*.js'] },
+		{ name: 'admin route', patterns: ['dist/admin/**'] }
+	]);
+	expect(() => parseGroups('vendor dist/vendor-*.js')).toThrow('Invalid group');
+	expect(() => parseGroups('vendor:')).toThrow('Invalid group');
+});
+
+test('groupFiles', () => {
+	const files = [
+		{ filename: 'dist/vendor-a.js', size: 100, delta: 0 },
+		{ filename: 'dist/admin/index.js', size: 200, delta: 10 },
+		{ filename: 'dist/index.js', size: 300, delta: 0 }
+	];
+	const groups = groupFiles(files, parseGroups('vendor: dist/vendor-*.js\nadmin: dist/admin/**\nempty: lib/*.js'));
+
+	expect(groups.map(({ name, files }) => [name, files.map((file) => file.filename)])).toEqual([
+		['vendor', ['dist/vendor-a.js']],
+		['admin', ['dist/admin/index.js']],
+		['empty', []],
+		['other', ['dist/index.js']]
+	]);
+	expect(groups[0].files[0]).toBe(files[0]);
+	expect(files[0]).toEqual({ filename: 'dist/vendor-a.js', size: 100, delta: 0 });
+	expect(groupFiles(files.slice(0, 1), parseGroups('vendor: dist/vendor-*.js'))).toHaveLength(1);
+});
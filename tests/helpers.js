@@ -0,0 +1,17 @@
+import { createTarget } from '../src/targets.js';
+
+/**
+ * Create a target for tests, measured in "/repo" with the action's default options
+ * @param {Record<string, string>} [options] Named like the options of a target in `targets`
+ * @returns {import('../src/targets.js').Target}
+ */
+export function createTestTarget(options = {}) {
+	return createTarget(options, {
+		cwd: '/repo',
+		pattern: '**/dist/**/*.js',
+		exclude: '',
+		stripHash: '',
+		buildScript: 'build',
+		compression: 'gzip'
+	});
+}
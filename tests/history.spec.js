@@ -0,0 +1,92 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createReport } from '../src/report.js';
+import {
+	createHistoryStore,
+	createHistoryEntry,
+	parseHistory,
+	sparkline,
+	historyMarkdown
+} from '../src/history.js';
+import { createTestTarget } from './helpers.js';
+
+/**
+ * @param {import('../src/utils.js').Diff[]} files
+ */
+function createSingleReport(files) {
+	return createReport({
+		targets: [
+			{
+				target: createTestTarget(),
+				files,
+				budgetViolations: []
+			}
+		],
+		base: { ref: 'main', sha: null },
+		head: { sha: null },
+		minimumChangeThreshold: 1,
+		markdown: ''
+	});
+}
+
+test('local history store', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		const store = createHistoryStore(`local:${dir}/history/sizes.ndjson`);
+		const first = { sha: 'aaa', date: '2024-01-01T00:00:00Z', total: 100, files: { 'a.js': 100 } };
+		const second = { sha: 'bbb', date: '2024-01-02T00:00:00Z', total: 150, files: { 'a.js': 150 } };
+
+		expect(await store.load()).toEqual([]);
+		await store.append(first);
+		await store.append(second);
+		expect(await store.load()).toEqual([first, second]);
+
+		const text = await fs.promises.readFile(`${dir}/history/sizes.ndjson`, 'utf-8');
+		expect(text.split('\n')).toHaveLength(3);
+		expect(parseHistory(text)).toEqual([first, second]);
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('createHistoryStore', () => {
+	expect(() => createHistoryStore('s3:bucket')).toThrow('Unknown history store "s3"');
+	expect(() => createHistoryStore('branch:size-history')).toThrow('needs a GitHub token');
+});
+
+test('createHistoryEntry', () => {
+	const report = createSingleReport([
+		{ filename: 'one.js', size: 5000, delta: 2500 },
+		{ filename: 'removed.js', size: 0, delta: -300 }
+	]);
+	expect(createHistoryEntry(report, { sha: 'abc', date: '2024-01-01T00:00:00Z' })).toEqual({
+		sha: 'abc',
+		date: '2024-01-01T00:00:00Z',
+		total: 5000,
+		files: { 'one.js': 5000 }
+	});
+});
+
+test('sparkline', () => {
+	expect(sparkline([1, 2, 3, 4, 5, 6, 7, 8])).toBe('▁▂▃▄▅▆▇█');
+	expect(sparkline([10, 0, 10])).toBe('█▁█');
+	expect(sparkline([5, 5])).toBe('▁▁');
+});
+
+test('historyMarkdown', () => {
+	const entries = [
+		{ sha: '1111111aaa', date: '', total: 5000, files: { 'one.js': 4000, 'two.js': 1000 } },
+		{ sha: '2222222bbb', date: '', total: 3000, files: { 'one.js': 2000, 'two.js': 1000 } },
+		{ sha: '3333333ccc', date: '', total: 2000, files: { 'one.js': 1000, 'two.js': 1000 } }
+	];
+	const report = createSingleReport([
+		{ filename: 'one.js', size: 3000, delta: 2000 },
+		{ filename: 'two.js', size: 1000, delta: 0 },
+		{ filename: 'three.js', size: 500, delta: 500 }
+	]);
+
+	expect(historyMarkdown([], report)).toBe('');
+	expect(historyMarkdown(entries, report)).toMatchSnapshot();
+	expect(historyMarkdown(entries, report, { limit: 1, files: 1 })).toMatchSnapshot();
+});
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseLockfile, readLockfiles, diffDependencies, dependencyChangesMarkdown } from '../src/lockfiles.js';
+
+test('parseLockfile package-lock.json', () => {
+	const v3 = {
+		lockfileVersion: 3,
+		packages: {
+			'': { name: 'app', version: '1.0.0' },
+			'node_modules/preact': { version: '10.19.0' },
+			'node_modules/@babel/core': { version: '7.24.0' },
+			'node_modules/@babel/core/node_modules/semver': { version: '6.3.1' },
+			'node_modules/semver': { version: '7.6.0' },
+			'node_modules/ui': { resolved: 'packages/ui', link: true },
+			'packages/ui': { version: '0.1.0' }
+		}
+	};
+	expect(parseLockfile('package-lock.json', JSON.stringify(v3))).toEqual({
+		preact: ['10.19.0'],
+		'@babel/core': ['7.24.0'],
+		semver: ['6.3.1', '7.6.0']
+	});
+
+	const v1 = {
+		lockfileVersion: 1,
+		dependencies: {
+			preact: { version: '10.19.0' },
+			'@babel/core': { version: '7.24.0', dependencies: { semver: { version: '6.3.1' } } }
+		}
+	};
+	expect(parseLockfile('package-lock.json', JSON.stringify(v1))).toEqual({
+		preact: ['10.19.0'],
+		'@babel/core': ['7.24.0'],
+		semver: ['6.3.1']
+	});
+});
+
+test('parseLockfile yarn.lock', () => {
+	const v1 = `# yarn lockfile v1
+
+"@babel/core@^7.0.0", "@babel/core@^7.24.0":
+  version "7.24.0"
+  dependencies:
+    semver "^6.3.1"
+
+preact@^10.19.0:
+  version "10.19.0"
+`;
+	expect(parseLockfile('yarn.lock', v1)).toEqual({ '@babel/core': ['7.24.0'], preact: ['10.19.0'] });
+
+	const berry = `__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"@babel/core@npm:^7.24.0":
+  version: 7.24.0
+  resolution: "@babel/core@npm:7.24.0"
+
+"app@workspace:.":
+  version: 0.0.0-use.local
+`;
+	expect(parseLockfile('yarn.lock', berry)).toEqual({ '@babel/core': ['7.24.0'] });
+});
+
+test('parseLockfile pnpm-lock.yaml', () => {
+	const v5 = `lockfileVersion: 5.4
+
+packages:
+
+  /@babel/core/7.24.0:
+    resolution: {integrity: sha512-x}
+
+  /react-dom/18.2.0_react@18.2.0:
+    resolution: {integrity: sha512-y}
+`;
+	expect(parseLockfile('pnpm-lock.yaml', v5)).toEqual({ '@babel/core': ['7.24.0'], 'react-dom': ['18.2.0'] });
+
+	const v9 = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      preact:
+        specifier: ^10.19.0
+        version: 10.19.0
+
+packages:
+
+  '@babel/core@7.24.0':
+    resolution: {integrity: sha512-x}
+
+  preact@10.19.0:
+    resolution: {integrity: sha512-z}
+
+snapshots:
+
+  react-dom@18.2.0(react@18.2.0):
+    dependencies:
+      react: 18.2.0
+`;
+	expect(parseLockfile('pnpm-lock.yaml', v9)).toEqual({ '@babel/core': ['7.24.0'], preact: ['10.19.0'] });
+});
+
+test('parseLockfile bun.lock and deno.lock', () => {
+	const bun = `{
+  "lockfileVersion": 1,
+  "packages": {
+    "@babel/core": ["@babel/core@7.24.0", "", {}, "sha512-x"],
+    "preact": ["preact@10.19.0", "", {}, "sha512-z"],
+    "ui": ["ui@workspace:packages/ui"],
+  },
+}`;
+	expect(parseLockfile('bun.lock', bun)).toEqual({ '@babel/core': ['7.24.0'], preact: ['10.19.0'] });
+	expect(parseLockfile('bun.lockb', '\u0000')).toBe(null);
+
+	const deno = {
+		version: '4',
+		jsr: { '@std/path@1.0.8': {} },
+		npm: { 'preact@10.19.0': {}, '@types/react-dom@18.2.0_@types+react@18.2.0': {} }
+	};
+	expect(parseLockfile('deno.lock', JSON.stringify(deno))).toEqual({
+		preact: ['10.19.0'],
+		'@types/react-dom': ['18.2.0'],
+		'jsr:@std/path': ['1.0.8']
+	});
+	const denoV3 = { version: '3', packages: { npm: { 'preact@10.18.0': {} } } };
+	expect(parseLockfile('deno.lock', JSON.stringify(denoV3))).toEqual({ preact: ['10.18.0'] });
+});
+
+test('readLockfiles', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		await fs.promises.mkdir(path.join(dir, 'packages/site'), { recursive: true });
+		await fs.promises.mkdir(path.join(dir, 'packages/lib'));
+		await fs.promises.writeFile(path.join(dir, 'yarn.lock'), 'preact@^10.0.0:\n  version "10.19.0"\n');
+		await fs.promises.writeFile(path.join(dir, 'packages/site/package-lock.json'), JSON.stringify({ packages: {} }));
+
+		const targets = /** @type {any[]} */ ([{ cwd: path.join(dir, 'packages/site') }, { cwd: path.join(dir, 'packages/lib') }]);
+		expect(await readLockfiles(dir, targets)).toEqual({
+			'': { preact: ['10.19.0'] },
+			[path.join('packages', 'site')]: {}
+		});
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('diffDependencies', () => {
+	const before = { preact: ['10.18.0'], 'left-pad': ['1.3.0'], semver: ['6.3.1', '7.5.0'], tslib: ['2.6.0'], d3: ['7.8.5'] };
+	const after = { preact: ['10.19.0'], semver: ['7.6.0', '6.3.1'], tslib: ['2.5.0'], d3: ['7.8.5'], clsx: ['2.1.0'] };
+	expect(diffDependencies(before, after)).toEqual([
+		{ name: 'clsx', change: 'added', before: [], after: ['2.1.0'] },
+		{ name: 'left-pad', change: 'removed', before: ['1.3.0'], after: [] },
+		{ name: 'preact', change: 'upgraded', before: ['10.18.0'], after: ['10.19.0'] },
+		{ name: 'semver', change: 'changed', before: ['6.3.1', '7.5.0'], after: ['6.3.1', '7.6.0'] },
+		{ name: 'tslib', change: 'downgraded', before: ['2.6.0'], after: ['2.5.0'] }
+	]);
+	expect(diffDependencies({ a: ['1.0.0'] }, { a: ['1.0.0'] })).toEqual([]);
+});
+
+test('dependencyChangesMarkdown', () => {
+	expect(dependencyChangesMarkdown([])).toBe('');
+	expect(
+		dependencyChangesMarkdown([
+			{ name: 'clsx', change: 'added', before: [], after: ['2.1.0'] },
+			{ name: 'preact', change: 'upgraded', before: ['10.18.0'], after: ['10.19.0'] },
+			{ name: 'semver', change: 'changed', before: ['6.3.1', '7.5.0'], after: ['6.3.1', '7.6.0'] }
+		])
+	).toMatchSnapshot();
+
+	// Every column is kept when only packages were removed:
+	const removed = dependencyChangesMarkdown([{ name: 'clsx', change: 'removed', before: ['2.1.0'], after: [] }]);
+	expect(removed).toContain('| Package | Change | Before | After |');
+	expect(removed).toContain('| `clsx` | removed | 2.1.0 |  |');
+});
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	detectManifestFormat,
+	parseViteManifest,
+	parseWebpackStats,
+	parseEsbuildMetafile,
+	readManifest,
+	manifestFiles,
+	addKinds,
+	entryDeltas,
+	entriesMarkdown
+} from '../src/manifests.js';
+import { diffTable } from '../src/utils.js';
+
+const viteManifest = {
+	'index.html': {
+		file: 'assets/index-a1b2.js',
+		src: 'index.html',
+		isEntry: true,
+		imports: ['_shared-c3d4.js'],
+		dynamicImports: ['src/admin.ts'],
+		css: ['assets/index-e5f6.css']
+	},
+	'_shared-c3d4.js': { file: 'assets/shared-c3d4.js' },
+	'src/admin.ts': {
+		file: 'assets/admin-g7h8.js',
+		src: 'src/admin.ts',
+		isDynamicEntry: true,
+		imports: ['_shared-c3d4.js'],
+		assets: ['assets/logo-i9j0.woff2']
+	}
+};
+
+const webpackStats = {
+	assets: [{ name: 'runtime.js' }, { name: 'main.js' }, { name: '12.js' }, { name: 'main.css' }, { name: 'robots.txt' }],
+	chunks: [
+		{ id: 'runtime', files: ['runtime.js'], initial: true },
+		{ id: 'main', files: ['main.js', 'main.css'], initial: true },
+		{ id: 12, files: ['12.js'], initial: false }
+	],
+	entrypoints: { main: { assets: [{ name: 'runtime.js' }, { name: 'main.js' }, { name: 'main.css' }] } }
+};
+
+const esbuildMetafile = {
+	inputs: {},
+	outputs: {
+		'dist/index.js': {
+			entryPoint: 'src/index.ts',
+			imports: [
+				{ path: 'dist/chunk-ABC.js', kind: 'import-statement' },
+				{ path: 'dist/lazy.js', kind: 'dynamic-import' }
+			],
+			cssBundle: 'dist/index.css'
+		},
+		'dist/lazy.js': { entryPoint: 'src/lazy.ts', imports: [{ path: 'dist/chunk-ABC.js', kind: 'import-statement' }] },
+		'dist/chunk-ABC.js': { imports: [] },
+		'dist/index.css': { imports: [] },
+		'dist/index.js.map': { imports: [] }
+	}
+};
+
+test('detectManifestFormat', () => {
+	expect(detectManifestFormat(viteManifest)).toBe('vite');
+	expect(detectManifestFormat(webpackStats)).toBe('webpack');
+	expect(detectManifestFormat(esbuildMetafile)).toBe('esbuild');
+});
+
+test('parseViteManifest', () => {
+	expect(parseViteManifest(viteManifest, 'dist')).toEqual({
+		files: {
+			'dist/assets/index-a1b2.js': 'entry',
+			'dist/assets/index-e5f6.css': 'asset',
+			'dist/assets/shared-c3d4.js': 'entry',
+			'dist/assets/admin-g7h8.js': 'dynamic',
+			'dist/assets/logo-i9j0.woff2': 'asset'
+		},
+		entries: { 'index.html': ['dist/assets/index-a1b2.js', 'dist/assets/shared-c3d4.js'] }
+	});
+});
+
+test('parseWebpackStats', () => {
+	expect(parseWebpackStats(webpackStats, 'build')).toEqual({
+		files: {
+			'build/runtime.js': 'entry',
+			'build/main.js': 'entry',
+			'build/main.css': 'asset',
+			'build/12.js': 'dynamic',
+			'build/robots.txt': 'asset'
+		},
+		entries: { main: ['build/runtime.js', 'build/main.js'] }
+	});
+});
+
+test('parseEsbuildMetafile', () => {
+	expect(parseEsbuildMetafile(esbuildMetafile, '.')).toEqual({
+		files: {
+			'dist/index.js': 'entry',
+			'dist/index.css': 'asset',
+			'dist/lazy.js': 'dynamic',
+			'dist/chunk-ABC.js': 'entry',
+			'dist/index.js.map': 'asset'
+		},
+		entries: { 'src/index.ts': ['dist/index.js', 'dist/chunk-ABC.js'] }
+	});
+});
+
+test('readManifest', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		await fs.promises.mkdir(path.join(dir, 'dist/.vite'), { recursive: true });
+		await fs.promises.mkdir(path.join(dir, 'dist/assets'));
+		await fs.promises.writeFile(path.join(dir, 'dist/.vite/manifest.json'), JSON.stringify(viteManifest));
+		await fs.promises.writeFile(path.join(dir, 'dist/assets/index-a1b2.js'), 'index');
+		await fs.promises.writeFile(path.join(dir, 'dist/assets/index-e5f6.css'), 'css');
+
+		const target = /** @type {any} */ ({ cwd: dir, exclude: '**/*.css', manifest: 'dist/.vite/manifest.json' });
+		const manifest = await readManifest(target);
+		expect(manifest.files['dist/assets/index-a1b2.js']).toBe('entry');
+		// Only files that exist and aren't excluded are measured:
+		expect(await manifestFiles(manifest, target)).toEqual(['dist/assets/index-a1b2.js']);
+
+		expect(await readManifest({ ...target, manifest: 'webpack:dist/.vite/manifest.json' })).toEqual({
+			files: {},
+			entries: {}
+		});
+		expect(await readManifest({ ...target, manifest: 'dist/missing.json' })).toBe(null);
+		await expect(readManifest({ ...target, manifest: 'rollup:dist/.vite/manifest.json' })).rejects.toThrow(
+			'Unknown manifest format "rollup"'
+		);
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('addKinds and entryDeltas', () => {
+	const before = parseViteManifest(
+		{ 'index.html': { file: 'assets/index-0000.js', isEntry: true, imports: [] }, 'old.ts': { file: 'assets/old-1111.js' } },
+		'dist'
+	);
+	const after = parseViteManifest(viteManifest, 'dist');
+	const stripHash = (filename) => filename.replace(/-[a-z0-9]{4}\./, '.');
+
+	const files = [
+		{ filename: 'dist/assets/index.js', size: 1000, delta: 100 },
+		{ filename: 'dist/assets/shared.js', size: 500, delta: 500 },
+		{ filename: 'dist/assets/old.js', size: 0, delta: -200 },
+		{ filename: 'dist/other.txt', size: 10, delta: 0 }
+	];
+	expect(addKinds(files, before, after, stripHash).map((file) => file.kind)).toEqual([
+		'entry',
+		'entry',
+		'dynamic',
+		undefined
+	]);
+
+	const beforeSizes = { 'dist/assets/index.js': 900, 'dist/assets/old.js': 200 };
+	const afterSizes = { 'dist/assets/index.js': 1000, 'dist/assets/shared.js': 500 };
+	expect(entryDeltas(before, after, beforeSizes, afterSizes, stripHash)).toEqual([
+		{ name: 'index.html', size: 1500, delta: 600 }
+	]);
+	expect(entryDeltas(null, after, {}, afterSizes, stripHash)).toEqual([{ name: 'index.html', size: 1500, delta: 1500 }]);
+});
+
+test('entriesMarkdown', () => {
+	expect(entriesMarkdown([])).toBe('');
+	expect(
+		entriesMarkdown([
+			{ name: 'index.html', size: 1500, delta: 600 },
+			{ name: 'admin.html', size: 3000, delta: 0 }
+		])
+	).toMatchSnapshot();
+});
+
+test('diffTable with file types', () => {
+	const files = [
+		{ filename: 'dist/index.js', size: 1500, delta: 600, kind: /** @type {const} */ ('entry') },
+		{ filename: 'dist/logo.woff2', size: 3000, delta: 100, kind: /** @type {const} */ ('asset') }
+	];
+	expect(
+		diffTable(files, {
+			showTotal: false,
+			collapseUnchanged: true,
+			omitUnchanged: false,
+			minimumChangeThreshold: 1,
+			sortBy: 'Filename:asc'
+		})
+	).toMatchSnapshot();
+});
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createWorkerPool, createSizeCache, measureTarget } from '../src/measure.js';
+
+const code = 'export function hello() { return "hello world"; }\n'.repeat(20);
+
+test('createWorkerPool', async () => {
+	const pool = createWorkerPool(2);
+	try {
+		const data = Buffer.from(code);
+		expect(await pool.compress(data, 'gzip')).toBe(zlib.gzipSync(data, { level: 9 }).length);
+		expect(await pool.compress(data, 'brotli')).toBe(zlib.brotliCompressSync(data).length);
+		expect(await pool.compress(data, 'none')).toBe(data.length);
+		expect(await pool.compress(data, 'gzip', { level: 1, window: 9 })).toBe(
+			zlib.gzipSync(data, { level: 1, windowBits: 9 }).length
+		);
+		const brotli = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4, [zlib.constants.BROTLI_PARAM_LGWIN]: 16 } };
+		expect(await pool.compress(data, 'brotli', { level: 4, window: 16 })).toBe(
+			zlib.brotliCompressSync(data, brotli).length
+		);
+	} finally {
+		await pool.close();
+	}
+});
+
+test('createWorkerPool when a worker crashes', async () => {
+	// Crashes the worker outside of the message handler, like running out of memory would:
+	const source = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ id, data, settings }) => {
+	if (settings.crash) setImmediate(() => { throw Error('crashed'); });
+	else parentPort.postMessage({ id, size: data.length });
+});
+`;
+	const pool = createWorkerPool(1, source);
+	try {
+		const data = Buffer.from(code);
+		const sizes = [
+			pool.compress(data, 'none', /** @type {any} */ ({ crash: true })),
+			pool.compress(data, 'none'),
+			pool.compress(data, 'none')
+		];
+		await expect(sizes[0]).rejects.toThrow('crashed');
+		// The queued tasks are picked up by a new worker:
+		expect(await Promise.all(sizes.slice(1))).toEqual([data.length, data.length]);
+	} finally {
+		await pool.close();
+	}
+});
+
+test('createWorkerPool when a worker exits', async () => {
+	// Exits without an error event, like a worker killed by the system would:
+	const source = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ id, data, settings }) => {
+	if (settings.exit) process.exit(3);
+	else parentPort.postMessage({ id, size: data.length });
+});
+`;
+	const pool = createWorkerPool(1, source);
+	try {
+		const data = Buffer.from(code);
+		const sizes = [
+			pool.compress(data, 'none', /** @type {any} */ ({ exit: true })),
+			pool.compress(data, 'none'),
+			pool.compress(data, 'none')
+		];
+		await expect(sizes[0]).rejects.toThrow('Worker stopped with exit code 3');
+		expect(await Promise.all(sizes.slice(1))).toEqual([data.length, data.length]);
+	} finally {
+		await pool.close();
+	}
+});
+
+test('measureTarget', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	const pool = createWorkerPool(2);
+	try {
+		await fs.promises.mkdir(path.join(dir, 'dist'));
+		await fs.promises.writeFile(path.join(dir, 'dist/a.abc123.js'), code);
+		await fs.promises.writeFile(path.join(dir, 'dist/b.js'), code);
+		await fs.promises.writeFile(path.join(dir, 'dist/c.js'), 'c');
+		await fs.promises.writeFile(path.join(dir, 'dist/c.js.map'), '{}');
+
+		const target = { cwd: dir, pattern: 'dist/*.js', exclude: '**/*.map', compressions: ['gzip', 'none'] };
+		const cache = createSizeCache();
+		const stripHash = (filename) => filename.replace(/\.[a-z0-9]{6}\.js$/, '.js');
+		const gzip = zlib.gzipSync(code, { level: 9 }).length;
+
+		const first = await measureTarget(/** @type {any} */ (target), { pool, cache, stripHash });
+		expect(first.sizes).toEqual([
+			{ 'dist/a.js': gzip, 'dist/b.js': gzip, 'dist/c.js': 21 },
+			{ 'dist/a.js': code.length, 'dist/b.js': code.length, 'dist/c.js': 1 }
+		]);
+		expect(Object.keys(first.sizes[0])).toEqual(['dist/a.js', 'dist/b.js', 'dist/c.js']);
+		// a.js and b.js have the same contents, but are read at the same time:
+		expect(first.stats.files).toBe(3);
+		expect(first.stats.compressed + first.stats.cached).toBe(6);
+
+		const second = await measureTarget(/** @type {any} */ (target), { pool, cache, stripHash });
+		expect(second.sizes).toEqual(first.sizes);
+		expect(second.stats).toEqual({ files: 3, compressed: 0, cached: 6 });
+	} finally {
+		await pool.close();
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('createSizeCache', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		const cache = createSizeCache(`local:${dir}/cache`);
+		expect(cache.get('gzip:abc')).toBe(undefined);
+		cache.set('gzip:abc', 100);
+		cache.set('gzip:def', 200);
+		await cache.save();
+
+		// Only the sizes used by the latest run are kept:
+		const next = createSizeCache(`${dir}/cache`);
+		expect(next.get('gzip:abc')).toBe(100);
+		await next.save();
+		expect(JSON.parse(await fs.promises.readFile(path.join(dir, 'cache/sizes.json'), 'utf-8'))).toEqual({
+			'gzip:abc': 100
+		});
+
+		expect(() => createSizeCache('s3:bucket')).toThrow('Unknown measure cache "s3"');
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
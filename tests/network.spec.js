@@ -0,0 +1,63 @@
+import {
+	parseTime,
+	parseNetworkProfiles,
+	findNetworkProfile,
+	estimateTime,
+	estimateTimeDelta,
+	formatTime,
+	formatTimeDelta
+} from '../src/network.js';
+
+test('parseTime', () => {
+	expect(parseTime('400ms')).toBe(400);
+	expect(parseTime('1.5 s')).toBe(1500);
+	expect(parseTime('10 kB')).toBe(null);
+});
+
+test('parseNetworkProfiles', () => {
+	expect(
+		parseNetworkProfiles(`
+			# comment
+			slow 3g
+			Office: 20 Mbps 40ms
+		`)
+	).toEqual([
+		{ name: 'Slow 3G', bandwidth: 400e3, rtt: 400 },
+		{ name: 'Office', bandwidth: 20e6, rtt: 40 }
+	]);
+	expect(parseNetworkProfiles('4G, Cable').map((profile) => profile.name)).toEqual(['4G', 'Cable']);
+	expect(parseNetworkProfiles('')).toEqual([]);
+	expect(() => parseNetworkProfiles('Dial-up')).toThrow('Unknown network profile "Dial-up"');
+	expect(() => parseNetworkProfiles('Office: 20 Mbit 40ms')).toThrow('Invalid network profile');
+	expect(() => parseNetworkProfiles('Office: 20 Mbps soon')).toThrow('Invalid network profile');
+});
+
+test('findNetworkProfile', () => {
+	const office = { name: 'Office', bandwidth: 20e6, rtt: 40 };
+	expect(findNetworkProfile('office', [office])).toBe(office);
+	expect(findNetworkProfile('fast 3G')).toMatchObject({ name: 'Fast 3G' });
+	expect(findNetworkProfile('Office')).toBe(undefined);
+});
+
+test('estimateTime', () => {
+	const profile = { name: 'Test', bandwidth: 8e3, rtt: 100 };
+	expect(estimateTime(0, profile)).toBe(0);
+	expect(estimateTime(1000, profile)).toBe(1100);
+	expect(estimateTimeDelta({ size: 2000, delta: 1000 }, profile)).toEqual({ time: 2100, delta: 1000 });
+	expect(estimateTimeDelta({ size: 1000, delta: 1000 }, profile)).toEqual({ time: 1100, delta: 1100 });
+	expect(estimateTimeDelta({ size: 0, delta: -1000 }, profile)).toEqual({ time: 0, delta: -1100 });
+});
+
+test('formatTime', () => {
+	expect(formatTime(42.4)).toBe('42 ms');
+	expect(formatTime(1250)).toBe('1.25 s');
+	expect(formatTime(12345)).toBe('12.3 s');
+	// Values that round up to the next unit are shown in it:
+	expect(formatTime(999.4)).toBe('999 ms');
+	expect(formatTime(999.6)).toBe('1.00 s');
+	expect(formatTime(-999.6)).toBe('-1.00 s');
+	expect(formatTime(9996)).toBe('10.0 s');
+	expect(formatTimeDelta({ time: 1250, delta: 80 })).toBe('1.25 s (+80 ms)');
+	expect(formatTimeDelta({ time: 900, delta: -1100 })).toBe('900 ms (-1.10 s)');
+	expect(formatTimeDelta({ time: 900, delta: 0.2 })).toBe('900 ms');
+});
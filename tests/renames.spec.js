@@ -0,0 +1,56 @@
+import { stringSimilarity, detectRenames } from '../src/renames.js';
+import { mergeEncodingDiffs } from '../src/utils.js';
+
+test('stringSimilarity', () => {
+	expect(stringSimilarity('chunk', 'chunk')).toBe(1);
+	expect(stringSimilarity('chunk', '')).toBe(0);
+	expect(stringSimilarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+});
+
+test('detectRenames', () => {
+	const files = [
+		{ filename: 'dist/index.js', size: 1000, delta: 10 },
+		{ filename: 'dist/pages-home.js', size: 0, delta: -2000 },
+		{ filename: 'dist/pages_home.js', size: 2100, delta: 2100 },
+		{ filename: 'dist/about.js', size: 0, delta: -500 },
+		{ filename: 'dist/settings.js', size: 9000, delta: 9000 },
+		{ filename: 'lib/pages-home.js', size: 2000, delta: 2000 }
+	];
+
+	expect(detectRenames(files)).toEqual([
+		{ filename: 'dist/index.js', size: 1000, delta: 10 },
+		{ filename: 'dist/pages_home.js', previousFilename: 'dist/pages-home.js', size: 2100, delta: 100 },
+		{ filename: 'dist/about.js', size: 0, delta: -500 },
+		{ filename: 'dist/settings.js', size: 9000, delta: 9000 },
+		{ filename: 'lib/pages-home.js', size: 2000, delta: 2000 }
+	]);
+});
+
+test('detectRenames with multiple compressions', () => {
+	const files = mergeEncodingDiffs(
+		['gzip', 'brotli'],
+		[
+			[
+				{ filename: 'chunk-a.js', size: 0, delta: -1000 },
+				{ filename: 'chunk-b.js', size: 1100, delta: 1100 }
+			],
+			[
+				{ filename: 'chunk-a.js', size: 0, delta: -900 },
+				{ filename: 'chunk-b.js', size: 950, delta: 950 }
+			]
+		]
+	);
+
+	expect(detectRenames(files)).toEqual([
+		{
+			filename: 'chunk-b.js',
+			previousFilename: 'chunk-a.js',
+			size: 1100,
+			delta: 100,
+			encodings: {
+				gzip: { size: 1100, delta: 100 },
+				brotli: { size: 950, delta: 50 }
+			}
+		}
+	]);
+});
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { diffTable } from '../src/utils.js';
+import { createRenderModel, loadRenderer, renderTemplate } from '../src/render.js';
+import { createTestTarget } from './helpers.js';
+
+/** @returns {import('../src/utils.js').Diff[]} */
+const createFiles = () => [
+	{ filename: 'one.js', size: 5000, delta: 2500 },
+	{ filename: 'two.js', size: 5000, delta: -2500 },
+	{ filename: 'three.js', size: 300, delta: 0 },
+	{ filename: 'four.js', size: 4500, delta: 9 },
+	{ filename: 'five.js', size: 6500, delta: 0 }
+];
+
+/** @type {import('../src/options.js').TableOptions} */
+const table = {
+	showTotal: true,
+	collapseUnchanged: true,
+	omitUnchanged: false,
+	sortBy: 'Filename:asc'
+};
+
+const budgetViolations = [
+	{
+		budget: { rule: '*.js <= +50%', target: '*.js', relative: true, percent: true, limit: 50 },
+		filename: 'one.js',
+		actual: '+2.5 kB (+100%)'
+	}
+];
+
+/**
+ * @param {Partial<Parameters<typeof createRenderModel>[0]>} [options]
+ */
+function createModel(options) {
+	return createRenderModel({
+		target: createTestTarget(),
+		files: createFiles(),
+		budgetViolations: [],
+		base: { ref: 'main', sha: '1234567890abcdef' },
+		head: { sha: 'fedcba0987654321' },
+		minimumChangeThreshold: 1,
+		table,
+		...options
+	});
+}
+
+test('default renderer matches diffTable', async () => {
+	const render = await loadRenderer('default');
+	const variants = [
+		{ table },
+		{ table: { ...table, showTotal: false } },
+		{ table: { ...table, collapseUnchanged: false } },
+		{ table: { ...table, omitUnchanged: true } },
+		{ table: { ...table, sortBy: /** @type {const} */ ('Change:desc') } },
+		{ table, minimumChangeThreshold: 10 },
+		{ table, budgetViolations }
+	];
+	for (const variant of variants) {
+		const expected = diffTable(createFiles(), {
+			...variant.table,
+			minimumChangeThreshold: variant.minimumChangeThreshold || 1,
+			budgetViolations: variant.budgetViolations
+		});
+		expect(await render(createModel(variant))).toBe(expected);
+	}
+});
+
+test('compact renderer', async () => {
+	const render = await loadRenderer('compact');
+	expect(await render(createModel())).toBe(
+		'**Size Change:** +9 B (+0.04%) · **Total Size:** 21.3 kB · 3 files changed'
+	);
+	expect(await render(createModel({ files: [createFiles()[0]], budgetViolations }))).toBe(
+		'**Size Change:** +2.5 kB (+100%) 🆘 · **Total Size:** 5 kB · 1 file changed · 🚫 1 size budget exceeded'
+	);
+	expect(await render(createModel({ files: [createFiles()[2]] }))).toBe(
+		'**Size Change:** 0 B · **Total Size:** 300 B · no files changed'
+	);
+});
+
+test('verbose renderer', async () => {
+	const render = await loadRenderer('verbose');
+	expect(await render(createModel({ minimumChangeThreshold: 10 }))).toMatchSnapshot();
+});
+
+test('changed files with several compressions', () => {
+	// Like in the table, a file whose brotli size changed is changed even if its gzip size didn't:
+	const model = createModel({
+		target: createTestTarget({ compression: 'gzip, brotli' }),
+		files: [
+			{
+				filename: 'one.js',
+				size: 1000,
+				delta: 0,
+				encodings: { gzip: { size: 1000, delta: 0 }, brotli: { size: 900, delta: 20 } }
+			},
+			{
+				filename: 'two.js',
+				size: 1000,
+				delta: 0,
+				encodings: { gzip: { size: 1000, delta: 0 }, brotli: { size: 900, delta: 0 } }
+			}
+		]
+	});
+	expect(model.changedFiles.map(({ filename }) => filename)).toEqual(['one.js']);
+	expect(model.unchangedFiles.map(({ filename }) => filename)).toEqual(['two.js']);
+});
+
+test('renderTemplate', () => {
+	const template = [
+		'Total: {{total.sizeText}} ({{total.deltaText}}) on {{base.ref}}',
+		'{{#each changedFiles}}',
+		'- {{@index}}: {{filename}} {{deltaText}}{{#if icon}} {{icon}}{{/if}} [{{target.name}}]',
+		'{{/each}}',
+		'{{#if budgetViolations}}Over budget!{{else}}Within budget.{{/if}}',
+		'{{#unless unchangedFiles}}Everything changed.{{/unless}}'
+	].join('\n');
+	expect(renderTemplate(template, createModel())).toMatchSnapshot();
+
+	expect(() => renderTemplate('{{#each files}}', createModel())).toThrow('Missing "{{/each}}"');
+	expect(() => renderTemplate('{{/if}}', createModel())).toThrow('Unexpected "{{/if}}"');
+	expect(() => renderTemplate('{{#with total}}{{/with}}', createModel())).toThrow('Unknown block "{{#with}}"');
+});
+
+test('loadRenderer from files', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		await fs.promises.writeFile(path.join(dir, 'size.md'), 'Size: {{total.sizeText}}\n');
+		await fs.promises.writeFile(
+			path.join(dir, 'size.js'),
+			'module.exports = (model) => `${model.changedFiles.length} changed`;'
+		);
+
+		expect(await (await loadRenderer(path.join(dir, 'size.md')))(createModel())).toBe('Size: 21.3 kB');
+
+		// Modules are loaded by their file URL. Jest can't `import()` them, so they're required like `import()` would:
+		const importModule = jest.fn(async (url) => ({ default: require(fileURLToPath(url)) }));
+		const render = await loadRenderer(path.join(dir, 'size.js'), importModule);
+		expect(importModule).toHaveBeenCalledWith(pathToFileURL(path.join(dir, 'size.js')).href);
+		expect(await render(createModel())).toBe('3 changed');
+
+		const named = async () => ({ render: (model) => model.total.sizeText });
+		expect(await (await loadRenderer(path.join(dir, 'size.js'), named))(createModel())).toBe('21.3 kB');
+		await expect(loadRenderer(path.join(dir, 'size.js'), async () => ({ default: 'size' }))).rejects.toThrow(
+			'must export a function'
+		);
+		await expect(loadRenderer('fancy')).rejects.toThrow('Unknown renderer "fancy"');
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createReport, jobSummaryMarkdown, writeJobSummary } from '../src/report.js';
+import { mergeEncodingDiffs } from '../src/utils.js';
+import { createTestTarget } from './helpers.js';
+
+test('createReport', () => {
+	const report = createReport({
+		targets: [
+			{
+				target: createTestTarget(),
+				files: [
+					{ filename: 'one.js', size: 5000, delta: 2500 },
+					{ filename: 'two.js', size: 300, delta: 0 },
+					{ filename: 'three.js', size: 4500, delta: 9 }
+				],
+				budgetViolations: [
+					{
+						budget: { rule: '*.js <= 4 kB', target: '*.js', relative: false, percent: false, limit: 4000 },
+						filename: 'one.js',
+						actual: '5 kB'
+					}
+				]
+			}
+		],
+		base: { ref: 'main', sha: 'abc' },
+		head: { sha: 'def' },
+		minimumChangeThreshold: 10,
+		markdown: '**Size Change:** +2.5 kB'
+	});
+
+	expect(report).toMatchObject({
+		base: { ref: 'main', sha: 'abc' },
+		head: { sha: 'def' },
+		settings: { compression: ['gzip'], minimumChangeThreshold: 10 },
+		total: { size: 9800, delta: 2500 },
+		changedFiles: ['one.js'],
+		budgetViolations: [{ rule: '*.js <= 4 kB', filename: 'one.js', actual: '5 kB' }],
+		markdown: '**Size Change:** +2.5 kB'
+	});
+	expect(report.files).toHaveLength(3);
+	expect(report.targets).toBe(undefined);
+});
+
+test('createReport with multiple compressions', () => {
+	const files = mergeEncodingDiffs(
+		['gzip', 'brotli'],
+		[
+			[{ filename: 'one.js', size: 5000, delta: 2500 }],
+			[{ filename: 'one.js', size: 4000, delta: 2000 }]
+		]
+	);
+	const report = createReport({
+		targets: [{ target: createTestTarget({ compression: 'gzip, brotli' }), files, budgetViolations: [] }],
+		base: { ref: 'main', sha: null },
+		head: { sha: null },
+		minimumChangeThreshold: 1,
+		markdown: ''
+	});
+
+	expect(report.total).toEqual({
+		size: 5000,
+		delta: 2500,
+		encodings: {
+			gzip: { size: 5000, delta: 2500 },
+			brotli: { size: 4000, delta: 2000 }
+		}
+	});
+});
+
+test('createReport with multiple targets', () => {
+	const report = createReport({
+		targets: [
+			{
+				target: createTestTarget({ name: 'core', cwd: 'packages/core' }),
+				files: [{ filename: 'dist/index.js', size: 5000, delta: 2500 }],
+				budgetViolations: [
+					{
+						budget: { rule: 'total <= +1 kB', target: 'total', relative: true, percent: false, limit: 1000 },
+						filename: 'total',
+						actual: '+2.5 kB (+100%)'
+					}
+				]
+			},
+			{
+				target: createTestTarget({ name: 'ui', cwd: 'packages/ui' }),
+				files: [{ filename: 'dist/index.js', size: 1000, delta: -200 }],
+				budgetViolations: []
+			}
+		],
+		base: { ref: 'main', sha: null },
+		head: { sha: null },
+		minimumChangeThreshold: 1,
+		markdown: ''
+	});
+
+	expect(report).toMatchObject({
+		total: { size: 6000, delta: 2300 },
+		changedFiles: ['packages/core/dist/index.js', 'packages/ui/dist/index.js'],
+		budgetViolations: [{ rule: 'total <= +1 kB', filename: 'core total', actual: '+2.5 kB (+100%)' }]
+	});
+	expect(report.files).toBe(undefined);
+	expect(report.targets.map((target) => target.name)).toEqual(['core', 'ui']);
+	expect(report.targets[1].total).toEqual({ size: 1000, delta: -200 });
+});
+
+test('jobSummaryMarkdown', () => {
+	const report = createReport({
+		targets: [{ target: createTestTarget(), files: [{ filename: 'one.js', size: 5000, delta: 2500 }], budgetViolations: [] }],
+		base: { ref: 'refs/heads/main', sha: '0123456789abcdef' },
+		head: { sha: 'fedcba9876543210' },
+		minimumChangeThreshold: 1,
+		markdown: ''
+	});
+	expect(jobSummaryMarkdown(report, '**Size Change:** +2.5 kB')).toBe(
+		'### 📦 Compressed size\n\nSizes of `fedcba9` compared to `refs/heads/main` at `0123456`.\n\n**Size Change:** +2.5 kB\n'
+	);
+	expect(
+		jobSummaryMarkdown({ ...report, base: { ref: null, sha: null }, head: { sha: null } }, 'table', 'modern')
+	).toBe('### 📦 Compressed size (modern)\n\nSizes of the working copy compared to its base.\n\ntable\n');
+});
+
+test('writeJobSummary', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	const previous = process.env.GITHUB_STEP_SUMMARY;
+	try {
+		delete process.env.GITHUB_STEP_SUMMARY;
+		expect(await writeJobSummary('one')).toBe(false);
+
+		process.env.GITHUB_STEP_SUMMARY = path.join(dir, 'summary.md');
+		expect(await writeJobSummary('one')).toBe(true);
+		expect(await writeJobSummary('two')).toBe(true);
+		expect(await fs.promises.readFile(process.env.GITHUB_STEP_SUMMARY, 'utf-8')).toBe('one\ntwo\n');
+	} finally {
+		if (previous === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+		else process.env.GITHUB_STEP_SUMMARY = previous;
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,85 @@
+import {
+	DEFAULT_SEVERITY,
+	parseSeverityRules,
+	parseSeverityIcons,
+	rateChange,
+	severityIcon,
+	severityRank
+} from '../src/severity.js';
+
+test('parseSeverityRules', () => {
+	expect(
+		parseSeverityRules(`
+			# comments are ignored
+			critical: +50% and +1 kB
+			high: +8 kB for dist/vendor-*.js
+			huge-win: -50%
+		`)
+	).toEqual([
+		{
+			rule: 'critical: +50% and +1 kB',
+			level: 'critical',
+			conditions: [
+				{ percent: true, limit: 50 },
+				{ percent: false, limit: 1000 }
+			],
+			pattern: null
+		},
+		{
+			rule: 'high: +8 kB for dist/vendor-*.js',
+			level: 'high',
+			conditions: [{ percent: false, limit: 8000 }],
+			pattern: 'dist/vendor-*.js'
+		},
+		{ rule: 'huge-win: -50%', level: 'huge-win', conditions: [{ percent: true, limit: -50 }], pattern: null }
+	]);
+
+	expect(() => parseSeverityRules('severe: +10%')).toThrow('Invalid severity level "severe"');
+	expect(() => parseSeverityRules('none: +10%')).toThrow('files that match no rule are rated "none"');
+	expect(() => parseSeverityRules('high: -10%')).toThrow('"high" expects an increase (+)');
+	expect(() => parseSeverityRules('win: 10%')).toThrow('Invalid condition "10%"');
+	expect(() => parseSeverityRules('high')).toThrow('Invalid severity rule "high"');
+});
+
+test('parseSeverityIcons', () => {
+	const icons = parseSeverityIcons('critical: 🔥\nlow:\nnew: (new)');
+	expect(icons).toMatchObject({ critical: '🔥', low: '', new: '(new)', high: '🚨' });
+	expect(() => parseSeverityIcons('severe: 🔥')).toThrow('Invalid severity icon "severe: 🔥"');
+});
+
+test('rateChange', () => {
+	expect(rateChange({ filename: 'a.js', size: 300, delta: 200 })).toBe('critical');
+	expect(rateChange({ filename: 'a.js', size: 1000, delta: -1000 })).toBe('huge-win');
+	expect(rateChange({ filename: 'a.js', size: 100, delta: 100 })).toBe('none');
+
+	const severity = {
+		rules: parseSeverityRules(`
+			critical: +50% and +1 kB
+			medium: +2 kB
+			high: +4 kB for dist/vendor-*.js
+		`),
+		icons: DEFAULT_SEVERITY.icons
+	};
+	// +200% of a small file isn't critical:
+	expect(rateChange({ filename: 'dist/a.js', size: 300, delta: 200 }, severity)).toBe('none');
+	expect(rateChange({ filename: 'dist/a.js', size: 3000, delta: 1500 }, severity)).toBe('critical');
+	expect(rateChange({ filename: 'dist/a.js', size: 100000, delta: 5000 }, severity)).toBe('medium');
+	expect(rateChange({ filename: 'dist/vendor-1.js', size: 100000, delta: 5000 }, severity)).toBe('high');
+	// Totals have no filename, so rules for specific files don't apply:
+	expect(rateChange({ size: 100000, delta: 5000 }, severity)).toBe('medium');
+	// New files are only rated by size:
+	expect(rateChange({ filename: 'dist/new.js', size: 3000, delta: 3000 }, severity)).toBe('medium');
+});
+
+test('severityIcon', () => {
+	expect(severityIcon({ size: 300, delta: 200 })).toBe('🆘');
+	expect(severityIcon({ size: 300, delta: 300 })).toBe('🆕');
+	expect(severityIcon({ size: 300, delta: 0, previousFilename: 'old.js' })).toBe('🚚');
+	expect(severityIcon({ size: 300, delta: 200 }, { ...DEFAULT_SEVERITY, icons: parseSeverityIcons('critical: 🔥') })).toBe('🔥');
+});
+
+test('severityRank', () => {
+	expect(severityRank('critical')).toBe(4);
+	expect(severityRank('none')).toBe(0);
+	expect(severityRank('small-win')).toBe(-1);
+});
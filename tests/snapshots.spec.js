@@ -0,0 +1,43 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSnapshotStore, isSnapshotCompatible } from '../src/snapshots.js';
+
+test('local snapshot store', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		const store = createSnapshotStore(`local:${dir}/baselines`);
+		const snapshot = {
+			sha: 'abc123',
+			settings: { compressions: ['gzip'] },
+			sizes: { '.': [{ 'dist/index.js': 1234 }] }
+		};
+
+		expect(await store.load('abc123')).toBe(null);
+		await store.save(snapshot);
+		expect(await store.load('abc123')).toEqual(snapshot);
+		expect(await createSnapshotStore(`${dir}/baselines`).load('abc123')).toEqual(snapshot);
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('createSnapshotStore', () => {
+	expect(() => createSnapshotStore('s3:bucket')).toThrow('Unknown baseline store "s3"');
+});
+
+test('isSnapshotCompatible', () => {
+	const snapshot = { sha: 'abc123', settings: { compressions: ['gzip'], pattern: '**/*.js' }, sizes: {} };
+	expect(isSnapshotCompatible(snapshot, { compressions: ['gzip'], pattern: '**/*.js' })).toBe(true);
+	expect(isSnapshotCompatible(snapshot, { compressions: ['brotli'], pattern: '**/*.js' })).toBe(false);
+	expect(isSnapshotCompatible(null, { compressions: ['gzip'] })).toBe(false);
+
+	// Per target, the snapshot may have more targets than the run:
+	const ui = { name: 'ui', compressions: ['gzip'] };
+	const app = { name: 'app', compressions: ['gzip'] };
+	const workspace = { sha: 'abc123', settings: [ui, app], sizes: {} };
+	expect(isSnapshotCompatible(workspace, [app])).toBe(true);
+	expect(isSnapshotCompatible(workspace, [ui, app])).toBe(true);
+	expect(isSnapshotCompatible(workspace, [{ ...app, compressions: ['brotli'] }])).toBe(false);
+	expect(isSnapshotCompatible({ ...workspace, settings: [ui] }, [ui, app])).toBe(false);
+});
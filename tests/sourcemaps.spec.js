@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { encode } from '@jridgewell/sourcemap-codec';
+import { findFiles } from '../src/utils.js';
+import {
+	moduleName,
+	attributeBytes,
+	readCompositions,
+	compositionDiff,
+	addCompositions,
+	compositionMarkdown
+} from '../src/sourcemaps.js';
+
+// Two lines: "aaaabbbbbb" (a.js, then preact) and "cc" (unmapped)
+const code = 'aaaabbbbbb\ncc';
+const map = {
+	version: 3,
+	sources: ['webpack://app/./src/a.js', 'webpack://app/./node_modules/preact/dist/preact.mjs'],
+	mappings: encode([
+		[
+			[0, 0, 0, 0],
+			[4, 1, 0, 0]
+		],
+		[]
+	])
+};
+
+test('moduleName', () => {
+	expect(moduleName('webpack://app/./src/a.js')).toBe('src/a.js');
+	expect(moduleName('../../src/a.js')).toBe('src/a.js');
+	expect(moduleName('../node_modules/preact/hooks/dist/hooks.mjs')).toBe('preact');
+	expect(moduleName('node_modules/@scope/pkg/index.js')).toBe('@scope/pkg');
+	expect(moduleName('node_modules/a/node_modules/b/index.js')).toBe('b');
+});
+
+test('attributeBytes', () => {
+	expect(attributeBytes(code, map)).toEqual({
+		'src/a.js': 4,
+		preact: 6,
+		'(unmapped)': 2
+	});
+});
+
+test('readCompositions', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		await fs.promises.mkdir(path.join(dir, 'dist'));
+		await fs.promises.mkdir(path.join(dir, 'node_modules/pkg/dist'), { recursive: true });
+		const inline = Buffer.from(JSON.stringify(map)).toString('base64');
+		await fs.promises.writeFile(
+			path.join(dir, 'dist/inline.abc123.js'),
+			`${code}\n//# sourceMappingURL=data:application/json;base64,${inline}`
+		);
+		await fs.promises.writeFile(path.join(dir, 'dist/linked.js'), `${code}\n//# sourceMappingURL=linked.js.map`);
+		await fs.promises.writeFile(path.join(dir, 'dist/linked.js.map'), JSON.stringify(map));
+		await fs.promises.writeFile(path.join(dir, 'dist/none.js'), code);
+		await fs.promises.writeFile(path.join(dir, 'node_modules/pkg/dist/index.js'), code);
+
+		expect(await findFiles(dir, '**/dist/**/*.js', '{**/*.map,**/node_modules/**}')).toEqual([
+			'dist/inline.abc123.js',
+			'dist/linked.js',
+			'dist/none.js'
+		]);
+
+		const target = /** @type {import('../src/targets.js').Target} */ ({
+			cwd: dir,
+			pattern: '**/dist/**/*.js',
+			exclude: '{**/*.map,**/node_modules/**}'
+		});
+		const compositions = await readCompositions(target, (filename) => filename.replace(/\.\w+\.js$/, '.js'));
+		expect(Object.keys(compositions)).toEqual(['dist/inline.js', 'dist/linked.js']);
+		// The sourceMappingURL comment itself is unmapped:
+		expect(compositions['dist/linked.js']).toMatchObject({ 'src/a.js': 4, preact: 6 });
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('compositionDiff', () => {
+	const before = { 'src/a.js': 100, preact: 4000, 'src/old.js': 50 };
+	const after = { 'src/a.js': 300, preact: 4000, 'src/new.js': 20 };
+	expect(compositionDiff(before, after)).toEqual([
+		{ module: 'src/a.js', size: 300, delta: 200 },
+		{ module: 'src/old.js', size: 0, delta: -50 },
+		{ module: 'src/new.js', size: 20, delta: 20 }
+	]);
+	expect(compositionDiff(before, after, 1)).toHaveLength(1);
+});
+
+test('addCompositions', () => {
+	const files = [
+		{ filename: 'a.js', size: 1000, delta: 200 },
+		{ filename: 'b.js', size: 1000, delta: 0 },
+		{ filename: 'c.js', size: 500, delta: 10, previousFilename: 'old-c.js' }
+	];
+	const before = { 'a.js': { 'src/a.js': 100 }, 'b.js': { 'src/b.js': 100 }, 'old-c.js': { 'src/c.js': 10 } };
+	const after = { 'a.js': { 'src/a.js': 400 }, 'b.js': { 'src/b.js': 200 }, 'c.js': { 'src/c.js': 30 } };
+
+	const result = addCompositions(files, before, after, 1);
+	expect(result[0].composition).toEqual([{ module: 'src/a.js', size: 400, delta: 300 }]);
+	expect(result[1].composition).toBe(undefined);
+	expect(result[2].composition).toEqual([{ module: 'src/c.js', size: 30, delta: 20 }]);
+
+	expect(compositionMarkdown(result)).toMatchSnapshot();
+});
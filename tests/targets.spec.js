@@ -0,0 +1,59 @@
+import path from 'path';
+import { createTarget, parseTargets } from '../src/targets.js';
+
+const defaults = {
+	cwd: path.resolve('/repo'),
+	pattern: '**/dist/**/*.{js,mjs,cjs}',
+	exclude: '{**/*.map,**/node_modules/**}',
+	stripHash: '',
+	buildScript: 'build',
+	compression: 'gzip'
+};
+
+test('createTarget', () => {
+	expect(createTarget({}, defaults)).toEqual({
+		name: '.',
+		cwd: defaults.cwd,
+		path: '',
+		pattern: defaults.pattern,
+		exclude: defaults.exclude,
+		stripHash: '',
+		buildScript: 'build',
+		compressions: ['gzip'],
+		compressionSettings: { gzip: { level: 9, window: 15 } },
+		manifest: ''
+	});
+});
+
+test('parseTargets', () => {
+	const targets = parseTargets(
+		JSON.stringify([
+			{ name: 'core', cwd: 'packages/core', compression: 'gzip, brotli' },
+			{ cwd: 'packages/ui', 'build-script': 'build:ui', pattern: 'dist/*.css' }
+		]),
+		defaults
+	);
+
+	expect(targets).toMatchObject([
+		{
+			name: 'core',
+			cwd: path.resolve('/repo/packages/core'),
+			path: path.join('packages', 'core'),
+			buildScript: 'build',
+			compressions: ['gzip', 'brotli']
+		},
+		{
+			name: path.join('packages', 'ui'),
+			pattern: 'dist/*.css',
+			buildScript: 'build:ui',
+			compressions: ['gzip']
+		}
+	]);
+
+	expect(() => parseTargets('{}', defaults)).toThrow('expected a non-empty array');
+	expect(() => parseTargets('[{ "cwd": "a", "patern": "*.js" }]', defaults)).toThrow(
+		'Unknown option "patern" in target at index 0'
+	);
+	expect(() => parseTargets('[{ "cwd": 1 }]', defaults)).toThrow('Invalid option "cwd"');
+	expect(() => parseTargets('[{ "name": "a" }, { "name": "a" }]', defaults)).toThrow('Duplicate target name "a"');
+});
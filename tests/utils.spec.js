@@ -1,5 +1,29 @@
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { toBool, getDeltaText, iconForDifference, diffTable, getPackageManagerAndInstallScript, fileExists, stripHash } from '../src/utils.js';
+import zlib from 'zlib';
+import {
+	toBool,
+	getDeltaText,
+	iconForDifference,
+	diffTable,
+	getPackageManagerAndInstallScript,
+	fileExists,
+	findFiles,
+	stripHash,
+	parseSize,
+	parseCompression,
+	parseCompressionSettings,
+	formatCompression,
+	compressionKey,
+	mergeEncodingDiffs,
+	addBaselines,
+	getTotals,
+	getSortOrder
+} from '../src/utils.js';
+import { parseGroups } from '../src/groups.js';
+import { parseNetworkProfiles } from '../src/network.js';
+import { parseSeverityRules, parseSeverityIcons } from '../src/severity.js';
 
 test('toBool', () => {
 	expect(toBool('1')).toBe(true);
@@ -11,6 +35,15 @@ test('toBool', () => {
 	expect(toBool('no')).toBe(false);
 });
 
+test('parseSize', () => {
+	expect(parseSize('512')).toBe(512);
+	expect(parseSize('512 B')).toBe(512);
+	expect(parseSize('10 kB')).toBe(10000);
+	expect(parseSize('1.5KiB')).toBe(1536);
+	expect(parseSize('2 MB')).toBe(2000000);
+	expect(() => parseSize('10 parsecs')).toThrow('Invalid size');
+});
+
 test('getDeltaText', () => {
 	expect(getDeltaText(5000, 20000)).toBe('+5 kB (+25%)');
 	expect(getDeltaText(-5000, 20000)).toBe('-5 kB (-25%)');
@@ -18,12 +51,16 @@ test('getDeltaText', () => {
 	expect(getDeltaText(0, 0)).toBe('0 B');
 	expect(getDeltaText(4875, 20000)).toBe('+4.88 kB (+24.38%)');
 	expect(getDeltaText(-4875, 20000)).toBe('-4.88 kB (-24.38%)');
+	expect(getDeltaText(0, 20000, true)).toBe('0 B (renamed)');
+	expect(getDeltaText(5000, 20000, true)).toBe('+5 kB (+25%)');
 });
 
 test('iconForDifference', () => {
 	expect(iconForDifference(0, 5000)).toBe('');
 	expect(iconForDifference(5500, 5000)).toBe('🆘');
 	expect(iconForDifference(-550, 5000)).toBe('👏');
+	expect(iconForDifference(0, 5000, true)).toBe('🚚');
+	expect(iconForDifference(5500, 5000, true)).toBe('🆘');
 });
 
 test('diffTable', () => {
@@ -74,18 +111,242 @@ test('diffTable', () => {
 	expect(diffTable(files, { ...defaultOptions, sortBy: 'Filename:desc' })).toMatchSnapshot();
 	expect(diffTable(files, { ...defaultOptions, sortBy: 'Size:asc' })).toMatchSnapshot();
 	expect(diffTable(files, { ...defaultOptions, sortBy: 'Change:desc' })).toMatchSnapshot();
+
+	const budgetViolations = [
+		{
+			budget: { rule: '*.js <= +50%', target: '*.js', relative: true, percent: true, limit: 50 },
+			filename: 'one.js',
+			actual: '+2.5 kB (+100%)'
+		}
+	];
+	expect(diffTable(files, { ...defaultOptions, budgetViolations })).toMatchSnapshot();
+});
+
+test('diffTable with renamed files', () => {
+	const files = [
+		{ filename: 'one.js', size: 5000, delta: 2500 },
+		{ filename: 'two.js', previousFilename: 'deux.js', size: 5000, delta: 100 },
+		{ filename: 'three.js', previousFilename: 'drei.js', size: 300, delta: 0 }
+	];
+	const options = {
+		showTotal: false,
+		collapseUnchanged: true,
+		omitUnchanged: false,
+		minimumChangeThreshold: 1,
+		sortBy: /** @type {const} */ ('Filename:asc')
+	};
+
+	expect(diffTable(files, options)).toMatchSnapshot();
+});
+
+test('diffTable with groups', () => {
+	const files = [
+		{ filename: 'dist/vendor-a.js', size: 5000, delta: 2500 },
+		{ filename: 'dist/vendor-b.js', size: 3000, delta: 0 },
+		{ filename: 'dist/admin/index.js', size: 300, delta: 0 },
+		{ filename: 'dist/index.js', size: 4500, delta: -500 }
+	];
+	const options = {
+		showTotal: true,
+		collapseUnchanged: true,
+		omitUnchanged: false,
+		minimumChangeThreshold: 1,
+		sortBy: /** @type {const} */ ('Filename:asc'),
+		groups: parseGroups('vendor: dist/vendor-*.js\nadmin route: dist/admin/**')
+	};
+
+	expect(diffTable(files, options)).toMatchSnapshot();
+	expect(diffTable(files, { ...options, omitUnchanged: true })).toMatchSnapshot();
+	expect(diffTable(files, { ...options, collapseUnchanged: false })).toMatchSnapshot();
+});
+
+test('diffTable with multiple compressions', () => {
+	const files = mergeEncodingDiffs(
+		['none', 'gzip', 'brotli'],
+		[
+			[
+				{ filename: 'one.js', size: 15000, delta: 5000 },
+				{ filename: 'two.js', size: 9000, delta: 0 }
+			],
+			[
+				{ filename: 'one.js', size: 5000, delta: 2500 },
+				{ filename: 'two.js', size: 3000, delta: 0 }
+			],
+			[
+				{ filename: 'one.js', size: 4000, delta: 2000 },
+				{ filename: 'two.js', size: 2500, delta: 0 }
+			]
+		]
+	);
+	const options = {
+		showTotal: true,
+		collapseUnchanged: true,
+		omitUnchanged: false,
+		minimumChangeThreshold: 1,
+		sortBy: /** @type {const} */ ('Filename:asc')
+	};
+
+	expect(files[0]).toEqual({
+		filename: 'one.js',
+		size: 15000,
+		delta: 5000,
+		encodings: {
+			none: { size: 15000, delta: 5000 },
+			gzip: { size: 5000, delta: 2500 },
+			brotli: { size: 4000, delta: 2000 }
+		}
+	});
+	expect(diffTable(files, options)).toMatchSnapshot();
+	expect(diffTable(files, { ...options, showTotal: false, collapseUnchanged: false })).toMatchSnapshot();
+});
+
+test('diffTable with network profiles', () => {
+	const files = [
+		{ filename: 'one.js', size: 50000, delta: 5000 },
+		{ filename: 'two.js', size: 2000, delta: 0 }
+	];
+	const options = {
+		showTotal: true,
+		collapseUnchanged: true,
+		omitUnchanged: false,
+		minimumChangeThreshold: 1,
+		sortBy: /** @type {const} */ ('Filename:asc'),
+		networkProfiles: parseNetworkProfiles('Slow 3G, Office: 20 Mbps 40ms')
+	};
+	expect(diffTable(files, options)).toMatchSnapshot();
+});
+
+test('addBaselines', () => {
+	const files = [
+		{ filename: 'a.js', size: 1200, delta: 200 },
+		{ filename: 'b.js', size: 500, delta: 0, previousFilename: 'old.js' },
+		{ filename: 'c.js', size: 300, delta: 300 },
+		{ filename: 'd.js', size: 0, delta: -400 }
+	];
+	expect(addBaselines(files, [{ ref: 'v1.0.0', sizes: { 'a.js': 800, 'old.js': 600, 'd.js': 400 } }])).toEqual([
+		{ ...files[0], baselines: [{ ref: 'v1.0.0', size: 1200, delta: 400 }] },
+		{ ...files[1], baselines: [{ ref: 'v1.0.0', size: 500, delta: -100 }] },
+		{ ...files[2], baselines: [{ ref: 'v1.0.0', size: 300, delta: 300 }] },
+		{ ...files[3], baselines: [{ ref: 'v1.0.0', size: 0, delta: -400 }] }
+	]);
+});
+
+test('diffTable with additional bases', () => {
+	const files = addBaselines(
+		[
+			{ filename: 'a.js', size: 1200, delta: 200 },
+			{ filename: 'b.js', size: 500, delta: 0 }
+		],
+		[
+			{ ref: 'v1.0.0', sizes: { 'a.js': 800, 'b.js': 500 } },
+			{ ref: 'v2.0.0', sizes: { 'a.js': 1000, 'b.js': 600 } }
+		]
+	);
+	expect(
+		diffTable(files, {
+			showTotal: true,
+			collapseUnchanged: true,
+			omitUnchanged: false,
+			minimumChangeThreshold: 1,
+			sortBy: 'Filename:asc'
+		})
+	).toMatchSnapshot();
+});
+
+test('diffTable with severity', () => {
+	const files = [
+		{ filename: 'big.js', size: 60000, delta: 8000 },
+		{ filename: 'small.js', size: 300, delta: 200 },
+		{ filename: 'shrunk.js', size: 1000, delta: -1000 },
+		{ filename: 'same.js', size: 500, delta: 0 }
+	];
+	const options = {
+		showTotal: false,
+		collapseUnchanged: true,
+		omitUnchanged: false,
+		minimumChangeThreshold: 1,
+		sortBy: /** @type {const} */ ('Severity:desc')
+	};
+	expect(diffTable(files, options)).toMatchSnapshot();
+
+	const severity = {
+		rules: parseSeverityRules('critical: +50% and +1 kB\nhigh: +5 kB\nwin: -500 B'),
+		icons: parseSeverityIcons('high: **big**')
+	};
+	expect(diffTable(files, { ...options, severity, highlight: 'high' })).toMatchSnapshot();
+});
+
+test('getTotals', () => {
+	const files = [
+		{ filename: 'one.js', size: 5000, delta: 2500 },
+		{ filename: 'two.js', size: 4500, delta: 9 }
+	];
+	expect(getTotals(files)).toEqual({ size: 9500, delta: 2509 });
+	expect(getTotals(files, 10)).toEqual({ size: 9500, delta: 2500 });
+	expect(getTotals([])).toEqual({ size: 0, delta: 0 });
+});
+
+test('parseCompression', () => {
+	expect(parseCompression('')).toEqual(['gzip']);
+	expect(parseCompression('brotli')).toEqual(['brotli']);
+	expect(parseCompression('none, gzip,brotli')).toEqual(['none', 'gzip', 'brotli']);
+	expect(() => parseCompression('gzip, lzma')).toThrow('Invalid compression "lzma"');
+});
+
+test('parseCompressionSettings', () => {
+	expect(parseCompressionSettings('gzip level=6, brotli window=20 none')).toEqual({
+		gzip: { level: 6, window: 15 },
+		brotli: { level: 11, window: 20 },
+		none: {}
+	});
+	expect(parseCompression('gzip level=6, brotli level=9')).toEqual(['gzip', 'brotli']);
+	expect(() => parseCompressionSettings('brotli level=12')).toThrow(
+		'Invalid compression setting "level=12" for brotli, expected level to be from 0 to 11'
+	);
+	expect(() => parseCompressionSettings('gzip level=high')).toThrow('expected level to be from 1 to 9');
+	expect(() => parseCompressionSettings('gzip quality=9')).toThrow(
+		'Invalid compression setting "quality=9" for gzip, expected "level" or "window"'
+	);
+	expect(() => parseCompressionSettings('none level=1')).toThrow('Invalid compression setting "level=1" for none');
+	expect(() => parseCompressionSettings('level=9 gzip')).toThrow('Invalid compression setting "level=9"');
+	expect(() => parseCompressionSettings('gzip, gzip level=6')).toThrow('"gzip" is listed more than once');
+
+	if ('zstdCompressSync' in zlib) {
+		expect(parseCompressionSettings('zstd level=19')).toEqual({ zstd: { level: 19 } });
+	} else {
+		expect(() => parseCompressionSettings('zstd')).toThrow('Invalid compression "zstd": it needs Node.js 22.15 or later');
+	}
+});
+
+test('formatCompression and compressionKey', () => {
+	expect(formatCompression('gzip')).toBe('gzip level=9 window=15');
+	expect(formatCompression('brotli', { level: 5, window: 22 })).toBe('brotli level=5 window=22');
+	expect(formatCompression('zstd', { level: 3 })).toBe('zstd level=3');
+	expect(formatCompression('none', {})).toBe('none');
+	// Default settings keep the keys sizes were stored under before there were any settings:
+	expect(compressionKey('gzip', { level: 9, window: 15 })).toBe('gzip');
+	expect(compressionKey('gzip', { level: 6, window: 15 })).toBe('gzip level=6 window=15');
+});
+
+test('getSortOrder', () => {
+	expect(getSortOrder('Size:desc')).toBe('Size:desc');
+	expect(() => getSortOrder('Size:up')).toThrow(
+		'Invalid sort-by "Size:up", expected one of "Filename:asc", "Filename:desc", "Size:asc"'
+	);
 });
 
 test('getPackageManagerAndInstallScript', async () => {
 	let cwd = process.cwd();
-	let { packageManager, installScript } = await getPackageManagerAndInstallScript(cwd);
+	let { packageManager, installScript, lockfile } = await getPackageManagerAndInstallScript(cwd);
 	expect(packageManager).toBe('npm');
 	expect(installScript).toBe('npm ci');
+	expect(lockfile).toBe('package-lock.json');
 
 	cwd = path.join(cwd, 'tests');
-	({ packageManager, installScript } = await getPackageManagerAndInstallScript(cwd));
+	({ packageManager, installScript, lockfile } = await getPackageManagerAndInstallScript(cwd));
 	expect(packageManager).toBe('npm');
 	expect(installScript).toBe('npm install');
+	expect(lockfile).toBe(null);
 });
 
 test('fileExists', async () => {
@@ -93,6 +354,73 @@ test('fileExists', async () => {
 	expect(await fileExists('file-that-does-not-exist')).toBe(false);
 });
 
+test('findFiles', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		const files = [
+			'index.js',
+			'dist/index.js',
+			'dist/index.js.map',
+			'dist/index.d.ts',
+			'dist/style.css',
+			'dist/.dot.js',
+			'dist/.hidden/a.js',
+			'dist/sub/b.mjs',
+			'dist/sub/c.cjs',
+			'dist/folder.js/d.js',
+			'.cache/dist/c.js',
+			'node_modules/pkg/dist/index.js',
+			'packages/a/dist/a.js',
+			'packages/a/node_modules/x/dist/x.js'
+		];
+		for (const file of files) {
+			await fs.promises.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+			await fs.promises.writeFile(path.join(dir, file), 'x');
+		}
+
+		// The files the size plugin's `readFromDisk` measured, with the same patterns:
+		expect(await findFiles(dir, '**/dist/**/*.{js,mjs,cjs}', '{**/*.map,**/node_modules/**}')).toEqual([
+			'dist/folder.js/d.js',
+			'dist/index.js',
+			'dist/sub/b.mjs',
+			'dist/sub/c.cjs',
+			'packages/a/dist/a.js'
+		]);
+		expect(await findFiles(dir, '**/*.{js,mjs,cjs,jsx,css,html}', '')).toEqual([
+			'dist/folder.js/d.js',
+			'dist/index.js',
+			'dist/style.css',
+			'dist/sub/b.mjs',
+			'dist/sub/c.cjs',
+			'index.js',
+			'node_modules/pkg/dist/index.js',
+			'packages/a/dist/a.js',
+			'packages/a/node_modules/x/dist/x.js'
+		]);
+		expect(await findFiles(dir, 'dist/**', '**/*.map')).toEqual([
+			'dist/folder.js/d.js',
+			'dist/index.d.ts',
+			'dist/index.js',
+			'dist/style.css',
+			'dist/sub/b.mjs',
+			'dist/sub/c.cjs'
+		]);
+		// Excluding a directory excludes what's in it, and dotfiles are found when named:
+		expect(await findFiles(dir, '**/*.js', 'dist')).toEqual([
+			'index.js',
+			'node_modules/pkg/dist/index.js',
+			'packages/a/dist/a.js',
+			'packages/a/node_modules/x/dist/x.js'
+		]);
+		expect(await findFiles(dir, './dist/.*.js', '')).toEqual(['dist/.dot.js']);
+		expect(await findFiles(dir, 'dist/*', '{./dist/index.js,**/*.map,**/*.d.ts}')).toEqual(['dist/style.css']);
+		expect(await findFiles(dir, '.cache/**/*.js', '')).toEqual(['.cache/dist/c.js']);
+		expect(await findFiles(path.join(dir, 'packages/a'), 'dist/*.js', '')).toEqual(['dist/a.js']);
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
 test('stripHash', () => {
 	expect(stripHash('\\b\\w{5}\\.')('foo.abcde.js')).toBe('foo.js');
 	expect(stripHash('\\.(\\w{5})\\.chunk\\.js$')('foo.abcde.chunk.js')).toBe('foo.*****.chunk.js');
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parsePnpmWorkspace, readWorkspaces, affectedWorkspaces, workspaceDependencies } from '../src/workspaces.js';
+
+/**
+ * @param {string} dir
+ * @param {Record<string, any>} files File contents by path, objects are written as JSON
+ */
+async function writeFiles(dir, files) {
+	for (const [file, contents] of Object.entries(files)) {
+		await fs.promises.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+		const text = typeof contents === 'string' ? contents : JSON.stringify(contents);
+		await fs.promises.writeFile(path.join(dir, file), text);
+	}
+}
+
+test('parsePnpmWorkspace', () => {
+	expect(
+		parsePnpmWorkspace(`packages:
+  - 'packages/*'
+  - "apps/**" # comment
+  - '!**/test/**'
+catalog:
+  react: ^18.0.0
+`)
+	).toEqual(['packages/*', 'apps/**', '!**/test/**']);
+});
+
+test('readWorkspaces', async () => {
+	const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'compressed-size-'));
+	try {
+		await writeFiles(dir, {
+			'package.json': { name: 'root', workspaces: ['packages/*', '!packages/ignored'] },
+			'packages/app/package.json': {
+				name: 'app',
+				scripts: { build: 'vite build' },
+				dependencies: { ui: 'workspace:*', preact: '^10.0.0' }
+			},
+			'packages/ui/package.json': { name: 'ui', scripts: { build: 'tsc' }, devDependencies: { config: '*' } },
+			'packages/config/package.json': { name: 'config' },
+			'packages/ignored/package.json': { name: 'ignored' },
+			'packages/docs/README.md': '',
+			'packages/app/dist/index.js': '',
+			'docs/package.json': { name: 'docs' }
+		});
+		const readdir = jest.spyOn(fs.promises, 'readdir');
+		expect(await readWorkspaces(dir)).toEqual([
+			{ name: 'config', path: 'packages/config', dependencies: [], scripts: [] },
+			{ name: 'ui', path: 'packages/ui', dependencies: ['config'], scripts: ['build'] },
+			{ name: 'app', path: 'packages/app', dependencies: ['ui'], scripts: ['build'] }
+		]);
+		// Directories that no pattern can match anything in aren't read:
+		const read = readdir.mock.calls.map(([name]) => path.relative(dir, name.toString()).replace(/\\/g, '/'));
+		expect(read).not.toContain('packages/app/dist');
+		expect(read).not.toContain('docs');
+		readdir.mockRestore();
+
+		// pnpm-workspace.yaml takes precedence, and yarn's `workspaces.packages` is supported:
+		await writeFiles(dir, { 'pnpm-workspace.yaml': 'packages:\n  - packages/ui\n' });
+		expect((await readWorkspaces(dir)).map(({ name }) => name)).toEqual(['ui']);
+		await fs.promises.rm(path.join(dir, 'pnpm-workspace.yaml'));
+		await writeFiles(dir, { 'package.json': { workspaces: { packages: ['packages/app'] } } });
+		expect((await readWorkspaces(dir)).map(({ name }) => name)).toEqual(['app']);
+
+		await writeFiles(dir, { 'package.json': { name: 'root' } });
+		expect(await readWorkspaces(dir)).toBe(null);
+	} finally {
+		await fs.promises.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test('affectedWorkspaces', () => {
+	const workspaces = [
+		{ name: 'config', path: 'packages/config', dependencies: [], scripts: [] },
+		{ name: 'ui', path: 'packages/ui', dependencies: ['config'], scripts: ['build'] },
+		{ name: 'app', path: 'packages/app', dependencies: ['ui'], scripts: ['build'] },
+		{ name: 'app-plugin', path: 'packages/app/plugin', dependencies: [], scripts: ['build'] },
+		{ name: 'other', path: 'packages/other', dependencies: [], scripts: ['build'] }
+	];
+	const affected = (files) => Array.from(affectedWorkspaces(workspaces, files)).sort();
+
+	expect(affected(['packages/app/src/index.js'])).toEqual(['app']);
+	expect(affected(['packages/app/plugin/index.js'])).toEqual(['app-plugin']);
+	// dependents are affected too, transitively:
+	expect(affected(['packages/config/tsconfig.json'])).toEqual(['app', 'config', 'ui']);
+	// files outside of every package affect all of them:
+	expect(affected(['packages/ui/index.js', 'pnpm-lock.yaml'])).toEqual([
+		'app',
+		'app-plugin',
+		'config',
+		'other',
+		'ui'
+	]);
+	expect(affected([])).toEqual([]);
+});
+
+test('workspaceDependencies', () => {
+	const workspaces = [
+		{ name: 'config', path: 'packages/config', dependencies: [], scripts: [] },
+		{ name: 'ui', path: 'packages/ui', dependencies: ['config'], scripts: ['build'] },
+		{ name: 'app', path: 'packages/app', dependencies: ['ui'], scripts: ['build'] },
+		{ name: 'other', path: 'packages/other', dependencies: [], scripts: ['build'] }
+	];
+	const dependencies = (names) => Array.from(workspaceDependencies(workspaces, names)).sort();
+
+	expect(dependencies(['app'])).toEqual(['app', 'config', 'ui']);
+	expect(dependencies(['ui', 'other'])).toEqual(['config', 'other', 'ui']);
+	expect(dependencies([])).toEqual([]);
+});